@@ -3,13 +3,16 @@ const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch
 
 const baseUrl = 'http://localhost:3000/api/users';
 
+// The roles API requires authentication - pass a token from /api/auth/login as AUTH_TOKEN
+const headers = { 'Authorization': `Bearer ${process.env.AUTH_TOKEN || ''}` };
+
 async function debugRoles() {
   console.log('🔍 Debugging Roles API...\n');
   
   try {
     // Test 1: Get all roles
     console.log('1️⃣ Testing GET /roles/all...');
-    const rolesResponse = await fetch(`${baseUrl}/roles/all`);
+    const rolesResponse = await fetch(`${baseUrl}/roles/all`, { headers });
     console.log('Status:', rolesResponse.status);
     const roles = await rolesResponse.json();
     console.log('Response:', JSON.stringify(roles, null, 2));
@@ -17,7 +20,7 @@ async function debugRoles() {
     
     // Test 2: Get role descriptions
     console.log('2️⃣ Testing GET /roles/descriptions...');
-    const descriptionsResponse = await fetch(`${baseUrl}/roles/descriptions`);
+    const descriptionsResponse = await fetch(`${baseUrl}/roles/descriptions`, { headers });
     console.log('Status:', descriptionsResponse.status);
     const descriptions = await descriptionsResponse.json();
     console.log('Response:', JSON.stringify(descriptions, null, 2));
@@ -25,7 +28,7 @@ async function debugRoles() {
     
     // Test 3: Get available permissions
     console.log('3️⃣ Testing GET /roles/permissions/available...');
-    const permissionsResponse = await fetch(`${baseUrl}/roles/permissions/available`);
+    const permissionsResponse = await fetch(`${baseUrl}/roles/permissions/available`, { headers });
     console.log('Status:', permissionsResponse.status);
     const permissions = await permissionsResponse.json();
     console.log('Response:', JSON.stringify(permissions, null, 2));
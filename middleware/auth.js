@@ -0,0 +1,179 @@
+// Authentication and permission middleware for the campaign management API
+const { ObjectId } = require('mongodb');
+const TokenManager = require('../models/tokenManager');
+const RolesManager = require('../models/rolesManager');
+const SessionRegistry = require('../models/sessionRegistry');
+const ApiKeyManager = require('../models/apiKeys');
+const User = require('../models/user');
+
+// Consistent 401 response - the front end shows the login form on AUTH_* codes
+function sendUnauthorized(res, code, message) {
+  return res.status(401).json({ error: message, code });
+}
+
+// Consistent 403 response - includes the missing permission so the UI can explain it
+function sendForbidden(res, permission) {
+  return res.status(403).json({
+    error: 'You do not have permission to perform this action',
+    code: 'FORBIDDEN',
+    permission
+  });
+}
+
+// Authenticate a script or integration by its X-API-Key header.
+// The key's permissions are limited to those its owner's roles currently grant.
+async function authenticateApiKey(req, res, next, key) {
+  const db = req.app.locals.db;
+  if (!db) {
+    return res.status(503).json({ error: 'Database not connected' });
+  }
+
+  const { ip } = SessionRegistry.getClientInfo(req);
+  const apiKey = await ApiKeyManager.findActiveKey(db, key, ip);
+  if (!apiKey) {
+    return sendUnauthorized(res, 'AUTH_INVALID_API_KEY', 'Invalid, expired or revoked API key');
+  }
+
+  const user = await db.collection('users').findOne({ _id: apiKey.user_id });
+  if (!user) {
+    return sendUnauthorized(res, 'AUTH_USER_NOT_FOUND', 'User not found');
+  }
+  if (!User.isActive(user)) {
+    return sendUnauthorized(res, 'AUTH_USER_DISABLED', 'This account has been disabled');
+  }
+
+  const { password, ...userWithoutPassword } = user;
+  req.user = userWithoutPassword;
+  req.apiKey = apiKey;
+  const ownerPermissions = await RolesManager.getPermissionsFromRoleIds(db, user.roles || []);
+  req.permissions = ApiKeyManager.scopePermissions(ownerPermissions, apiKey);
+  next();
+}
+
+// Verify the bearer token (or X-API-Key header) and attach req.user (without password) and req.permissions
+async function authenticate(req, res, next) {
+  // Already authenticated earlier in the middleware chain
+  if (req.user) {
+    return next();
+  }
+
+  try {
+    const token = TokenManager.extractBearerToken(req);
+    if (!token) {
+      const apiKey = req.headers['x-api-key'];
+      if (apiKey) {
+        return await authenticateApiKey(req, res, next, apiKey);
+      }
+      return sendUnauthorized(res, 'AUTH_REQUIRED', 'Authentication required');
+    }
+
+    const payload = TokenManager.verify(token, 'access');
+    if (!payload || !ObjectId.isValid(payload.sub)) {
+      return sendUnauthorized(res, 'AUTH_INVALID_TOKEN', 'Invalid or expired token');
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const session = await SessionRegistry.getActiveSession(db, payload.sid);
+    if (!session || session.user_id.toString() !== payload.sub) {
+      return sendUnauthorized(res, 'AUTH_SESSION_REVOKED', 'Session has ended, please log in again');
+    }
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(payload.sub) });
+    if (!user) {
+      return sendUnauthorized(res, 'AUTH_USER_NOT_FOUND', 'User not found');
+    }
+    if (!User.isActive(user)) {
+      return sendUnauthorized(res, 'AUTH_USER_DISABLED', 'This account has been disabled');
+    }
+
+    // "View as user" session: only valid while the administrator who started it is still
+    // active and signed in
+    let impersonator = null;
+    if (session.impersonated_by) {
+      impersonator = await db.collection('users').findOne({ _id: session.impersonated_by });
+      const impersonatorSession = await SessionRegistry.getActiveSession(db, session.impersonator_session_id);
+      if (!User.isActive(impersonator) || !impersonatorSession) {
+        return sendUnauthorized(res, 'AUTH_SESSION_REVOKED', 'Session has ended, please log in again');
+      }
+    }
+
+    await SessionRegistry.touch(db, session);
+
+    const { password, ...userWithoutPassword } = user;
+    req.user = userWithoutPassword;
+    req.authSession = session;
+    if (impersonator) {
+      req.impersonator = { _id: impersonator._id, username: impersonator.username };
+    }
+    req.permissions = await RolesManager.getPermissionsFromRoleIds(db, user.roles || []);
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Require an interactive login session - API keys are refused (sessions, passwords, 2FA, key management),
+// and so is an administrator viewing the app as another user
+const requireSession = [authenticate, (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({
+      error: 'This action requires signing in with a username and password',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+  if (req.impersonator) {
+    return res.status(403).json({
+      error: 'This action is not available while viewing the app as another user',
+      code: 'IMPERSONATION_NOT_ALLOWED'
+    });
+  }
+  next();
+}];
+
+// Require every listed permission, e.g. requirePermission('delete_campaigns')
+function requirePermission(...permissions) {
+  return [authenticate, (req, res, next) => {
+    const missing = permissions.find(permission => req.permissions[permission] !== true);
+    if (missing) {
+      return sendForbidden(res, missing);
+    }
+    next();
+  }];
+}
+
+// Require at least one of the listed permissions
+function requireAnyPermission(...permissions) {
+  return [authenticate, (req, res, next) => {
+    const granted = permissions.some(permission => req.permissions[permission] === true);
+    if (!granted) {
+      return sendForbidden(res, permissions.join('|'));
+    }
+    next();
+  }];
+}
+
+// Allow the user named by a route parameter to act on their own record, otherwise require a permission
+function requireSelfOrPermission(paramName, permission) {
+  return [authenticate, (req, res, next) => {
+    const isSelf = req.user._id.toString() === req.params[paramName];
+    if (!isSelf && req.permissions[permission] !== true) {
+      return sendForbidden(res, permission);
+    }
+    next();
+  }];
+}
+
+module.exports = {
+  authenticate,
+  requireSession,
+  requirePermission,
+  requireAnyPermission,
+  requireSelfOrPermission,
+  sendUnauthorized,
+  sendForbidden
+};
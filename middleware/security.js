@@ -0,0 +1,191 @@
+// HTTP security layer: response headers, CORS whitelist, body size limits, CSRF checks and the
+// static file allow-list. Every setting comes from .env (see getSecurityConfig).
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// index.html and public/ use inline scripts, onclick handlers and style attributes, so those stay allowed
+const DEFAULT_CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob:",
+  "font-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function getSecurityConfig() {
+  return {
+    // Files in the repository root that may be downloaded; public/ and uploads/ are served as directories
+    staticFiles: ['index.html', ...splitList(process.env.SECURITY_STATIC_FILES)],
+    contentSecurityPolicy: process.env.SECURITY_CSP || DEFAULT_CSP,
+    // 'auto' sends HSTS on HTTPS requests only; 'on' always; 'off' never
+    hsts: (process.env.SECURITY_HSTS || 'auto').toLowerCase(),
+    hstsMaxAge: parseInt(process.env.SECURITY_HSTS_MAX_AGE, 10) || 180 * 24 * 60 * 60,
+    corsOrigins: splitList(process.env.CORS_ALLOWED_ORIGINS).map(origin => origin.replace(/\/+$/, '')),
+    jsonLimit: process.env.BODY_LIMIT_JSON || '1mb',
+    formLimit: process.env.BODY_LIMIT_FORM || '100kb',
+    // Set behind a reverse proxy that terminates HTTPS (e.g. TRUST_PROXY=1) so req.secure reflects the client
+    trustProxy: process.env.TRUST_PROXY || '',
+    // Cookie that carries the session token if tokens move from localStorage to cookies;
+    // requests authenticated by it must send the CSRF token
+    authCookie: process.env.SECURITY_AUTH_COOKIE || ''
+  };
+}
+
+// Cookie header as { name: value }. A value that is not valid percent-encoding (e.g. "a=%E0") is kept
+// as sent, so a malformed cookie cannot turn every request into a 500.
+function parseCookies(req) {
+  const cookies = {};
+  String(req.headers.cookie || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const value = pair.slice(index + 1).trim();
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[pair.slice(0, index).trim()] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+function isSameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+// Content-Security-Policy, HSTS, framing and sniffing headers on every response
+function securityHeaders(config) {
+  return (req, res, next) => {
+    res.setHeader('Content-Security-Policy', config.contentSecurityPolicy);
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'same-origin');
+    res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    if (config.hsts === 'on' || (config.hsts === 'auto' && req.secure)) {
+      res.setHeader('Strict-Transport-Security', `max-age=${config.hstsMaxAge}; includeSubDomains`);
+    }
+    next();
+  };
+}
+
+// Cross-origin API access for the origins in CORS_ALLOWED_ORIGINS only.
+// Browsers on other origins get no CORS headers (and a 403 on preflight); same-origin requests are unaffected.
+function cors(config) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin || isSameOrigin(req, origin)) {
+      return next();
+    }
+
+    const allowed = config.corsOrigins.includes(origin.replace(/\/+$/, ''));
+    if (allowed) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+      if (!allowed) {
+        return res.status(403).json({ error: 'Origin not allowed', code: 'CORS_ORIGIN_REFUSED' });
+      }
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', `Authorization, Content-Type, X-API-Key, ${CSRF_HEADER}`);
+      res.setHeader('Access-Control-Max-Age', '600');
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+// JSON responses for bodies the parsers refuse (too large or malformed) instead of the generic 500
+function handleBodyErrors(err, req, res, next) {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'BODY_TOO_LARGE' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'BODY_INVALID' });
+  }
+  next(err);
+}
+
+// Refuse state-changing requests that a browser on another site could forge:
+// - an Origin header from a site that is neither this one nor in CORS_ALLOWED_ORIGINS
+// - a request authenticated by the session cookie (SECURITY_AUTH_COOKIE) without the double-submit
+//   CSRF token (the csrf_token cookie echoed in the X-CSRF-Token header)
+// Bearer tokens and API keys are never sent automatically by browsers, so they need no CSRF token.
+function csrfProtection(config) {
+  return (req, res, next) => {
+    const cookies = parseCookies(req);
+
+    // Hand out the token the front end echoes back once cookie sessions are in use
+    if (config.authCookie && !cookies[CSRF_COOKIE]) {
+      const secure = req.secure ? '; Secure' : '';
+      res.append('Set-Cookie', `${CSRF_COOKIE}=${crypto.randomBytes(32).toString('base64url')}; Path=/; SameSite=Strict${secure}`);
+    }
+
+    if (SAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const origin = req.get('Origin');
+    if (origin && !isSameOrigin(req, origin) && !config.corsOrigins.includes(origin.replace(/\/+$/, ''))) {
+      return res.status(403).json({ error: 'Cross-site request refused', code: 'CSRF_ORIGIN_REFUSED' });
+    }
+
+    const usesHeaderAuth = !!(req.get('Authorization') || req.get('X-API-Key'));
+    if (config.authCookie && cookies[config.authCookie] && !usesHeaderAuth) {
+      const expected = Buffer.from(cookies[CSRF_COOKIE] || '');
+      const actual = Buffer.from(req.get(CSRF_HEADER) || '');
+      if (expected.length === 0 || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(403).json({ error: 'Missing or invalid CSRF token', code: 'CSRF_TOKEN_INVALID' });
+      }
+    }
+    next();
+  };
+}
+
+// Serve only allow-listed files from the repository root (never scripts, backups or .env),
+// plus the public/ and uploads/ directories
+function staticFiles(rootDir, config) {
+  const router = express.Router();
+  const sendIndex = (req, res) => res.sendFile(path.join(rootDir, 'index.html'));
+
+  router.get('/', sendIndex);
+  config.staticFiles.forEach(file => {
+    const name = path.basename(file);
+    router.get(`/${name}`, (req, res) => res.sendFile(path.join(rootDir, name)));
+  });
+  router.use('/public', express.static(path.join(rootDir, 'public')));
+  // Keep /uploads for backward compatibility with existing images
+  router.use('/uploads', express.static(path.join(rootDir, 'uploads')));
+  return router;
+}
+
+module.exports = {
+  getSecurityConfig,
+  securityHeaders,
+  cors,
+  handleBodyErrors,
+  csrfProtection,
+  staticFiles,
+  parseCookies
+};
@@ -0,0 +1,165 @@
+// Local mock OpenID Connect identity provider for testing company sign-in without a real IdP.
+// Not for production: anyone can pick any of the mock users.
+//
+//   node mockOidcServer.js
+//
+// and in .env:
+//   AUTH_PROVIDERS=local,oidc
+//   OIDC_ISSUER=http://localhost:9400
+//   OIDC_CLIENT_ID=trichygold-local
+//
+// Then map the mock groups to roles in the role editor (Identity Provider Groups),
+// e.g. admin <- marketing-admins, editor <- marketing-editors.
+// MOCK_OIDC_USERS may hold a JSON array of users ({ sub, preferred_username, email, name, groups }).
+const express = require('express');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const issuer = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`).replace(/\/+$/, '');
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || process.env.OIDC_CLIENT_ID || 'trichygold-local';
+
+const defaultUsers = [
+  { sub: 'mock-admin', preferred_username: 'oidc.admin', email: 'oidc.admin@example.com', name: 'Mock Admin', groups: ['marketing-admins'] },
+  { sub: 'mock-editor', preferred_username: 'oidc.editor', email: 'oidc.editor@example.com', name: 'Mock Editor', groups: ['marketing-editors'] },
+  { sub: 'mock-viewer', preferred_username: 'oidc.viewer', email: 'oidc.viewer@example.com', name: 'Mock Viewer', groups: ['marketing-viewers'] },
+  { sub: 'mock-outsider', preferred_username: 'oidc.outsider', email: 'oidc.outsider@example.com', name: 'Mock Outsider', groups: [] }
+];
+const users = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : defaultUsers;
+
+// Signing key for id tokens, new on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+// Authorization codes waiting to be exchanged: code -> { clientId, redirectUri, codeChallenge, nonce, user, expiresAt }
+const codes = new Map();
+
+function signIdToken(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(data), privateKey).toString('base64url');
+  return `${data}.${signature}`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'profile', 'email', 'groups'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// Login page: pick a mock user
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+  if (client_id !== clientId) {
+    return res.status(400).send(`Unknown client_id ${escapeHtml(client_id || '')}`);
+  }
+  if (response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('response_type=code and redirect_uri are required');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE with code_challenge_method=S256 is required');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('');
+  const buttons = users.map(user => `
+    <button type="submit" name="sub" value="${escapeHtml(user.sub)}" style="display:block;margin:8px 0;padding:8px 16px;">
+      ${escapeHtml(user.name || user.preferred_username)} (${escapeHtml((user.groups || []).join(', ') || 'no groups')})
+    </button>`).join('');
+
+  res.send(`<!DOCTYPE html><html><head><title>Mock identity provider</title></head>
+    <body style="font-family:sans-serif;max-width:480px;margin:40px auto;">
+      <h2>Mock identity provider</h2>
+      <p>Sign in as:</p>
+      <form method="post" action="/authorize">${hidden}${buttons}</form>
+    </body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, sub } = req.body;
+  const user = users.find(u => u.sub === sub);
+  if (client_id !== clientId || !user) {
+    return res.status(400).send('Invalid sign-in');
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    user,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const params = new URLSearchParams({ code });
+  if (state) params.set('state', state);
+  res.redirect(`${redirect_uri}${redirect_uri.includes('?') ? '&' : '?'}${params.toString()}`);
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+  if (entry.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+  }
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const { sub, preferred_username, email, name, groups } = entry.user;
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: signIdToken({
+      iss: issuer,
+      aud: entry.clientId,
+      sub,
+      iat: now,
+      exp: now + 300,
+      nonce: entry.nonce,
+      preferred_username,
+      email,
+      email_verified: true,
+      name,
+      groups: groups || []
+    })
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider running at ${issuer} (client_id ${clientId})`);
+  users.forEach(user => console.log(`  ${user.preferred_username}: ${(user.groups || []).join(', ') || 'no groups'}`));
+});
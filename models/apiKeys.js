@@ -0,0 +1,142 @@
+// Scoped API keys for scripts and integrations. Only a SHA-256 hash of each key is stored.
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const Permissions = require('./permissions');
+
+const KEY_PREFIX = 'tgk';
+// Only write last_used_at when it is older than this, to avoid a database write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyManager {
+  // Public shape of a key record (never includes the hash)
+  static toPublic(apiKey) {
+    return {
+      _id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      permissions: apiKey.permissions,
+      expires_at: apiKey.expires_at,
+      last_used_at: apiKey.last_used_at,
+      last_used_ip: apiKey.last_used_ip,
+      created_at: apiKey.created_at,
+      expired: !!(apiKey.expires_at && apiKey.expires_at <= new Date())
+    };
+  }
+
+  // Check a key request. Returns a list of validation errors.
+  // Keys may only carry permissions the owner currently has.
+  static validate({ name, permissions, expiresAt }, ownerPermissions) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      errors.push('Key name is required');
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      errors.push('At least one permission is required');
+    } else {
+      permissions.forEach(permission => {
+        if (!Permissions.isKnown(permission)) {
+          errors.push(`Unknown permission: ${permission}`);
+        } else if (ownerPermissions[permission] !== true) {
+          errors.push(`The key owner does not have the ${permission} permission`);
+        }
+      });
+    }
+
+    if (expiresAt) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime())) {
+        errors.push('Invalid expiry date');
+      } else if (expiry <= new Date()) {
+        errors.push('Expiry date must be in the future');
+      }
+    }
+
+    return errors;
+  }
+
+  // Create a key. The plain key is returned once and cannot be recovered later.
+  static async createKey(db, userId, { name, permissions, expiresAt }, createdBy) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = {
+      user_id: new ObjectId(userId),
+      name: name.trim(),
+      prefix: `${KEY_PREFIX}_${prefix}`,
+      key_hash: hashKey(key),
+      permissions: [...new Set(permissions)],
+      expires_at: expiresAt ? new Date(expiresAt) : null,
+      last_used_at: null,
+      last_used_ip: null,
+      created_by: createdBy ? new ObjectId(createdBy) : null,
+      created_at: new Date(),
+      revoked_at: null
+    };
+
+    const result = await db.collection('apiKeys').insertOne(apiKey);
+    return { key, apiKey: this.toPublic({ ...apiKey, _id: result.insertedId }) };
+  }
+
+  // List a user's keys that have not been revoked
+  static async listUserKeys(db, userId) {
+    const keys = await db.collection('apiKeys')
+      .find({ user_id: new ObjectId(userId), revoked_at: null })
+      .sort({ created_at: -1 })
+      .toArray();
+    return keys.map(apiKey => this.toPublic(apiKey));
+  }
+
+  static async revokeKey(db, userId, keyId) {
+    const result = await db.collection('apiKeys').updateOne(
+      { _id: new ObjectId(keyId), user_id: new ObjectId(userId), revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  static async revokeUserKeys(db, userId) {
+    const result = await db.collection('apiKeys').updateMany(
+      { user_id: new ObjectId(userId), revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Look up an active key from the X-API-Key header value and record its use
+  static async findActiveKey(db, key, ip) {
+    if (!key || typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) {
+      return null;
+    }
+
+    const apiKey = await db.collection('apiKeys').findOne({ key_hash: hashKey(key), revoked_at: null });
+    if (!apiKey || (apiKey.expires_at && apiKey.expires_at <= new Date())) {
+      return null;
+    }
+
+    if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() >= LAST_USED_UPDATE_INTERVAL_MS) {
+      await db.collection('apiKeys').updateOne(
+        { _id: apiKey._id },
+        { $set: { last_used_at: new Date(), last_used_ip: ip || '' } }
+      );
+    }
+
+    return apiKey;
+  }
+
+  // Effective permissions of a key: its own list, limited to what the owner's roles grant today
+  static scopePermissions(ownerPermissions, apiKey) {
+    const scoped = {};
+    Object.keys(ownerPermissions).forEach(permission => {
+      scoped[permission] = ownerPermissions[permission] === true && apiKey.permissions.includes(permission);
+    });
+    return scoped;
+  }
+}
+
+module.exports = ApiKeyManager;
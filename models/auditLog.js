@@ -0,0 +1,152 @@
+// Audit trail: one auditLog document per create/update/delete, with who did it, from where,
+// and a field-by-field diff of the entity before and after the change
+const { ObjectId } = require('mongodb');
+const SessionRegistry = require('./sessionRegistry');
+
+// Secrets are never copied into the audit log; a change to them is recorded as "[redacted]"
+const REDACTED_FIELDS = ['password', 'password_history', 'two_factor', 'key_hash', 'token_hash'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof ObjectId);
+}
+
+function toAuditValue(value) {
+  if (value instanceof ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// Flatten a document into { 'dotted.path': value }; arrays are indexed (channels.0.tagNumber)
+function flatten(value, prefix, out) {
+  const isContainer = Array.isArray(value) || isPlainObject(value);
+  if (!isContainer) {
+    out[prefix] = toAuditValue(value);
+    return out;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 0 && prefix) {
+    out[prefix] = Array.isArray(value) ? [] : {};
+    return out;
+  }
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && (key === '_id' || REDACTED_FIELDS.includes(key))) {
+      if (REDACTED_FIELDS.includes(key)) out[path] = '[redacted]';
+      return;
+    }
+    flatten(value[key], path, out);
+  });
+  return out;
+}
+
+class AuditLog {
+  // Who made the change and from where, taken from the authenticated request.
+  // While an administrator views the app as another user, the actor is that user and the
+  // administrator is recorded as impersonator.
+  static getContext(req) {
+    const { ip, user_agent } = SessionRegistry.getClientInfo(req);
+    return {
+      actor_id: req.user ? req.user._id : null,
+      actor_username: req.user ? req.user.username : null,
+      impersonator_id: req.impersonator ? req.impersonator._id : null,
+      impersonator_username: req.impersonator ? req.impersonator.username : null,
+      api_key_id: req.apiKey ? req.apiKey._id : null,
+      ip,
+      user_agent
+    };
+  }
+
+  // Changes made by the server itself (startup migrations, default roles)
+  static getSystemContext() {
+    return {
+      actor_id: null, actor_username: 'system', impersonator_id: null, impersonator_username: null,
+      api_key_id: null, ip: null, user_agent: null
+    };
+  }
+
+  // Field-by-field differences: [{ field, from, to }]. Secret fields only show that they changed.
+  static diff(before, after) {
+    const flatBefore = before ? flatten(before, '', {}) : {};
+    const flatAfter = after ? flatten(after, '', {}) : {};
+    const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+    return fields
+      .filter(field => {
+        if (REDACTED_FIELDS.includes(field)) {
+          return JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]);
+        }
+        return JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]);
+      })
+      .map(field => ({
+        field,
+        from: flatBefore[field] === undefined ? null : flatBefore[field],
+        to: flatAfter[field] === undefined ? null : flatAfter[field]
+      }));
+  }
+
+  // Write an audit entry. Failures are logged but never break the change being audited.
+  // context is AuditLog.getContext(req); before/after are the entity documents (null for create/delete).
+  static async record(db, context, { action, entityType, entityId, entityName, before = null, after = null, details }) {
+    try {
+      const changes = this.diff(before, after);
+      if (action === 'update' && changes.length === 0 && !details) {
+        return null;
+      }
+
+      const entry = {
+        action,
+        entity_type: entityType,
+        entity_id: entityId !== undefined && entityId !== null ? String(entityId) : null,
+        entity_name: entityName || null,
+        changes,
+        details: details || null,
+        ...(context || this.getSystemContext()),
+        created_at: new Date()
+      };
+      await db.collection('auditLog').insertOne(entry);
+      return entry;
+    } catch (error) {
+      console.error('Error writing audit log entry:', error);
+      return null;
+    }
+  }
+
+  // Filtered, newest-first page of entries.
+  // Filters: entityType, entityId, actor (username or user id), action, from, to (dates)
+  static async find(db, { entityType, entityId, actor, action, from, to, limit, skip } = {}) {
+    const query = {};
+    if (entityType) query.entity_type = entityType;
+    if (entityId) query.entity_id = String(entityId);
+    if (action) query.action = action;
+    if (actor) {
+      query.$or = ObjectId.isValid(actor) && String(actor).length === 24
+        ? [{ actor_id: new ObjectId(actor) }, { actor_username: actor }]
+        : [{ actor_username: actor }];
+    }
+    if (from || to) {
+      query.created_at = {};
+      if (from) query.created_at.$gte = new Date(from);
+      if (to) {
+        // A date without a time includes the whole day
+        const toDate = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999);
+        query.created_at.$lte = toDate;
+      }
+    }
+
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(skip, 10) || 0, 0);
+    const auditLog = db.collection('auditLog');
+    const [entries, total] = await Promise.all([
+      auditLog.find(query).sort({ created_at: -1 }).skip(offset).limit(pageSize).toArray(),
+      auditLog.countDocuments(query)
+    ]);
+    return { entries, total, limit: pageSize, skip: offset };
+  }
+}
+
+module.exports = AuditLog;
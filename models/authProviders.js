@@ -0,0 +1,83 @@
+// Authentication providers: how a user proves who they are before a session is created.
+// AUTH_PROVIDERS lists the enabled providers (default "local"); e.g. AUTH_PROVIDERS=local,oidc adds
+// company sign-in (models/oidcProvider.js). Sessions, tokens and permissions are the same for every provider.
+const bcrypt = require('bcryptjs');
+const OidcProvider = require('./oidcProvider');
+
+// Username and bcrypt password stored in the users collection
+class LocalAuthProvider {
+  static get id() {
+    return 'local';
+  }
+
+  static get type() {
+    return 'local';
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  static getLabel() {
+    return 'Username and password';
+  }
+
+  // The login form posts to /api/auth/login instead of redirecting
+  static getLoginUrl() {
+    return null;
+  }
+
+  // The user with these credentials, or null
+  static async verifyCredentials(db, username, password) {
+    const user = await db.collection('users').findOne({ username: username });
+    const isValidPassword = user && user.password ? await bcrypt.compare(password, user.password) : false;
+    return isValidPassword ? user : null;
+  }
+}
+
+const PROVIDERS = [LocalAuthProvider, OidcProvider];
+
+function getListedIds() {
+  return (process.env.AUTH_PROVIDERS || 'local').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+}
+
+class AuthProviders {
+  // Enabled and configured providers, in AUTH_PROVIDERS order
+  static getEnabled() {
+    return getListedIds()
+      .map(id => PROVIDERS.find(provider => provider.id === id))
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  // An enabled provider by id, or null
+  static get(id) {
+    return this.getEnabled().find(provider => provider.id === id) || null;
+  }
+
+  // What the login page needs to offer each provider
+  static getPublicList() {
+    return this.getEnabled().map(provider => ({
+      id: provider.id,
+      type: provider.type,
+      label: provider.getLabel(),
+      loginUrl: provider.getLoginUrl()
+    }));
+  }
+
+  // Warn at startup about providers that are listed but cannot be used
+  static checkConfiguration() {
+    getListedIds().forEach(id => {
+      const provider = PROVIDERS.find(p => p.id === id);
+      if (!provider) {
+        console.warn(`AUTH_PROVIDERS: unknown provider "${id}" ignored`);
+      } else if (!provider.isConfigured()) {
+        console.warn(`AUTH_PROVIDERS: "${id}" is not configured and is disabled (see the RBAC guide)`);
+      }
+    });
+    if (this.getEnabled().length === 0) {
+      console.warn('AUTH_PROVIDERS: no usable provider - nobody can sign in');
+    }
+  }
+}
+
+module.exports = AuthProviders;
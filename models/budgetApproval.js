@@ -0,0 +1,184 @@
+// Budget approval for high-value campaigns.
+// A budget at or above a threshold in BUDGET_APPROVAL_THRESHOLDS (AED, comma separated, default
+// 100000,500000) needs one approval per threshold it reaches, each from a different user with
+// approve_budgets and never from the user who requested it. One rejection rejects the request.
+// Requests live in the approvals collection; a Planned campaign cannot become Active until the
+// request for its current budget is approved, and an Active campaign whose budget is raised to an
+// amount that is not approved yet goes back to Planned.
+const { ObjectId } = require('mongodb');
+
+const THRESHOLDS = (process.env.BUDGET_APPROVAL_THRESHOLDS || '100000,500000')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => !isNaN(value) && value > 0)
+  .sort((a, b) => a - b);
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+const COMMENT_MAX_LENGTH = 1000;
+
+class BudgetApproval {
+  static get THRESHOLDS() {
+    return THRESHOLDS;
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  // Approvals a budget needs: 0 below the lowest threshold
+  static requiredApprovals(budget) {
+    const amount = typeof budget === 'number' ? budget : parseFloat(budget);
+    return isNaN(amount) ? 0 : THRESHOLDS.filter(threshold => amount >= threshold).length;
+  }
+
+  // The campaign's most recent request
+  static async findLatest(db, campaignId) {
+    return db.collection('approvals').findOne({ campaignId }, { sort: { requestedAt: -1 } });
+  }
+
+  // After a campaign is saved: make sure its current budget has a request when it needs one.
+  // A pending request for an older budget is reopened for the new one (its decisions are cleared);
+  // an approved or rejected request stays as it was. Returns the request for the current budget, or null.
+  static async syncRequest(db, req, campaign) {
+    const required = this.requiredApprovals(campaign.budget);
+    const approvals = db.collection('approvals');
+    const latest = await this.findLatest(db, campaign.campaignId);
+
+    if (required === 0) {
+      if (latest && latest.status === 'pending') {
+        await approvals.deleteOne({ _id: latest._id, status: 'pending' });
+      }
+      return null;
+    }
+    if (latest && latest.budget === campaign.budget) {
+      return latest;
+    }
+
+    const request = {
+      campaignId: campaign.campaignId,
+      campaignName: campaign.name || '',
+      budget: campaign.budget,
+      requiredApprovals: required,
+      status: 'pending',
+      requestedBy: req.user ? req.user.username : null,
+      requestedById: req.user ? req.user._id : null,
+      requestedAt: new Date(),
+      decisions: []
+    };
+    if (latest && latest.status === 'pending') {
+      await approvals.updateOne({ _id: latest._id }, { $set: request });
+      return { ...request, _id: latest._id };
+    }
+    const result = await approvals.insertOne(request);
+    return { ...request, _id: result.insertedId };
+  }
+
+  // Errors ([{ field, message }]) for making the campaign Active with this request (from syncRequest)
+  static checkActivation(campaign, approval) {
+    if (this.requiredApprovals(campaign.budget) === 0 || (approval && approval.status === 'approved')) {
+      return [];
+    }
+    const state = approval && approval.status === 'rejected'
+      ? 'it was rejected; change the budget to request approval again'
+      : `${approval ? approval.decisions.filter(d => d.decision === 'approved').length : 0} of ` +
+        `${this.requiredApprovals(campaign.budget)} approvals so far`;
+    return [{ field: 'budget', message: `The budget must be approved before the campaign becomes Active (${state})` }];
+  }
+
+  // After a save of an Active campaign (previous is the campaign before it): true when the budget was
+  // raised to an amount its request (from syncRequest) has not approved, so the campaign has to go back
+  // to Planned. Lowering the budget keeps the campaign Active.
+  static mustLeaveActive(campaign, previous, approval) {
+    const amount = value => (typeof value === 'number' ? value : parseFloat(value)) || 0;
+    return !!previous && previous.status === 'Active' && campaign.status === 'Active' &&
+      amount(campaign.budget) > amount(previous.budget) && this.checkActivation(campaign, approval).length > 0;
+  }
+
+  // Why the request's user may not decide on this request, or null
+  static checkDecision(req, approval, decision, comment) {
+    if (!DECISIONS[decision]) {
+      return { status: 400, error: 'decision must be approve or reject' };
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      return { status: 400, error: 'comment must be a string' };
+    }
+    if (comment && comment.length > COMMENT_MAX_LENGTH) {
+      return { status: 400, error: `comment must be at most ${COMMENT_MAX_LENGTH} characters` };
+    }
+    if (decision === 'reject' && !(comment || '').trim()) {
+      return { status: 400, error: 'A comment is required when rejecting a budget' };
+    }
+    if (approval.status !== 'pending') {
+      return { status: 409, error: `This request is already ${approval.status}` };
+    }
+    const userId = String(req.user._id);
+    if (String(approval.requestedById) === userId) {
+      return { status: 403, error: 'You cannot decide on a budget you requested' };
+    }
+    if (approval.decisions.some(d => String(d.byId) === userId)) {
+      return { status: 409, error: 'You have already approved this budget' };
+    }
+    return null;
+  }
+
+  // Record the user's decision; the request is approved once it has enough approvals.
+  // Returns the updated request, or null if it changed in the meantime.
+  static async decide(db, req, approval, decision, comment) {
+    const entry = {
+      decision: DECISIONS[decision],
+      comment: (comment || '').trim(),
+      by: req.user.username,
+      byId: req.user._id,
+      at: new Date()
+    };
+    const approved = approval.decisions.filter(d => d.decision === 'approved').length + (decision === 'approve' ? 1 : 0);
+    const update = { $push: { decisions: entry } };
+    if (decision === 'reject' || approved >= approval.requiredApprovals) {
+      update.$set = { status: DECISIONS[decision], decidedAt: entry.at };
+    }
+
+    const result = await db.collection('approvals').findOneAndUpdate(
+      { _id: approval._id, status: 'pending', decisions: { $size: approval.decisions.length } },
+      update,
+      { returnDocument: 'after' }
+    );
+    // Driver 6 returns the document, older drivers { value }
+    return result && result.value !== undefined ? result.value : result;
+  }
+
+  static async findById(db, approvalId) {
+    return ObjectId.isValid(approvalId) && String(approvalId).length === 24
+      ? db.collection('approvals').findOne({ _id: new ObjectId(approvalId) })
+      : null;
+  }
+
+  // Requests, newest first. Filters: status, campaignId
+  static async find(db, { status, campaignId } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (campaignId) query.campaignId = String(campaignId);
+    return db.collection('approvals').find(query).sort({ requestedAt: -1 }).limit(500).toArray();
+  }
+
+  // "Pending my approval": pending requests the user did not request and has not approved, oldest first
+  static async findPendingFor(db, req) {
+    return db.collection('approvals').find({
+      status: 'pending',
+      requestedById: { $ne: req.user._id },
+      'decisions.byId': { $ne: req.user._id }
+    }).sort({ requestedAt: 1 }).toArray();
+  }
+
+  // Request as the requesting user may see it: the amount is financial data
+  static forRequest(req, approval) {
+    const permissions = req.permissions || {};
+    if (permissions.view_financials === true || permissions.approve_budgets === true) {
+      return approval;
+    }
+    const { budget, ...projected } = approval;
+    return projected;
+  }
+}
+
+module.exports = BudgetApproval;
@@ -0,0 +1,47 @@
+// Record-level campaign access.
+// edit_campaigns can edit every campaign; edit_own_campaigns only campaigns whose jobAssignedTo
+// is the employee record linked to the user (users.employee_id -> employees.employee_id).
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+class CampaignAccess {
+  // Employee record linked to the authenticated user (cached on the request)
+  static async getLinkedEmployee(db, req) {
+    if (req.linkedEmployee !== undefined) {
+      return req.linkedEmployee;
+    }
+
+    req.linkedEmployee = req.user && req.user.employee_id
+      ? await db.collection('employees').findOne({ employee_id: req.user.employee_id })
+      : null;
+    return req.linkedEmployee;
+  }
+
+  // Campaigns store the assigned employee's name in jobAssignedTo
+  static isAssignedTo(campaign, employee) {
+    return !!(employee && campaign && campaign.jobAssignedTo &&
+      normalizeName(campaign.jobAssignedTo) === normalizeName(employee.name));
+  }
+
+  static async canEdit(db, req, campaign) {
+    if (req.permissions.edit_campaigns === true) {
+      return true;
+    }
+    if (req.permissions.edit_own_campaigns !== true) {
+      return false;
+    }
+    return this.isAssignedTo(campaign, await this.getLinkedEmployee(db, req));
+  }
+
+  // Users limited to their own campaigns may not hand a campaign over to someone else
+  static canReassign(req, campaign, newAssignee) {
+    if (req.permissions.edit_campaigns === true || newAssignee === undefined) {
+      return true;
+    }
+    return normalizeName(newAssignee) === normalizeName(campaign.jobAssignedTo);
+  }
+}
+
+module.exports = CampaignAccess;
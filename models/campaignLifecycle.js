@@ -0,0 +1,132 @@
+// Campaign status lifecycle: the statuses a campaign can move to, what it needs before entering a
+// status, and the status history kept on the campaign (statusHistory, oldest first).
+// New campaigns start as Suggested or Planned; after that the status only changes through
+// POST /api/campaigns/:campaignId/transition, which records who moved the campaign and why. Edits and
+// restored versions must keep what the campaign's status needs (e.g. an Active campaign's Start Date).
+const CampaignSchema = require('./campaignSchema');
+
+const INITIAL_STATUSES = ['Suggested', 'Planned'];
+
+const TRANSITIONS = {
+  Suggested: ['Planned', 'Cancelled'],
+  Planned: ['Active', 'Suggested', 'Cancelled'],
+  Active: ['Completed', 'Cancelled'],
+  Completed: [],
+  Cancelled: ['Suggested', 'Planned']
+};
+
+const REASON_MAX_LENGTH = 500;
+
+const isSet = value => typeof value === 'string' && value.trim() !== '';
+
+// What a campaign must have before it enters a status
+const REQUIREMENTS = {
+  Planned: [
+    { field: 'workStartDate', label: 'Work Start Date', check: campaign => isSet(campaign.workStartDate) }
+  ],
+  Active: [
+    { field: 'startDate', label: 'Start Date', check: campaign => isSet(campaign.startDate) },
+    {
+      field: 'channels', label: 'At least one channel with a reference code',
+      check: campaign => Array.isArray(campaign.channels) && campaign.channels.some(channel => channel && isSet(channel.tagNumber))
+    }
+  ],
+  Completed: [
+    { field: 'startDate', label: 'Start Date', check: campaign => isSet(campaign.startDate) },
+    { field: 'endDate', label: 'End Date', check: campaign => isSet(campaign.endDate) }
+  ]
+};
+
+class CampaignLifecycle {
+  static get INITIAL_STATUSES() {
+    return INITIAL_STATUSES;
+  }
+
+  // The lifecycle as served with GET /api/campaigns/schema
+  static getLifecycle() {
+    const requirements = {};
+    Object.entries(REQUIREMENTS).forEach(([status, checks]) => {
+      requirements[status] = checks.map(requirement => requirement.label);
+    });
+    return { statuses: CampaignSchema.STATUSES, initial: INITIAL_STATUSES, transitions: TRANSITIONS, requirements };
+  }
+
+  // Statuses a campaign in this status can move to. Campaigns saved before the lifecycle existed
+  // may have no status or an unknown one; they can move to any status.
+  static getAllowedTransitions(status) {
+    return TRANSITIONS[status] || CampaignSchema.STATUSES.filter(s => s !== status);
+  }
+
+  // Unmet requirements for entering a status: [{ field, message }]
+  static checkRequirements(campaign, status) {
+    return (REQUIREMENTS[status] || [])
+      .filter(requirement => !requirement.check(campaign))
+      .map(requirement => ({ field: requirement.field, message: `${status} campaigns need: ${requirement.label}` }));
+  }
+
+  // Errors ([{ field, message }]) for moving a campaign to status with the given reason
+  static checkTransition(campaign, status, reason) {
+    const from = campaign.status;
+    if (!CampaignSchema.STATUSES.includes(status)) {
+      return [{ field: 'status', message: `Status must be one of: ${CampaignSchema.STATUSES.join(', ')}` }];
+    }
+    if (status === from) {
+      return [{ field: 'status', message: `Campaign is already ${status}` }];
+    }
+
+    const allowed = this.getAllowedTransitions(from);
+    if (!allowed.includes(status)) {
+      return [{
+        field: 'status',
+        message: `Cannot move a ${from} campaign to ${status}` + (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : '')
+      }];
+    }
+
+    const errors = this.checkRequirements(campaign, status);
+    if (!isSet(reason)) {
+      errors.push({ field: 'reason', message: 'A reason for the status change is required' });
+    } else if (reason.length > REASON_MAX_LENGTH) {
+      errors.push({ field: 'reason', message: `Reason must be at most ${REASON_MAX_LENGTH} characters` });
+    }
+    return errors;
+  }
+
+  // Errors for the status in campaign data saved with POST /api/campaigns or PUT /api/campaigns/:campaignId:
+  // new campaigns start in an initial status, and saving never changes the status of an existing one
+  // or takes away what that status needs (campaignData may hold only the fields that change)
+  static checkSavedStatus(campaignData, existing) {
+    const status = campaignData.status;
+    if (!existing) {
+      if (!INITIAL_STATUSES.includes(status)) {
+        return [{ field: 'status', message: `New campaigns start as ${INITIAL_STATUSES.join(' or ')}` }];
+      }
+      return this.checkRequirements(campaignData, status);
+    }
+    if (status !== undefined && status !== null && status !== existing.status) {
+      return [{ field: 'status', message: 'Status can only be changed with Change Status in the campaign details' }];
+    }
+    return this.checkKeptRequirements({ ...existing, ...campaignData }, existing);
+  }
+
+  // Unmet requirements of the existing campaign's status once it is saved as campaign (an edit or a
+  // restored version). Requirements the existing campaign does not meet either (saved before the
+  // lifecycle existed) are left for its next transition.
+  static checkKeptRequirements(campaign, existing) {
+    const unmet = this.checkRequirements(existing, existing.status).map(error => error.field);
+    return this.checkRequirements(campaign, existing.status).filter(error => !unmet.includes(error.field));
+  }
+
+  // statusHistory entry for a status change made by the request's user
+  static historyEntry(req, from, to, reason) {
+    return {
+      from: from || null,
+      to,
+      reason: reason ? reason.trim() : '',
+      changedBy: req.user ? req.user.username : null,
+      changedById: req.user ? req.user._id : null,
+      changedAt: new Date()
+    };
+  }
+}
+
+module.exports = CampaignLifecycle;
@@ -0,0 +1,88 @@
+// Field-level projection of campaign data.
+// Users without view_financials never receive budget, goal/achieved sales or channel costs,
+// and cannot overwrite those values when they save a campaign.
+
+// Audit log diff fields (see AuditLog.diff) that hold financial values
+const FINANCIAL_AUDIT_FIELD = /^(budget|goals\.sales|achieved\.sales|channels\.\d+\.cost)$/;
+
+class CampaignProjection {
+  static canViewFinancials(req) {
+    return !!(req.permissions && req.permissions.view_financials === true);
+  }
+
+  // Copy of a campaign without its financial fields
+  static stripFinancials(campaign) {
+    if (!campaign) {
+      return campaign;
+    }
+
+    const { budget, ...projected } = campaign;
+    ['goals', 'achieved'].forEach(group => {
+      if (projected[group] && typeof projected[group] === 'object') {
+        const { sales, ...rest } = projected[group];
+        projected[group] = rest;
+      }
+    });
+    if (Array.isArray(projected.channels)) {
+      projected.channels = projected.channels.map(({ cost, ...channel }) => channel);
+    }
+    return projected;
+  }
+
+  // Campaign (or list of campaigns) as the requesting user may see it
+  static forRequest(req, campaigns) {
+    if (this.canViewFinancials(req)) {
+      return campaigns;
+    }
+    return Array.isArray(campaigns)
+      ? campaigns.map(campaign => this.stripFinancials(campaign))
+      : this.stripFinancials(campaigns);
+  }
+
+  // Audit log entry as the requesting user may see it: changes to financial campaign fields are dropped
+  static auditEntryForRequest(req, entry) {
+    if (this.canViewFinancials(req) || entry.entity_type !== 'campaign') {
+      return entry;
+    }
+    return { ...entry, changes: entry.changes.filter(change => !FINANCIAL_AUDIT_FIELD.test(change.field)) };
+  }
+
+  // Before saving campaign data from a user without view_financials: their form never showed
+  // the financial fields, so keep the stored values (existing is null for a new campaign).
+  static preserveFinancials(req, campaignData, existing) {
+    if (this.canViewFinancials(req)) {
+      return campaignData;
+    }
+
+    // Campaigns are saved with $set, so a missing budget leaves the stored one in place
+    delete campaignData.budget;
+
+    ['goals', 'achieved'].forEach(group => {
+      if (campaignData[group] && typeof campaignData[group] === 'object') {
+        delete campaignData[group].sales;
+        const stored = existing && existing[group];
+        if (stored && stored.sales !== undefined) {
+          campaignData[group].sales = stored.sales;
+        }
+      }
+    });
+
+    if (Array.isArray(campaignData.channels)) {
+      const storedChannels = (existing && existing.channels) || [];
+      campaignData.channels.forEach((channel, index) => {
+        delete channel.cost;
+        // Match the stored channel by reference code, falling back to its position
+        const stored = channel.tagNumber
+          ? storedChannels.find(c => c.tagNumber === channel.tagNumber)
+          : storedChannels[index];
+        if (stored && stored.cost !== undefined) {
+          channel.cost = stored.cost;
+        }
+      });
+    }
+
+    return campaignData;
+  }
+}
+
+module.exports = CampaignProjection;
@@ -0,0 +1,292 @@
+// Filtering, sorting and cursor pagination for GET /api/campaigns.
+// The query parameters mirror the filter row of the campaigns table (applyFilters in index.html):
+//   campaignId, name, description, targetAge, channelTag, tagNumber   - contains, case-insensitive
+//   status, jobAssignedTo, targetGender, channel                      - exact match (channel = channel type)
+//   workStartDateFrom/To, startDateFrom/To, endDateFrom/To            - YYYY-MM-DD; campaigns without the date pass
+//   budgetMin/Max, goalSalesMin/Max, goalImpressionsMin/Max, goalConversionsMin/Max,
+//   achievedSalesMin/Max, achievedImpressionsMin/Max, achievedConversionsMin/Max
+//   mine=true                                                         - assigned to the user's linked employee
+// plus sort (a field from SORT_FIELDS), order (asc|desc), limit and cursor.
+const { ObjectId } = require('mongodb');
+const CampaignProjection = require('./campaignProjection');
+const CampaignAccess = require('./campaignAccess');
+const AuditLog = require('./auditLog');
+
+const TEXT_FILTERS = {
+  campaignId: 'campaignId',
+  name: 'name',
+  description: 'description',
+  targetAge: 'targetAudience.age',
+  channelTag: 'channels.channelTag',
+  tagNumber: 'channels.tagNumber'
+};
+
+const EXACT_FILTERS = {
+  status: 'status',
+  jobAssignedTo: 'jobAssignedTo',
+  targetGender: 'targetAudience.gender',
+  channel: 'channels.type'
+};
+
+// Parameter prefix -> field; the parameters are <prefix>From and <prefix>To
+const DATE_RANGE_FILTERS = {
+  workStartDate: 'workStartDate',
+  startDate: 'startDate',
+  endDate: 'endDate'
+};
+
+// Parameter prefix -> field; the parameters are <prefix>Min and <prefix>Max
+const NUMBER_RANGE_FILTERS = {
+  budget: 'budget',
+  goalSales: 'goals.sales',
+  goalImpressions: 'goals.impressions',
+  goalConversions: 'goals.conversions',
+  achievedSales: 'achieved.sales',
+  achievedImpressions: 'achieved.impressions',
+  achievedConversions: 'achieved.conversions'
+};
+
+// Hidden from users without view_financials, so they can neither filter nor sort by them
+const FINANCIAL_FIELDS = ['budget', 'goals.sales', 'achieved.sales'];
+
+const SORT_FIELDS = [
+  '_id', 'campaignId', 'name', 'workStartDate', 'startDate', 'endDate', 'status', 'jobAssignedTo',
+  'budget', 'goals.sales', 'goals.impressions', 'goals.conversions',
+  'achieved.sales', 'achieved.impressions', 'achieved.conversions'
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getPath(doc, field) {
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+// Documents where the field is missing or null
+function isNull(field) {
+  return { $or: [{ [field]: { $exists: false } }, { [field]: null }] };
+}
+
+function encodeCursor(value, id) {
+  const v = value instanceof Date ? { date: value.toISOString() } : (value === undefined ? null : value);
+  return Buffer.from(JSON.stringify({ v, id: id.toString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!ObjectId.isValid(id)) return null;
+    const value = v && typeof v === 'object' && v.date ? new Date(v.date) : v;
+    return { value, id: new ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Campaigns after the cursor position for a { field, direction } sort with _id as the tie-breaker.
+// Missing values sort first ascending and last descending, as in MongoDB.
+function afterCursor(field, direction, { value, id }) {
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+  if (field === '_id') {
+    return idAfter;
+  }
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ $and: [isNull(field), idAfter] }, { [field]: { $exists: true, $ne: null } }] }
+      : { $and: [isNull(field), idAfter] };
+  }
+
+  const clauses = [
+    { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+    { [field]: value, ...idAfter }
+  ];
+  if (direction === -1) {
+    clauses.push(isNull(field));
+  }
+  return { $or: clauses };
+}
+
+function toMongoSort({ field, direction }) {
+  return field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+}
+
+class CampaignQuery {
+  // Mongo filter for the request's query parameters. Returns { filter, errors }.
+  static async buildFilter(db, req) {
+    const query = req.query || {};
+    const canViewFinancials = CampaignProjection.canViewFinancials(req);
+    const clauses = [];
+    const errors = [];
+    const param = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+
+    Object.entries(TEXT_FILTERS).forEach(([name, field]) => {
+      if (param(name)) {
+        clauses.push({ [field]: { $regex: escapeRegex(param(name)), $options: 'i' } });
+      }
+    });
+
+    Object.entries(EXACT_FILTERS).forEach(([name, field]) => {
+      if (param(name)) {
+        clauses.push({ [field]: param(name) });
+      }
+    });
+
+    Object.entries(DATE_RANGE_FILTERS).forEach(([prefix, field]) => {
+      const range = {};
+      [['From', '$gte'], ['To', '$lte']].forEach(([suffix, operator]) => {
+        const value = param(prefix + suffix);
+        if (!value) return;
+        if (!DATE_PATTERN.test(value)) {
+          errors.push(`${prefix}${suffix} must be a date (YYYY-MM-DD)`);
+        } else {
+          range[operator] = value;
+        }
+      });
+      if (Object.keys(range).length > 0) {
+        clauses.push({ $or: [isNull(field), { [field]: '' }, { [field]: range }] });
+      }
+    });
+
+    Object.entries(NUMBER_RANGE_FILTERS).forEach(([prefix, field]) => {
+      if (!canViewFinancials && FINANCIAL_FIELDS.includes(field)) return;
+      const range = {};
+      [['Min', '$gte'], ['Max', '$lte']].forEach(([suffix, operator]) => {
+        const value = param(prefix + suffix);
+        if (!value) return;
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          errors.push(`${prefix}${suffix} must be a number`);
+        } else {
+          range[operator] = number;
+        }
+      });
+      // Like the table filter, a bound excludes campaigns where the value is empty or 0
+      if (Object.keys(range).length > 0) {
+        clauses.push({ [field]: { ...range, $ne: 0 } });
+      }
+    });
+
+    if (param('mine') === 'true') {
+      const employee = await CampaignAccess.getLinkedEmployee(db, req);
+      clauses.push(employee
+        ? { jobAssignedTo: { $regex: `^\\s*${escapeRegex(employee.name.trim())}\\s*$`, $options: 'i' } }
+        : { _id: null });
+    }
+
+    return { filter: clauses.length > 0 ? { $and: clauses } : {}, errors };
+  }
+
+  // Sort and page size from the query. Returns { sort: { field, direction }, limit, cursor, paginated, errors }.
+  // Requests without limit or cursor are not paginated and get every matching campaign.
+  static parsePaging(req) {
+    const query = req.query || {};
+    const errors = [];
+
+    let field = typeof query.sort === 'string' && query.sort ? query.sort : '_id';
+    if (!SORT_FIELDS.includes(field)) {
+      errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+      field = '_id';
+    } else if (FINANCIAL_FIELDS.includes(field) && !CampaignProjection.canViewFinancials(req)) {
+      field = '_id';
+    }
+
+    const order = String(query.order || 'asc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+      errors.push('order must be asc or desc');
+    }
+
+    const paginated = query.limit !== undefined || query.cursor !== undefined;
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+      limit = parseInt(query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+        limit = DEFAULT_PAGE_SIZE;
+      }
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+      cursor = decodeCursor(query.cursor);
+      if (!cursor) {
+        errors.push('cursor is invalid');
+      }
+    }
+
+    return { sort: { field, direction: order === 'desc' ? -1 : 1 }, limit, cursor, paginated, errors };
+  }
+
+  // One page of campaigns: { items, total, limit, nextCursor, sort, order }.
+  // The cursor records the sort value and _id of the last campaign, so pages stay stable while campaigns are added.
+  static async findPage(db, filter, { sort, limit, cursor }) {
+    const campaigns = db.collection('campaigns');
+    const pageFilter = cursor
+      ? { $and: [filter, afterCursor(sort.field, sort.direction, cursor)] }
+      : filter;
+    const [docs, total] = await Promise.all([
+      campaigns.find(pageFilter).sort(toMongoSort(sort)).limit(limit + 1).toArray(),
+      campaigns.countDocuments(filter)
+    ]);
+
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    return {
+      items,
+      total,
+      limit,
+      nextCursor: docs.length > limit && last ? encodeCursor(getPath(last, sort.field), last._id) : null,
+      sort: sort.field,
+      order: sort.direction === 1 ? 'asc' : 'desc'
+    };
+  }
+
+  // Startup migration: older campaigns stored budget, goals and achieved as strings ("5000").
+  // MongoDB never matches a number range or sorts a string among numbers, so convert them;
+  // empty strings become 0, which the form saves for an empty field. Values that are not numbers are left and logged.
+  static async migrateNumberFields(db) {
+    try {
+      const campaigns = db.collection('campaigns');
+      const fields = Object.values(NUMBER_RANGE_FILTERS);
+      const docs = await campaigns.find({ $or: fields.map(field => ({ [field]: { $type: 'string' } })) }).toArray();
+
+      for (const campaign of docs) {
+        const update = {};
+        fields.forEach(field => {
+          const value = getPath(campaign, field);
+          if (typeof value !== 'string') return;
+          const number = value.trim() === '' ? 0 : Number(value);
+          if (Number.isFinite(number)) {
+            update[field] = number;
+          } else {
+            console.warn(`Campaign ${campaign.campaignId}: ${field} "${value}" is not a number and was not converted`);
+          }
+        });
+        if (Object.keys(update).length === 0) continue;
+
+        await campaigns.updateOne({ _id: campaign._id }, { $set: update });
+        const after = await campaigns.findOne({ _id: campaign._id });
+        await AuditLog.record(db, AuditLog.getSystemContext(), {
+          action: 'update', entityType: 'campaign', entityId: campaign.campaignId, entityName: campaign.name,
+          before: campaign, after, details: { migration: 'number-fields' }
+        });
+      }
+      if (docs.length > 0) {
+        console.log(`Converted text number fields to numbers in ${docs.length} campaign(s)`);
+      }
+    } catch (error) {
+      console.error('Error converting campaign number fields:', error);
+    }
+  }
+
+  // Every matching campaign, sorted (the unpaginated response)
+  static async findAll(db, filter, { sort }) {
+    return await db.collection('campaigns').find(filter).sort(toMongoSort(sort)).toArray();
+  }
+}
+
+module.exports = CampaignQuery;
@@ -0,0 +1,141 @@
+// Declarative rules for campaign data sent to POST /api/campaigns and PUT /api/campaigns/:campaignId.
+// GET /api/campaigns/schema serves the same rules to the browser, and public/campaignValidator.js applies
+// them on both sides, so the campaign forms show the errors the API would return.
+//
+// Field rules: type (string | date | number | integer | object | array), label, required,
+// requiredWhen { field, label, in }, enum, maxLength, min, notBefore { field, label },
+// fields (object) and of (array item type, or 'channel' for the channel rules below).
+// Fields that are not in the schema are rejected, so typos do not end up in the database; fields a
+// campaign already has from before a rule existed may be sent back unchanged (options.stored).
+const CampaignValidator = require('../public/campaignValidator');
+
+const CAMPAIGN_STATUSES = ['Active', 'Planned', 'Suggested', 'Completed', 'Cancelled'];
+const TARGET_GENDERS = ['Male', 'Female', 'Everyone'];
+
+// The channel types offered by the campaign forms (see CHANNEL_TYPES_LIST.md), plus older types
+// that the forms still read and write
+const CHANNEL_TYPES = [
+  'Instagram', 'Facebook', 'TikTok', 'YouTube', 'Snapchat', 'Google', 'Website', 'SMS', 'Email', 'Radio',
+  'Television', 'WhatsApp Group', 'Social organisations', 'Gold councils', 'Residential Community',
+  'Lang/Cultural group', 'Religious group', 'Bluecollar Camp', 'Neighbourhood Community', 'Event', 'Exhibition',
+  'Channel Partners', 'Corporate Partners', 'Hotel', 'Tour Driver', 'Tours&Travel Agency', 'New collection Launch',
+  'Print Media', 'Referral', 'Storefront', 'Outdoor Ads', 'Others',
+  'Outdoor Events', 'Message', 'Promotional Items', 'Promotional Offer'
+];
+
+const amount = label => ({ type: 'number', label, min: 0 });
+const count = label => ({ type: 'integer', label, min: 0 });
+const text = (label, maxLength = 200) => ({ type: 'string', label, maxLength });
+
+const CAMPAIGN_FIELDS = {
+  campaignId: text('Campaign ID', 50),
+  name: text('Name'),
+  description: text('Description', 5000),
+  workStartDate: {
+    type: 'date', label: 'Work Start Date',
+    requiredWhen: { field: 'status', label: 'Status', in: ['Planned'] }
+  },
+  startDate: { type: 'date', label: 'Start Date' },
+  endDate: { type: 'date', label: 'End Date', notBefore: { field: 'startDate', label: 'Start Date' } },
+  budget: amount('Budget'),
+  status: { type: 'string', label: 'Status', required: true, enum: CAMPAIGN_STATUSES },
+  jobAssignedTo: text('Job Assigned To'),
+  targetAudience: {
+    type: 'object', label: 'Target Audience', required: true,
+    fields: {
+      age: text('Target Age', 50),
+      gender: { type: 'string', label: 'Gender', required: true, enum: TARGET_GENDERS }
+    }
+  },
+  goals: {
+    type: 'object', label: 'Goals',
+    fields: { sales: amount('Sales Goal'), impressions: amount('Impressions Goal'), conversions: amount('Conversions Goal') }
+  },
+  achieved: {
+    type: 'object', label: 'Achieved',
+    fields: { sales: amount('Achieved Sales'), impressions: amount('Achieved Impressions'), conversions: amount('Achieved Conversions') }
+  },
+  channels: { type: 'array', label: 'Channels', of: 'channel' },
+  images: { type: 'array', label: 'Images', of: 'string' },
+  // Edit form only: stored images to delete
+  imagesToRemove: { type: 'array', label: 'Images to remove', of: 'string' }
+};
+
+// Fields every channel may have; CHANNEL_TYPE_RULES tightens them per channel type
+const CHANNEL_FIELDS = {
+  type: { type: 'string', label: 'Channel Type', required: true, enum: CHANNEL_TYPES },
+  channelTag: text('Channel Tag'),
+  adName: { ...text('Description'), required: true },
+  cost: amount('Cost'),
+  adType: text('Type'),
+  platform: text('Type'),
+  station: text('Station'),
+  publication: text('Publication'),
+  area: text('Area'),
+  qty: count('Qty'),
+  venue: text('Venue'),
+  startDate: { type: 'date', label: 'Start Date' },
+  endDate: { type: 'date', label: 'End Date', notBefore: { field: 'startDate', label: 'Start Date' } },
+  impressions: count('Impressions'),
+  conversions: count('Conversions'),
+  tagNumber: text('Reference Code', 50),
+  types: { type: 'array', label: 'Types', of: 'string' }
+};
+
+// Per channel type: field -> rule overrides. Social and other dropdown channels need their Type, which
+// the forms store in platform (YouTube, WhatsApp Group, ...) or adType (Instagram, Facebook, TikTok).
+const PLATFORM_REQUIRED = { platform: { required: true } };
+const AD_TYPE_REQUIRED = { adType: { required: true } };
+
+const CHANNEL_TYPE_RULES = {
+  'Print Media': {
+    publication: { required: true },
+    area: { required: true },
+    qty: { required: true, min: 1 }
+  },
+  Radio: { station: { required: true } },
+  YouTube: PLATFORM_REQUIRED,
+  'WhatsApp Group': PLATFORM_REQUIRED,
+  Email: PLATFORM_REQUIRED,
+  Storefront: PLATFORM_REQUIRED,
+  'Gold councils': PLATFORM_REQUIRED,
+  'Outdoor Ads': PLATFORM_REQUIRED,
+  Instagram: AD_TYPE_REQUIRED,
+  Facebook: AD_TYPE_REQUIRED,
+  TikTok: AD_TYPE_REQUIRED,
+  'Outdoor Events': { venue: { required: true } }
+};
+
+const SCHEMA = {
+  fields: CAMPAIGN_FIELDS,
+  channel: { fields: CHANNEL_FIELDS, types: CHANNEL_TYPE_RULES }
+};
+
+class CampaignSchema {
+  static get STATUSES() {
+    return CAMPAIGN_STATUSES;
+  }
+
+  static get CHANNEL_TYPES() {
+    return CHANNEL_TYPES;
+  }
+
+  // The rules as served by GET /api/campaigns/schema
+  static getSchema() {
+    return SCHEMA;
+  }
+
+  // Field-level errors ([{ field, message }]) for campaign data; empty when it is valid.
+  // options.partial checks only the top-level fields that are present (updates); options.stored is the
+  // saved campaign an update applies to.
+  static validate(campaignData, options = {}) {
+    return CampaignValidator.validate(SCHEMA, campaignData, options);
+  }
+
+  // 400 body for validation errors, in the { error, errors } shape of the other endpoints
+  static errorResponse(errors) {
+    return { error: errors.map(e => e.message).join(', '), errors };
+  }
+}
+
+module.exports = CampaignSchema;
@@ -0,0 +1,125 @@
+// Campaign version history: when a campaign is changed or deleted, the document as it was
+// is copied to the campaignVersions collection as version 1, 2, 3 ... of that campaign.
+// Versions can be compared with the current campaign (or another version) and restored.
+const AuditLog = require('./auditLog');
+const CampaignSchema = require('./campaignSchema');
+
+// Managed by the status lifecycle (models/campaignLifecycle.js); never compared or restored
+const LIFECYCLE_FIELDS = ['status', 'statusHistory'];
+
+const MAX_SNAPSHOT_ATTEMPTS = 5;
+
+function withoutLifecycle(campaign) {
+  const copy = { ...campaign };
+  LIFECYCLE_FIELDS.forEach(field => delete copy[field]);
+  delete copy.channels;
+  return copy;
+}
+
+function channelLabel(channel) {
+  return [channel.type, channel.tagNumber].filter(Boolean).join(' ');
+}
+
+class CampaignVersions {
+  static get LIFECYCLE_FIELDS() {
+    return LIFECYCLE_FIELDS;
+  }
+
+  // Save the stored campaign as its next version. source: 'update', 'restore', 'impressions', 'achieved',
+  // 'transition' or 'delete'. Two saves can pick the same number; the unique index on
+  // { campaignId, version } rejects the second, which then takes the next number.
+  static async snapshot(db, req, campaign, source) {
+    const versions = db.collection('campaignVersions');
+    const { _id, ...data } = campaign;
+    for (let attempt = 1; ; attempt++) {
+      const latest = await versions.findOne({ campaignId: campaign.campaignId }, { sort: { version: -1 } });
+      const version = {
+        campaignId: campaign.campaignId,
+        version: latest ? latest.version + 1 : 1,
+        campaign: data,
+        source,
+        savedBy: req.user ? req.user.username : null,
+        savedById: req.user ? req.user._id : null,
+        savedAt: new Date()
+      };
+      try {
+        await versions.insertOne(version);
+        return version;
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= MAX_SNAPSHOT_ATTEMPTS) throw err;
+      }
+    }
+  }
+
+  // Versions of a campaign without their data, newest first
+  static async list(db, campaignId) {
+    return db.collection('campaignVersions')
+      .find({ campaignId }, { projection: { campaign: 0 } })
+      .sort({ version: -1 })
+      .toArray();
+  }
+
+  static async find(db, campaignId, version) {
+    const number = parseInt(version, 10);
+    return isNaN(number) ? null : db.collection('campaignVersions').findOne({ campaignId, version: number });
+  }
+
+  // Changes from one campaign document to another (lifecycle fields are left out):
+  // { fields: [{ field, from, to }], channels: [{ index, label, change, fields }] } where change is
+  // 'added', 'removed' or 'changed'. Channels are matched by reference code, falling back to position.
+  static diff(from, to) {
+    const fields = AuditLog.diff(withoutLifecycle(from), withoutLifecycle(to));
+    const fromChannels = Array.isArray(from.channels) ? from.channels : [];
+    const toChannels = Array.isArray(to.channels) ? to.channels : [];
+    const matched = new Set();
+    const channels = [];
+
+    toChannels.forEach((channel, index) => {
+      let previousIndex = channel.tagNumber
+        ? fromChannels.findIndex(c => c.tagNumber === channel.tagNumber)
+        : -1;
+      if (previousIndex === -1 && !channel.tagNumber && index < fromChannels.length && !fromChannels[index].tagNumber) {
+        previousIndex = index;
+      }
+      if (previousIndex === -1 || matched.has(previousIndex)) {
+        channels.push({ index, label: channelLabel(channel), change: 'added', fields: AuditLog.diff(null, channel) });
+        return;
+      }
+      matched.add(previousIndex);
+      const changes = AuditLog.diff(fromChannels[previousIndex], channel);
+      if (changes.length > 0) {
+        channels.push({ index, label: channelLabel(channel), change: 'changed', fields: changes });
+      }
+    });
+    fromChannels.forEach((channel, index) => {
+      if (!matched.has(index)) {
+        channels.push({ index, label: channelLabel(channel), change: 'removed', fields: AuditLog.diff(channel, null) });
+      }
+    });
+
+    return { fields, channels };
+  }
+
+  // Schema errors for a restored campaign (see restoredCampaign); versions saved before a schema
+  // rule existed may not meet it, except for fields the current campaign still has unchanged
+  static validateRestored(restored, current) {
+    const { _id, statusHistory, ...data } = restored;
+    return CampaignSchema.validate(data, { stored: current });
+  }
+
+  // The campaign as it would be after restoring a version: the version's data with the
+  // current document's _id, campaignId and lifecycle fields
+  static restoredCampaign(version, current) {
+    const restored = { ...version.campaign, _id: current._id, campaignId: current.campaignId };
+    LIFECYCLE_FIELDS.forEach(field => {
+      if (current[field] !== undefined) {
+        restored[field] = current[field];
+      } else {
+        delete restored[field];
+      }
+    });
+    return restored;
+  }
+}
+
+module.exports = CampaignVersions;
@@ -0,0 +1,143 @@
+// Login brute-force protection: failed attempt counters per username and per IP address, stored in Mongo
+const SessionRegistry = require('./sessionRegistry');
+
+// Limits (can be overridden from .env)
+const MAX_USER_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 15 * 60;
+// Failures older than this are forgotten
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS, 10) || 15 * 60;
+// Progressive delay: free attempts before the delay starts, then 1s, 2s, 4s ... up to the maximum.
+// An IP address is allowed more, since several users may share an office connection.
+const USER_FREE_ATTEMPTS = 2;
+const IP_FREE_ATTEMPTS = Math.floor(MAX_IP_FAILURES / 2);
+const MAX_DELAY_SECONDS = 30;
+
+function userKey(username) {
+  return `user:${String(username).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+class LoginThrottle {
+  // Check whether a login attempt may proceed.
+  // Returns null when allowed, otherwise { code, error, retryAfter } for a 429 response.
+  static async check(db, username, req) {
+    const { ip } = SessionRegistry.getClientInfo(req);
+    const now = new Date();
+    const attempts = await db.collection('loginAttempts').find({
+      key: { $in: [userKey(username), ipKey(ip)] }
+    }).toArray();
+
+    for (const attempt of attempts) {
+      if (attempt.locked_until && attempt.locked_until > now) {
+        const retryAfter = secondsUntil(attempt.locked_until);
+        const minutes = Math.ceil(retryAfter / 60);
+        return attempt.key.startsWith('user:')
+          ? { code: 'ACCOUNT_LOCKED', retryAfter, error: `Account is temporarily locked after too many failed login attempts. Try again in ${minutes} minute(s).` }
+          : { code: 'TOO_MANY_ATTEMPTS', retryAfter, error: `Too many failed login attempts from this address. Try again in ${minutes} minute(s).` };
+      }
+    }
+
+    for (const attempt of attempts) {
+      if (attempt.next_attempt_at && attempt.next_attempt_at > now) {
+        const retryAfter = secondsUntil(attempt.next_attempt_at);
+        return { code: 'LOGIN_THROTTLED', retryAfter, error: `Too many failed login attempts. Wait ${retryAfter} second(s) before trying again.` };
+      }
+    }
+
+    return null;
+  }
+
+  // Count a failed attempt against both the username and the client IP
+  static async recordFailure(db, username, req) {
+    const { ip } = SessionRegistry.getClientInfo(req);
+    await this.incrementFailures(db, userKey(username), MAX_USER_FAILURES, USER_FREE_ATTEMPTS, { username: String(username).trim().toLowerCase() });
+    await this.incrementFailures(db, ipKey(ip), MAX_IP_FAILURES, IP_FREE_ATTEMPTS, { ip });
+  }
+
+  static async incrementFailures(db, key, maxFailures, freeAttempts, extra) {
+    const attempts = db.collection('loginAttempts');
+    const now = new Date();
+
+    // Start counting again once the window has passed or an earlier lockout has ended
+    await attempts.updateOne(
+      { key, $or: [
+        { last_failure_at: { $lt: new Date(now.getTime() - FAILURE_WINDOW_SECONDS * 1000) } },
+        { locked_until: { $ne: null, $lte: now } }
+      ] },
+      { $set: { failures: 0, locked_until: null } }
+    );
+
+    // One atomic increment, so parallel failures are all counted
+    const result = await attempts.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { ...extra, last_failure_at: now } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    // Driver 6 returns the document, older drivers { value }
+    const { failures } = result && result.value !== undefined ? result.value : result;
+
+    const lockedUntil = failures >= maxFailures
+      ? new Date(now.getTime() + LOCKOUT_SECONDS * 1000)
+      : null;
+    const delaySeconds = failures > freeAttempts
+      ? Math.min(2 ** (failures - freeAttempts - 1), MAX_DELAY_SECONDS)
+      : 0;
+    const windowEnd = new Date(now.getTime() + FAILURE_WINDOW_SECONDS * 1000);
+
+    if (lockedUntil) {
+      console.warn(`Login locked for ${key} until ${lockedUntil.toISOString()} after ${failures} failed attempts`);
+    }
+
+    // Only the attempt that produced the latest count sets the delay and lockout, so a slower
+    // parallel request cannot replace a lockout with the smaller count it saw
+    await attempts.updateOne(
+      { key, failures },
+      { $set: {
+        next_attempt_at: delaySeconds ? new Date(now.getTime() + delaySeconds * 1000) : null,
+        locked_until: lockedUntil,
+        // Documents are removed by a TTL index once they no longer matter
+        expires_at: lockedUntil && lockedUntil > windowEnd ? lockedUntil : windowEnd
+      } }
+    );
+  }
+
+  // A successful login clears the username counter (the IP counter is left to expire)
+  static async recordSuccess(db, username) {
+    await db.collection('loginAttempts').deleteOne({ key: userKey(username) });
+  }
+
+  // Admin unlock: forget all failed attempts for a username
+  static async unlockUser(db, username) {
+    const result = await db.collection('loginAttempts').deleteOne({ key: userKey(username) });
+    return result.deletedCount > 0;
+  }
+
+  // Lockout status for a list of usernames, keyed by username
+  static async getUserStatuses(db, usernames) {
+    const keys = usernames.map(userKey);
+    const attempts = await db.collection('loginAttempts').find({ key: { $in: keys } }).toArray();
+    const now = new Date();
+    const statuses = {};
+
+    usernames.forEach(username => {
+      const attempt = attempts.find(a => a.key === userKey(username));
+      const isCurrent = attempt && attempt.expires_at > now;
+      statuses[username] = {
+        failed_attempts: isCurrent ? attempt.failures : 0,
+        locked_until: isCurrent && attempt.locked_until && attempt.locked_until > now ? attempt.locked_until : null
+      };
+    });
+
+    return statuses;
+  }
+}
+
+module.exports = LoginThrottle;
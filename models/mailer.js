@@ -0,0 +1,59 @@
+// Pluggable mail delivery. The transport is selected with MAIL_TRANSPORT in .env:
+//   console (default) - print messages to the server log
+//   file              - write each message as JSON into MAIL_DIR (default ./mail-outbox)
+// Other transports (SMTP, an email API, ...) can be added with Mailer.registerTransport().
+const fs = require('fs');
+const path = require('path');
+
+const transports = {
+  console: async (message) => {
+    console.log('=== OUTGOING EMAIL ===');
+    console.log(`To: ${message.to}`);
+    console.log(`From: ${message.from}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('======================');
+  },
+
+  file: async (message) => {
+    const directory = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.promises.mkdir(directory, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filename = `${Date.now()}-${safeRecipient}.json`;
+    await fs.promises.writeFile(path.join(directory, filename), JSON.stringify(message, null, 2));
+  }
+};
+
+class Mailer {
+  // Register a transport: async (message) => void
+  static registerTransport(name, send) {
+    transports[name] = send;
+  }
+
+  static getTransportName() {
+    return process.env.MAIL_TRANSPORT || 'console';
+  }
+
+  // Send a message { to, subject, text }
+  static async send({ to, subject, text }) {
+    const transportName = this.getTransportName();
+    const transport = transports[transportName];
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    const message = {
+      to,
+      from: process.env.MAIL_FROM || 'no-reply@trichygold.local',
+      subject,
+      text,
+      sent_at: new Date().toISOString()
+    };
+
+    await transport(message);
+    return message;
+  }
+}
+
+module.exports = Mailer;
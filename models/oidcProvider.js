@@ -0,0 +1,379 @@
+// OpenID Connect sign-in with the company identity provider (authorization code flow with PKCE).
+// Users are provisioned on their first sign-in and get the roles whose idp_groups match their IdP groups.
+// Configured with OIDC_* settings in .env; see mockOidcServer.js for a local identity provider to test against.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('./user');
+const RolesManager = require('./rolesManager');
+const TwoFactor = require('./twoFactor');
+const AuditLog = require('./auditLog');
+
+// How long a started sign-in (state, nonce, PKCE verifier) and the resulting login ticket stay valid
+const LOGIN_TTL_SECONDS = 10 * 60;
+const TICKET_TTL_SECONDS = 60;
+// Allowed difference between our clock and the identity provider's when checking id token times
+const CLOCK_SKEW_SECONDS = 60;
+
+let metadataCache = null;
+let jwksCache = null;
+
+function getConfig() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    label: process.env.OIDC_LABEL || 'Sign in with company account'
+  };
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Find an unexpired oidcLogins entry and delete it; only the caller whose delete succeeds gets it,
+// so each state and ticket works once
+async function consumeLoginEntry(db, query) {
+  const logins = db.collection('oidcLogins');
+  const entry = await logins.findOne({ ...query, expires_at: { $gt: new Date() } });
+  if (!entry) {
+    return null;
+  }
+  const { deletedCount } = await logins.deleteOne({ _id: entry._id });
+  return deletedCount === 1 ? entry : null;
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error_description || body.error || `${url} returned ${response.status}`);
+  }
+  return body;
+}
+
+class OidcProvider {
+  static get id() {
+    return 'oidc';
+  }
+
+  static get type() {
+    return 'oidc';
+  }
+
+  static get LOGIN_TTL_SECONDS() {
+    return LOGIN_TTL_SECONDS;
+  }
+
+  static isConfigured() {
+    const { issuer, clientId } = getConfig();
+    return !!(issuer && clientId);
+  }
+
+  static getLabel() {
+    return getConfig().label;
+  }
+
+  // Where the browser starts a sign-in
+  static getLoginUrl() {
+    return '/api/auth/oidc/login';
+  }
+
+  // The callback URL registered with the identity provider
+  static getRedirectUri(req) {
+    const { redirectUri } = getConfig();
+    if (redirectUri) {
+      return redirectUri;
+    }
+    const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl.replace(/\/+$/, '')}/api/auth/oidc/callback`;
+  }
+
+  // Discovery document (authorization, token and JWKS endpoints), fetched once
+  static async getMetadata() {
+    if (!metadataCache) {
+      const { issuer } = getConfig();
+      const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+      if (metadata.issuer.replace(/\/+$/, '') !== issuer) {
+        throw new Error(`Identity provider reports issuer ${metadata.issuer}, expected ${issuer}`);
+      }
+      metadataCache = metadata;
+    }
+    return metadataCache;
+  }
+
+  // Public key for an id token signature; the key set is fetched again when the kid is unknown (key rotation)
+  static async getSigningKey(kid) {
+    const findKey = () => (jwksCache || []).find(key => key.kty === 'RSA' && (!kid || key.kid === kid));
+
+    if (!findKey()) {
+      const metadata = await this.getMetadata();
+      jwksCache = (await fetchJson(metadata.jwks_uri)).keys || [];
+    }
+    const jwk = findKey();
+    if (!jwk) {
+      throw new Error('The identity provider signing key was not found');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Start a sign-in: remember state, nonce and PKCE verifier, and return the authorization URL.
+  // browserKey is the secret in the starting browser's cookie; only that browser can finish the sign-in.
+  static async createAuthorizationUrl(db, req, browserKey) {
+    const config = getConfig();
+    const metadata = await this.getMetadata();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const redirectUri = this.getRedirectUri(req);
+    const now = new Date();
+
+    await db.collection('oidcLogins').insertOne({
+      kind: 'state',
+      state_hash: hashValue(state),
+      browser_hash: hashValue(browserKey),
+      nonce,
+      code_verifier: codeVerifier,
+      redirect_uri: redirectUri,
+      created_at: now,
+      expires_at: new Date(now.getTime() + LOGIN_TTL_SECONDS * 1000)
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: redirectUri,
+      scope: config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+  }
+
+  // Finish a sign-in from the callback query: check the state (started by the same browser), exchange
+  // the code and verify the id token. Returns the id token claims.
+  static async handleCallback(db, { code, state }, browserKey) {
+    if (!code || !state) {
+      throw new Error('The sign-in response is missing its code or state');
+    }
+    if (!browserKey) {
+      throw new Error('The sign-in was started in another browser, please try again');
+    }
+
+    const started = await consumeLoginEntry(db, {
+      kind: 'state', state_hash: hashValue(state), browser_hash: hashValue(browserKey)
+    });
+    if (!started) {
+      throw new Error('The sign-in has expired or was started in another browser, please try again');
+    }
+
+    const tokens = await this.exchangeCode(code, started);
+    if (!tokens.id_token) {
+      throw new Error('The identity provider did not return an id token');
+    }
+    return await this.verifyIdToken(tokens.id_token, started.nonce);
+  }
+
+  static async exchangeCode(code, { code_verifier, redirect_uri }) {
+    const config = getConfig();
+    const metadata = await this.getMetadata();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (config.clientSecret) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    return await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri,
+        client_id: config.clientId,
+        code_verifier
+      }).toString()
+    });
+  }
+
+  // Check an RS256 id token's signature, issuer, audience, expiry and nonce; returns its claims
+  static async verifyIdToken(idToken, nonce) {
+    const config = getConfig();
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) {
+      throw new Error('The id token is malformed');
+    }
+
+    const header = decodeJwtPart(parts[0]);
+    if (header.alg !== 'RS256') {
+      throw new Error(`Unsupported id token algorithm ${header.alg}`);
+    }
+    const key = await this.getSigningKey(header.kid);
+    const signed = crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+    if (!signed) {
+      throw new Error('The id token signature is invalid');
+    }
+
+    const claims = decodeJwtPart(parts[1]);
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (String(claims.iss).replace(/\/+$/, '') !== config.issuer) {
+      throw new Error('The id token was issued by a different identity provider');
+    }
+    if (!audiences.includes(config.clientId)) {
+      throw new Error('The id token was issued for a different application');
+    }
+    if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) {
+      throw new Error('The id token has expired');
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error('The id token does not belong to this sign-in');
+    }
+    if (!claims.sub) {
+      throw new Error('The id token has no subject');
+    }
+    return claims;
+  }
+
+  static getGroups(claims) {
+    const groups = claims[getConfig().groupsClaim];
+    if (Array.isArray(groups)) return groups.map(String);
+    return groups ? String(groups).split(',').map(group => group.trim()).filter(Boolean) : [];
+  }
+
+  // Accounts that administer users or roles, or whose role requires 2FA, are not linked by email
+  // unless an administrator allowed it (POST /api/users/:id/oidc-link)
+  static async requiresExplicitLink(db, user) {
+    const permissions = await RolesManager.getPermissionsFromRoleIds(db, user.roles || []);
+    return permissions.manage_users === true || permissions.manage_roles === true || await TwoFactor.isRequired(db, user);
+  }
+
+  // Find, link or create the user for verified id token claims.
+  // - users are matched by issuer + subject, then (verified email only) linked to an existing account by email;
+  //   see requiresExplicitLink for the accounts that need an administrator first
+  // - new users are created with auth_provider 'oidc' and the roles mapped from their groups
+  // - roles of provisioned users follow their groups on every sign-in; linked local accounts keep theirs
+  // Throws when the user would get no roles.
+  static async provisionUser(db, claims, context) {
+    const config = getConfig();
+    const users = db.collection('users');
+    const groups = this.getGroups(claims);
+    const roleIds = (await RolesManager.getRolesForGroups(db, groups)).map(role => role._id.toString());
+    const identity = { issuer: config.issuer, subject: String(claims.sub) };
+
+    let user = await users.findOne({ 'oidc.issuer': identity.issuer, 'oidc.subject': identity.subject });
+
+    if (!user && claims.email && claims.email_verified === true) {
+      user = await users.findOne({ email: claims.email });
+      if (user) {
+        if (!user.oidc_link_allowed && await this.requiresExplicitLink(db, user)) {
+          throw new Error('This account can only be linked to your company account by an administrator');
+        }
+        await users.updateOne(
+          { _id: user._id },
+          { $set: { oidc: identity, updated_at: new Date() }, $unset: { oidc_link_allowed: '' } }
+        );
+        await AuditLog.record(db, context, {
+          action: 'update', entityType: 'user', entityId: user._id, entityName: user.username,
+          before: { oidc: user.oidc || null }, after: { oidc: identity }, details: { source: 'oidc' }
+        });
+        user = { ...user, oidc: identity };
+      }
+    }
+
+    if (!user) {
+      if (roleIds.length === 0) {
+        throw new Error('Your account is not in any group that has access to this application');
+      }
+
+      const baseUsername = String(claims[config.usernameClaim] || claims.email || claims.sub);
+      let username = baseUsername;
+      for (let n = 2; await users.findOne({ username }); n++) {
+        username = `${baseUsername}-${n}`;
+      }
+
+      // Provisioned users sign in through the identity provider; their local password is never shown
+      const password = crypto.randomBytes(24).toString('base64url');
+      const errors = await User.validate({ username, password, email: claims.email, roles: roleIds });
+      if (errors.length > 0) {
+        throw new Error(`Your identity provider account cannot be used: ${errors.join(', ')}`);
+      }
+
+      const newUser = new User({ username, password: await bcrypt.hash(password, 10), email: claims.email, roles: roleIds });
+      newUser.auth_provider = 'oidc';
+      newUser.oidc = identity;
+      await users.insertOne(newUser);
+      await AuditLog.record(db, context, {
+        action: 'create', entityType: 'user', entityId: newUser._id, entityName: newUser.username, after: newUser,
+        details: { source: 'oidc', groups }
+      });
+      return newUser;
+    }
+
+    if (user.auth_provider === 'oidc') {
+      if (roleIds.length === 0) {
+        throw new Error('Your account is not in any group that has access to this application');
+      }
+
+      const currentRoles = (user.roles || []).map(String).sort();
+      const changed = JSON.stringify(currentRoles) !== JSON.stringify([...roleIds].sort());
+      if (changed) {
+        if (await RolesManager.wouldRemoveLastAdministrator(db, { userId: user._id.toString(), roles: roleIds })) {
+          console.warn(`Not syncing IdP groups for ${user.username}: it would remove the last administrator`);
+        } else {
+          await users.updateOne({ _id: user._id }, { $set: { roles: roleIds, updated_at: new Date() } });
+          await AuditLog.record(db, context, {
+            action: 'update', entityType: 'user', entityId: user._id, entityName: user.username,
+            before: { roles: user.roles }, after: { roles: roleIds }, details: { source: 'oidc', groups }
+          });
+          user = { ...user, roles: roleIds };
+        }
+      }
+    }
+
+    return user;
+  }
+
+  // One-time ticket the browser exchanges for tokens after the callback redirect,
+  // so tokens never appear in a URL. Like the state, it only works with the browser's key.
+  static async issueLoginTicket(db, user, browserKey) {
+    const ticket = randomToken();
+    const now = new Date();
+    await db.collection('oidcLogins').insertOne({
+      kind: 'ticket',
+      ticket_hash: hashValue(ticket),
+      browser_hash: hashValue(browserKey),
+      user_id: user._id,
+      created_at: now,
+      expires_at: new Date(now.getTime() + TICKET_TTL_SECONDS * 1000)
+    });
+    return ticket;
+  }
+
+  // User id behind a login ticket issued to this browser (each ticket works once), or null
+  static async redeemLoginTicket(db, ticket, browserKey) {
+    if (!ticket || typeof ticket !== 'string' || !browserKey) {
+      return null;
+    }
+    const entry = await consumeLoginEntry(db, {
+      kind: 'ticket', ticket_hash: hashValue(ticket), browser_hash: hashValue(browserKey)
+    });
+    return entry ? entry.user_id : null;
+  }
+}
+
+module.exports = OidcProvider;
@@ -0,0 +1,65 @@
+// One-time, expiring password reset tokens. Only a SHA-256 hash of each token is stored.
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+
+// Reset token lifetime in seconds (can be overridden from .env)
+const RESET_TOKEN_TTL = parseInt(process.env.PASSWORD_RESET_TTL, 10) || 60 * 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class PasswordResetManager {
+  static getTokenTTL() {
+    return RESET_TOKEN_TTL;
+  }
+
+  // Issue a new reset token for a user; any earlier unused tokens are invalidated
+  static async createResetToken(db, userId, createdBy) {
+    const resets = db.collection('passwordResets');
+    const now = new Date();
+
+    await resets.updateMany(
+      { user_id: new ObjectId(userId), used_at: null },
+      { $set: { used_at: now, invalidated: true } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL * 1000);
+
+    await resets.insertOne({
+      user_id: new ObjectId(userId),
+      token_hash: hashToken(token),
+      created_by: createdBy ? new ObjectId(createdBy) : null,
+      created_at: now,
+      expires_at: expiresAt,
+      used_at: null
+    });
+
+    return { token, expiresAt };
+  }
+
+  // Find an unused, unexpired reset record for a token
+  static async findValidToken(db, token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    return await db.collection('passwordResets').findOne({
+      token_hash: hashToken(token),
+      used_at: null,
+      expires_at: { $gt: new Date() }
+    });
+  }
+
+  // Mark a reset record as used. Returns false if it was already used concurrently.
+  static async markUsed(db, resetId) {
+    const result = await db.collection('passwordResets').updateOne(
+      { _id: resetId, used_at: null },
+      { $set: { used_at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = PasswordResetManager;
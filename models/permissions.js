@@ -0,0 +1,199 @@
+// Permission registry - the single list of permissions a role can grant.
+// RolesManager, the role editor, the default roles and roleTemplates.js are all built from it.
+//
+// Fields:
+//   default     - value for a user without roles
+//   roles       - built-in roles (admin, editor, viewer) that grant it
+//   grantedWith - on startup, roles saved before the permission existed get it if they grant any
+//                 of these (so nobody loses access the permission now guards); otherwise false
+const PERMISSIONS = [
+  {
+    key: 'view_campaigns',
+    label: 'View Campaigns',
+    description: 'See campaigns, channels, employees and campaign history',
+    category: 'Campaigns',
+    default: true,
+    roles: ['admin', 'editor', 'viewer'],
+    grantedWith: []
+  },
+  {
+    key: 'create_campaigns',
+    label: 'Create Campaigns',
+    description: 'Create new campaigns',
+    category: 'Campaigns',
+    default: false,
+    roles: ['admin', 'editor'],
+    grantedWith: []
+  },
+  {
+    key: 'edit_campaigns',
+    label: 'Edit Campaigns',
+    description: 'Edit any campaign, its impressions and images',
+    category: 'Campaigns',
+    default: false,
+    roles: ['admin', 'editor'],
+    grantedWith: []
+  },
+  {
+    key: 'edit_own_campaigns',
+    label: 'Edit Own Campaigns',
+    description: "Edit campaigns assigned to the user's linked employee record",
+    category: 'Campaigns',
+    default: false,
+    roles: [],
+    grantedWith: []
+  },
+  {
+    key: 'delete_campaigns',
+    label: 'Delete Campaigns',
+    description: 'Delete campaigns',
+    category: 'Campaigns',
+    default: false,
+    roles: ['admin'],
+    grantedWith: []
+  },
+  {
+    key: 'approve_budgets',
+    label: 'Approve Budgets',
+    description: 'Approve or reject campaign budgets above the approval thresholds',
+    category: 'Campaigns',
+    default: false,
+    roles: ['admin'],
+    // Roles that can manage roles can already grant themselves anything
+    grantedWith: ['manage_roles']
+  },
+  {
+    key: 'generate_tags',
+    label: 'Generate Tags',
+    description: 'Generate reference codes (tags) for campaign channels',
+    category: 'Campaigns',
+    default: false,
+    roles: ['admin', 'editor'],
+    grantedWith: ['create_campaigns', 'edit_campaigns']
+  },
+  {
+    key: 'view_reports',
+    label: 'View Reports',
+    description: 'See impression statistics and reports',
+    category: 'Reports & Data',
+    default: false,
+    roles: ['admin', 'editor', 'viewer'],
+    grantedWith: []
+  },
+  {
+    key: 'view_financials',
+    label: 'View Financials',
+    description: 'See budgets, goal and achieved sales and channel costs',
+    category: 'Reports & Data',
+    default: false,
+    roles: ['admin', 'editor'],
+    grantedWith: ['edit_campaigns']
+  },
+  {
+    key: 'export_data',
+    label: 'Export Data',
+    description: 'Download campaign and channel exports',
+    category: 'Reports & Data',
+    default: false,
+    roles: ['admin', 'editor'],
+    grantedWith: []
+  },
+  {
+    key: 'manage_channels',
+    label: 'Manage Channels',
+    description: 'Create, edit and delete channels',
+    category: 'Channels & Employees',
+    default: false,
+    roles: ['admin', 'editor'],
+    grantedWith: []
+  },
+  {
+    key: 'manage_employees',
+    label: 'Manage Employees',
+    description: 'Create, edit and delete employee records',
+    category: 'Channels & Employees',
+    default: false,
+    roles: ['admin'],
+    grantedWith: ['manage_users']
+  },
+  {
+    key: 'manage_users',
+    label: 'Manage Users',
+    description: 'Create, disable and delete users, assign roles, reset passwords and 2FA',
+    category: 'Administration',
+    default: false,
+    roles: ['admin'],
+    grantedWith: []
+  },
+  {
+    key: 'manage_roles',
+    label: 'Manage Roles',
+    description: 'Create, edit and delete roles',
+    category: 'Administration',
+    default: false,
+    roles: ['admin'],
+    grantedWith: []
+  },
+  {
+    key: 'impersonate_users',
+    label: 'View As User',
+    description: 'Temporarily sign in as another user (with no more permissions than your own) to troubleshoot their access',
+    category: 'Administration',
+    default: false,
+    roles: ['admin'],
+    // Roles that can manage roles can already grant themselves anything
+    grantedWith: ['manage_roles']
+  },
+  {
+    key: 'view_audit',
+    label: 'View Audit Log',
+    description: 'Search the audit log of every change',
+    category: 'Administration',
+    default: false,
+    roles: ['admin'],
+    grantedWith: ['manage_users']
+  }
+];
+
+class Permissions {
+  // Registry entries for the UI: { key, label, description, category, default }
+  static getAll() {
+    return PERMISSIONS.map(({ key, label, description, category, default: defaultValue }) => ({
+      key, label, description, category, default: defaultValue
+    }));
+  }
+
+  static getKeys() {
+    return PERMISSIONS.map(permission => permission.key);
+  }
+
+  static isKnown(key) {
+    return PERMISSIONS.some(permission => permission.key === key);
+  }
+
+  // Permission map for a user without roles
+  static getDefaults() {
+    const permissions = {};
+    PERMISSIONS.forEach(permission => {
+      permissions[permission.key] = permission.default;
+    });
+    return permissions;
+  }
+
+  // Full permission map of a built-in role ('admin', 'editor' or 'viewer')
+  static forBuiltInRole(roleName) {
+    const permissions = {};
+    PERMISSIONS.forEach(permission => {
+      permissions[permission.key] = permission.roles.includes(roleName);
+    });
+    return permissions;
+  }
+
+  // Value a stored role gets for a permission it does not have yet
+  static getMigratedValue(key, rolePermissions) {
+    const permission = PERMISSIONS.find(p => p.key === key);
+    return !!permission && permission.grantedWith.some(existing => (rolePermissions || {})[existing] === true);
+  }
+}
+
+module.exports = Permissions;
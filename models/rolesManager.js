@@ -1,20 +1,12 @@
 // Database-driven Roles Manager for campaign management system
 const { ObjectId } = require('mongodb');
+const AuditLog = require('./auditLog');
+const Permissions = require('./permissions');
 
 class RolesManager {
-  // Default permissions for campaign management
+  // Permissions of a user without roles (see models/permissions.js)
   static getDefaultPermissions() {
-    return {
-      create_campaigns: false,
-      edit_campaigns: false,
-      delete_campaigns: false,
-      view_campaigns: true,
-      view_reports: false,
-      export_data: false,
-      manage_users: false,
-      manage_roles: false,
-      manage_channels: false
-    };
+    return Permissions.getDefaults();
   }
 
   // Get all roles from database
@@ -50,10 +42,10 @@ class RolesManager {
     }
   }
 
-  // Create new role
-  static async createRole(db, roleData) {
+  // Create new role. context (AuditLog.getContext(req)) identifies who made the change for the audit log.
+  static async createRole(db, roleData, context) {
     try {
-      const { name, description, permissions } = roleData;
+      const { name, description, permissions, require_two_factor, parent_id, denied_permissions, idp_groups } = roleData;
       
       // Check if role already exists
       const existingRole = await this.getRoleByName(db, name);
@@ -65,12 +57,20 @@ class RolesManager {
         name: name,
         description: description || '',
         permissions: permissions || this.getDefaultPermissions(),
+        parent_id: parent_id || null, // Role whose permissions this one inherits
+        denied_permissions: denied_permissions || [], // Explicitly denied, even if inherited or granted by another role
+        require_two_factor: require_two_factor === true,
+        idp_groups: this.normalizeGroups(idp_groups), // Identity provider groups whose members get this role (OIDC sign-in)
         created_at: new Date(),
         updated_at: new Date()
       };
 
       const result = await db.collection('roles').insertOne(newRole);
-      return { ...newRole, _id: result.insertedId };
+      const createdRole = { ...newRole, _id: result.insertedId };
+      await AuditLog.record(db, context, {
+        action: 'create', entityType: 'role', entityId: result.insertedId, entityName: name, after: createdRole
+      });
+      return createdRole;
     } catch (error) {
       console.error('Error creating role:', error);
       throw error;
@@ -78,9 +78,9 @@ class RolesManager {
   }
 
   // Update role
-  static async updateRole(db, roleId, roleData) {
+  static async updateRole(db, roleId, roleData, context) {
     try {
-      const { name, description, permissions } = roleData;
+      const { name, description, permissions, require_two_factor, parent_id, denied_permissions, idp_groups } = roleData;
       
       // Check if name is being changed and if it conflicts
       if (name) {
@@ -90,6 +90,7 @@ class RolesManager {
         }
       }
 
+      const before = await this.getRoleById(db, roleId);
       const updateData = {
         updated_at: new Date()
       };
@@ -97,6 +98,10 @@ class RolesManager {
       if (name) updateData.name = name;
       if (description !== undefined) updateData.description = description;
       if (permissions) updateData.permissions = permissions;
+      if (parent_id !== undefined) updateData.parent_id = parent_id || null;
+      if (denied_permissions !== undefined) updateData.denied_permissions = denied_permissions;
+      if (require_two_factor !== undefined) updateData.require_two_factor = require_two_factor === true;
+      if (idp_groups !== undefined) updateData.idp_groups = this.normalizeGroups(idp_groups);
 
       const result = await db.collection('roles').updateOne(
         { _id: new ObjectId(roleId) },
@@ -107,28 +112,55 @@ class RolesManager {
         throw new Error('Role not found');
     }
 
-      return await this.getRoleById(db, roleId);
+      const updatedRole = await this.getRoleById(db, roleId);
+      await AuditLog.record(db, context, {
+        action: 'update', entityType: 'role', entityId: roleId, entityName: updatedRole.name, before, after: updatedRole
+      });
+      return updatedRole;
     } catch (error) {
       console.error('Error updating role:', error);
       throw error;
   }
   }
 
+  // Identity provider group names from an array or a comma separated string
+  static normalizeGroups(groups) {
+    const list = Array.isArray(groups) ? groups : String(groups || '').split(',');
+    return [...new Set(list.map(group => String(group).trim()).filter(Boolean))];
+  }
+
+  // Roles mapped to any of an identity provider user's groups
+  static async getRolesForGroups(db, groups) {
+    if (!groups || groups.length === 0) {
+      return [];
+    }
+    return await db.collection('roles').find({ idp_groups: { $in: groups } }).toArray();
+  }
+
   // Delete role
-  static async deleteRole(db, roleId) {
+  static async deleteRole(db, roleId, context) {
     try {
       // Check if role is being used by any users
       const usersWithRole = await db.collection('users').findOne({ roles: roleId });
       if (usersWithRole) {
         throw new Error('Cannot delete role: It is assigned to one or more users');
       }
+      const childRole = await db.collection('roles').findOne({ parent_id: roleId });
+      if (childRole) {
+        throw new Error(`Cannot delete role: Role "${childRole.name}" inherits from it`);
+      }
 
+      const before = await this.getRoleById(db, roleId);
       const result = await db.collection('roles').deleteOne({ _id: new ObjectId(roleId) });
       
       if (result.deletedCount === 0) {
         throw new Error('Role not found');
       }
 
+      await AuditLog.record(db, context, {
+        action: 'delete', entityType: 'role', entityId: roleId, entityName: before && before.name, before
+      });
+
       return true;
     } catch (error) {
       console.error('Error deleting role:', error);
@@ -136,6 +168,58 @@ class RolesManager {
     }
   }
 
+  // Copy a role (permissions, parent, denies and 2FA requirement) under a new name.
+  // Without a name the copy is called "<name> copy" ("<name> copy 2", ... if that is taken).
+  static async cloneRole(db, roleId, { name, description } = {}, context) {
+    const source = await this.getRoleById(db, roleId);
+    if (!source) {
+      throw new Error('Role not found');
+    }
+
+    let cloneName = name;
+    if (!cloneName) {
+      cloneName = `${source.name} copy`;
+      for (let n = 2; await this.getRoleByName(db, cloneName); n++) {
+        cloneName = `${source.name} copy ${n}`;
+      }
+    }
+
+    return await this.createRole(db, {
+      name: cloneName,
+      description: description !== undefined ? description : source.description,
+      permissions: { ...source.permissions },
+      parent_id: source.parent_id || null,
+      denied_permissions: [...(source.denied_permissions || [])],
+      require_two_factor: source.require_two_factor === true
+    }, context);
+  }
+
+  // Permission-by-permission matrix of several roles' effective permissions:
+  // { roles: [{ _id, name }], permissions: [{ key, label, category, differs, values: { [roleId]: { granted, source } } }] }
+  // Null if any of the roles does not exist.
+  static async compareRoles(db, roleIds) {
+    const rolesById = await this.getRolesById(db);
+    if (roleIds.some(roleId => !rolesById.has(roleId))) {
+      return null;
+    }
+
+    const resolved = roleIds.map(roleId => this.resolveRolePermissions(roleId, rolesById));
+    const permissions = Permissions.getAll().map(({ key, label, category }) => {
+      const values = {};
+      roleIds.forEach((roleId, index) => {
+        const { granted, source } = resolved[index][key];
+        values[roleId] = { granted, source };
+      });
+      const granted = roleIds.map(roleId => values[roleId].granted);
+      return { key, label, category, differs: granted.some(value => value !== granted[0]), values };
+    });
+
+    return {
+      roles: roleIds.map(roleId => ({ _id: rolesById.get(roleId)._id, name: rolesById.get(roleId).name })),
+      permissions
+    };
+  }
+
   // Check if user has specific permission
   static async hasPermission(db, userId, permission) {
     try {
@@ -144,15 +228,8 @@ class RolesManager {
         return false;
       }
 
-      // Get all user roles
-      const userRoles = await db.collection('roles').find({
-        _id: { $in: user.roles.map(roleId => new ObjectId(roleId)) }
-      }).toArray();
-
-      // Check if any role has the permission
-      return userRoles.some(role => 
-        role.permissions && role.permissions[permission] === true
-      );
+      const rolesById = await this.getRolesById(db);
+      return this.combineRolePermissions(user.roles, rolesById)[permission] === true;
     } catch (error) {
       console.error('Error checking permission:', error);
     return false;
@@ -167,25 +244,8 @@ class RolesManager {
         return this.getDefaultPermissions();
       }
 
-      // Get all user roles
-      const userRoles = await db.collection('roles').find({
-        _id: { $in: user.roles.map(roleId => new ObjectId(roleId)) }
-      }).toArray();
-
-      // Combine permissions from all roles (OR logic)
-      const combinedPermissions = { ...this.getDefaultPermissions() };
-      
-      userRoles.forEach(role => {
-        if (role.permissions) {
-          Object.keys(role.permissions).forEach(permission => {
-            if (role.permissions[permission] === true) {
-              combinedPermissions[permission] = true;
-            }
-          });
-        }
-      });
-
-      return combinedPermissions;
+      const rolesById = await this.getRolesById(db);
+      return this.combineRolePermissions(user.roles, rolesById);
     } catch (error) {
       console.error('Error getting user permissions:', error);
       return this.getDefaultPermissions();
@@ -199,31 +259,164 @@ class RolesManager {
         return this.getDefaultPermissions();
       }
 
-      // Get all roles
-      const roles = await db.collection('roles').find({
-        _id: { $in: roleIds.map(roleId => new ObjectId(roleId)) }
-      }).toArray();
-
-      // Combine permissions from all roles (OR logic)
-      const combinedPermissions = { ...this.getDefaultPermissions() };
-      
-      roles.forEach(role => {
-        if (role.permissions) {
-          Object.keys(role.permissions).forEach(permission => {
-            if (role.permissions[permission] === true) {
-              combinedPermissions[permission] = true;
-            }
-          });
-        }
-      });
-
-      return combinedPermissions;
+      const rolesById = await this.getRolesById(db);
+      return this.combineRolePermissions(roleIds, rolesById);
     } catch (error) {
       console.error('Error getting permissions from role IDs:', error);
       return this.getDefaultPermissions();
     }
   }
 
+  // All roles keyed by id, so inheritance chains resolve without a query per parent
+  static async getRolesById(db) {
+    const roles = await db.collection('roles').find({}).toArray();
+    return new Map(roles.map(role => [role._id.toString(), role]));
+  }
+
+  // A role followed by its ancestors (parent_id), nearest first.
+  // A cycle can only come from hand-edited data; the walk stops where it repeats.
+  static getRoleChain(roleId, rolesById) {
+    const chain = [];
+    const visited = new Set();
+    let role = rolesById.get(String(roleId));
+    while (role && !visited.has(role._id.toString())) {
+      visited.add(role._id.toString());
+      chain.push(role);
+      role = role.parent_id ? rolesById.get(String(role.parent_id)) : null;
+    }
+    if (role) {
+      console.warn(`Role inheritance cycle detected at role "${role.name}"`);
+    }
+    return chain;
+  }
+
+  // Effective permissions of one role and where each comes from:
+  // { permission: { granted, source, role_id, role_name } } where source is 'direct' (the role itself),
+  // 'inherited' (an ancestor), 'denied' (denied_permissions anywhere in the chain - a deny beats any grant) or null
+  static resolveRolePermissions(roleId, rolesById) {
+    const chain = this.getRoleChain(roleId, rolesById);
+    const keys = new Set(Object.keys(this.getDefaultPermissions()));
+    chain.forEach(role => {
+      Object.keys(role.permissions || {}).forEach(key => keys.add(key));
+      (role.denied_permissions || []).forEach(key => keys.add(key));
+    });
+
+    const sources = {};
+    keys.forEach(key => {
+      const denier = chain.find(role => (role.denied_permissions || []).includes(key));
+      const grantor = chain.find(role => role.permissions && role.permissions[key] === true);
+      const from = denier || grantor;
+      let source = null;
+      if (denier) source = 'denied';
+      else if (grantor) source = grantor === chain[0] ? 'direct' : 'inherited';
+
+      sources[key] = {
+        granted: source === 'direct' || source === 'inherited',
+        source,
+        role_id: from ? from._id.toString() : null,
+        role_name: from ? from.name : null
+      };
+    });
+    return sources;
+  }
+
+  // Combine the effective permissions of several roles (OR logic); an explicit deny in any of them wins
+  static combineRolePermissions(roleIds, rolesById) {
+    const combinedPermissions = { ...this.getDefaultPermissions() };
+    const denied = new Set();
+
+    (roleIds || []).forEach(roleId => {
+      Object.entries(this.resolveRolePermissions(roleId, rolesById)).forEach(([permission, { granted, source }]) => {
+        if (granted) combinedPermissions[permission] = true;
+        if (source === 'denied') denied.add(permission);
+      });
+    });
+    denied.forEach(permission => {
+      combinedPermissions[permission] = false;
+    });
+
+    return combinedPermissions;
+  }
+
+  // Effective permissions of a role for the role editor: inheritance chain, resolved permissions
+  // and the source of each one (see resolveRolePermissions). Null if the role does not exist.
+  static async getEffectivePermissions(db, roleId) {
+    const rolesById = await this.getRolesById(db);
+    const role = rolesById.get(String(roleId));
+    if (!role) {
+      return null;
+    }
+
+    const sources = this.resolveRolePermissions(roleId, rolesById);
+    const permissions = {};
+    Object.entries(sources).forEach(([permission, { granted }]) => {
+      permissions[permission] = granted;
+    });
+
+    return {
+      role: { _id: role._id, name: role.name, parent_id: role.parent_id || null },
+      chain: this.getRoleChain(roleId, rolesById).map(ancestor => ({ _id: ancestor._id, name: ancestor.name })),
+      permissions,
+      sources
+    };
+  }
+
+  // Validate parent_id and denied_permissions before saving a role (roleId is null for a new role).
+  // Returns a list of error messages.
+  static async validateInheritance(db, roleId, { parent_id, denied_permissions }) {
+    const errors = [];
+
+    if (parent_id) {
+      const rolesById = await this.getRolesById(db);
+      if (!rolesById.has(String(parent_id))) {
+        errors.push(`Parent role with ID ${parent_id} not found`);
+      } else if (roleId && this.getRoleChain(parent_id, rolesById).some(role => role._id.toString() === String(roleId))) {
+        errors.push('A role cannot inherit from itself or from a role that inherits from it');
+      }
+    }
+
+    if (denied_permissions !== undefined) {
+      if (!Array.isArray(denied_permissions)) {
+        errors.push('Denied permissions must be an array');
+      } else {
+        const unknown = denied_permissions.filter(permission => !Permissions.isKnown(permission));
+        if (unknown.length > 0) {
+          errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Count administrators: active users whose roles together grant both manage_users and manage_roles.
+  // change previews an edit before it is saved - { userId, roles } replaces a user's roles
+  // (roles: null for a user being deleted or disabled), { roleId, role } merges fields into a role.
+  static async countAdministrators(db, change = {}) {
+    const rolesById = await this.getRolesById(db);
+    if (change.roleId && rolesById.has(change.roleId)) {
+      rolesById.set(change.roleId, { ...rolesById.get(change.roleId), ...change.role });
+    }
+
+    const users = await db.collection('users').find({ active: { $ne: false } }).toArray();
+    return users.filter(user => {
+      let roleIds = user.roles || [];
+      if (change.userId && user._id.toString() === change.userId) {
+        if (!change.roles) return false;
+        roleIds = change.roles;
+      }
+      if (roleIds.length === 0) return false;
+      const permissions = this.combineRolePermissions(roleIds, rolesById);
+      return permissions.manage_users === true && permissions.manage_roles === true;
+    }).length;
+  }
+
+  // True when the change (see countAdministrators) would leave nobody able to manage users and roles
+  static async wouldRemoveLastAdministrator(db, change) {
+    const current = await this.countAdministrators(db);
+    return current > 0 && await this.countAdministrators(db, change) === 0;
+  }
+
   // Initialize default roles if they don't exist
   static async initializeDefaultRoles(db) {
     try {
@@ -231,47 +424,17 @@ class RolesManager {
         {
           name: 'admin',
           description: 'Full access - Can create, edit, delete campaigns, manage users, view reports, and export data',
-          permissions: {
-            create_campaigns: true,
-            edit_campaigns: true,
-            delete_campaigns: true,
-            view_campaigns: true,
-            view_reports: true,
-            export_data: true,
-            manage_users: true,
-            manage_roles: true,
-            manage_channels: true
-          }
+          permissions: Permissions.forBuiltInRole('admin')
         },
         {
           name: 'editor',
           description: 'Edit access - Can create and edit campaigns, view reports, and export data',
-          permissions: {
-            create_campaigns: true,
-            edit_campaigns: true,
-            delete_campaigns: false,
-            view_campaigns: true,
-            view_reports: true,
-            export_data: true,
-            manage_users: false,
-            manage_roles: false,
-            manage_channels: false
-          }
+          permissions: Permissions.forBuiltInRole('editor')
         },
         {
           name: 'viewer',
           description: 'View only - Can view campaigns and reports, no editing or administrative permissions',
-          permissions: {
-            create_campaigns: false,
-            edit_campaigns: false,
-            delete_campaigns: false,
-            view_campaigns: true,
-            view_reports: true,
-            export_data: false,
-            manage_users: false,
-            manage_roles: false,
-            manage_channels: false
-          }
+          permissions: Permissions.forBuiltInRole('viewer')
         }
       ];
 
@@ -287,19 +450,41 @@ class RolesManager {
     }
   }
 
-  // Get all available permissions (for UI)
+  // Add permissions introduced since a role was saved. A new permission is granted to roles that
+  // hold one of its grantedWith permissions (models/permissions.js) and set to false everywhere else.
+  static async migratePermissions(db) {
+    try {
+      const roles = await this.getAllRoles(db);
+      for (const role of roles) {
+        const rolePermissions = role.permissions || {};
+        const missing = Permissions.getKeys().filter(key => rolePermissions[key] === undefined);
+        if (missing.length === 0) {
+          continue;
+        }
+
+        const added = {};
+        missing.forEach(key => {
+          added[key] = Permissions.getMigratedValue(key, rolePermissions);
+        });
+        const permissions = { ...rolePermissions, ...added };
+        await db.collection('roles').updateOne(
+          { _id: role._id },
+          { $set: { permissions, updated_at: new Date() } }
+        );
+        await AuditLog.record(db, AuditLog.getSystemContext(), {
+          action: 'update', entityType: 'role', entityId: role._id, entityName: role.name,
+          before: { permissions: rolePermissions }, after: { permissions }
+        });
+        console.log(`Permissions added to role ${role.name}: ${missing.map(key => `${key}=${added[key]}`).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Error migrating role permissions:', error);
+    }
+  }
+
+  // Get all available permissions (for UI): key, label, description, category and default
   static getAvailablePermissions() {
-    return [
-      { key: 'create_campaigns', label: 'Create Campaigns' },
-      { key: 'edit_campaigns', label: 'Edit Campaigns' },
-      { key: 'delete_campaigns', label: 'Delete Campaigns' },
-      { key: 'view_campaigns', label: 'View Campaigns' },
-      { key: 'view_reports', label: 'View Reports' },
-      { key: 'export_data', label: 'Export Data' },
-      { key: 'manage_users', label: 'Manage Users' },
-      { key: 'manage_roles', label: 'Manage Roles' },
-      { key: 'manage_channels', label: 'Manage Channels' }
-    ];
+    return Permissions.getAll();
   }
 }
 
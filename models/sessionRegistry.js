@@ -0,0 +1,135 @@
+// Server-side session registry - one document per login, referenced by the tokens it issued
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const TokenManager = require('./tokenManager');
+
+// Only write last_seen_at when it is older than this, to avoid a database write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+// A refresh token replaced this recently may still arrive from another tab of the same browser;
+// it is refused without ending the session
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+function newRefreshId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+class SessionRegistry {
+  // Client details recorded with each session.
+  // req.ip only honours X-Forwarded-For from the proxies named by TRUST_PROXY, so clients cannot set their own IP.
+  static getClientInfo(req) {
+    return {
+      ip: req.ip || '',
+      user_agent: req.headers['user-agent'] || ''
+    };
+  }
+
+  // Record a new session for a user and return it.
+  // extra fields are stored on the session and may shorten it with their own expires_at.
+  static async createSession(db, user, req, extra = {}) {
+    const now = new Date();
+    const session = {
+      user_id: new ObjectId(user._id),
+      ...this.getClientInfo(req),
+      created_at: now,
+      last_seen_at: now,
+      expires_at: new Date(now.getTime() + TokenManager.getRefreshTokenTTL() * 1000),
+      revoked_at: null,
+      // Id of the only refresh token that currently works for the session (see rotateRefreshToken)
+      refresh_id: newRefreshId(),
+      ...extra
+    };
+
+    const result = await db.collection('sessions').insertOne(session);
+    return { ...session, _id: result.insertedId };
+  }
+
+  // Get a session that is neither revoked nor expired
+  static async getActiveSession(db, sessionId) {
+    if (!sessionId || !ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    return await db.collection('sessions').findOne({
+      _id: new ObjectId(sessionId),
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    });
+  }
+
+  // Update last_seen_at (throttled)
+  static async touch(db, session) {
+    if (Date.now() - new Date(session.last_seen_at).getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+      return;
+    }
+
+    await db.collection('sessions').updateOne(
+      { _id: session._id },
+      { $set: { last_seen_at: new Date() } }
+    );
+  }
+
+  // Use up a refresh token (refreshId is its jti; tokens from before rotation have none): the session
+  // gets a new refresh id and a later expiry. Returns the new id, or null when the token was already
+  // used - then a copy is in someone else's hands and the session is revoked, unless the token was
+  // replaced moments ago (two tabs refreshing at once).
+  static async rotateRefreshToken(db, session, refreshId) {
+    const sessions = db.collection('sessions');
+    const now = new Date();
+    const nextRefreshId = newRefreshId();
+    const result = await sessions.updateOne(
+      { _id: session._id, revoked_at: null, refresh_id: refreshId || null },
+      { $set: {
+        refresh_id: nextRefreshId,
+        previous_refresh_id: refreshId || null,
+        refresh_rotated_at: now,
+        last_seen_at: now,
+        expires_at: new Date(now.getTime() + TokenManager.getRefreshTokenTTL() * 1000)
+      } }
+    );
+    if (result.modifiedCount === 1) {
+      return nextRefreshId;
+    }
+
+    const current = await sessions.findOne({ _id: session._id });
+    const justReplaced = current && refreshId && current.previous_refresh_id === refreshId &&
+      now - new Date(current.refresh_rotated_at) < REFRESH_REUSE_GRACE_MS;
+    if (!justReplaced) {
+      await this.revokeSession(db, session._id, 'refresh_token_reused');
+    }
+    return null;
+  }
+
+  // Revoke a single session
+  static async revokeSession(db, sessionId, reason = 'logout') {
+    const result = await db.collection('sessions').updateOne(
+      { _id: new ObjectId(sessionId), revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  static async revokeUserSessions(db, userId, reason, exceptSessionId = null) {
+    const filter = { user_id: new ObjectId(userId), revoked_at: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: new ObjectId(exceptSessionId) };
+    }
+
+    const result = await db.collection('sessions').updateMany(
+      filter,
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // List a user's active sessions, most recently used first
+  static async listUserSessions(db, userId) {
+    return await db.collection('sessions').find({
+      user_id: new ObjectId(userId),
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    }).sort({ last_seen_at: -1 }).toArray();
+  }
+}
+
+module.exports = SessionRegistry;
@@ -0,0 +1,147 @@
+// Signed, expiring authentication tokens (HMAC-SHA256) for the campaign management API
+const crypto = require('crypto');
+
+// Token lifetimes in seconds (can be overridden from .env)
+const ACCESS_TOKEN_TTL = parseInt(process.env.AUTH_ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.AUTH_REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60;
+const IMPERSONATION_TOKEN_TTL = parseInt(process.env.AUTH_IMPERSONATION_TTL, 10) || 30 * 60;
+
+let generatedSecret = null;
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64, 'base64').toString();
+}
+
+class TokenManager {
+  // Get the signing secret from .env (falls back to a per-process secret in development)
+  static getSecret() {
+    if (process.env.AUTH_TOKEN_SECRET) {
+      return process.env.AUTH_TOKEN_SECRET;
+    }
+
+    if (!generatedSecret) {
+      console.warn('AUTH_TOKEN_SECRET is not set - using a random secret, all sessions will end when the server restarts');
+      generatedSecret = crypto.randomBytes(48).toString('hex');
+    }
+    return generatedSecret;
+  }
+
+  static getAccessTokenTTL() {
+    return ACCESS_TOKEN_TTL;
+  }
+
+  static getRefreshTokenTTL() {
+    return REFRESH_TOKEN_TTL;
+  }
+
+  static getImpersonationTTL() {
+    return IMPERSONATION_TOKEN_TTL;
+  }
+
+  // Create a signed token: base64url(payload).base64url(signature)
+  static sign(payload, ttlSeconds) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const body = base64UrlEncode(JSON.stringify({
+      ...payload,
+      iat: issuedAt,
+      exp: issuedAt + ttlSeconds
+    }));
+    const signature = this.createSignature(body);
+    return `${body}.${signature}`;
+  }
+
+  static createSignature(body) {
+    return base64UrlEncode(crypto.createHmac('sha256', this.getSecret()).update(body).digest());
+  }
+
+  // Verify signature, expiry and token type. Returns the payload or null.
+  static verify(token, expectedType) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 2) {
+      return null;
+    }
+
+    const [body, signature] = parts;
+    const expectedSignature = this.createSignature(body);
+    const signatureBuffer = Buffer.from(signature);
+    const expectedBuffer = Buffer.from(expectedSignature);
+    if (signatureBuffer.length !== expectedBuffer.length ||
+        !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(base64UrlDecode(body));
+    } catch (error) {
+      return null;
+    }
+
+    if (!payload || !payload.sub || !payload.exp) {
+      return null;
+    }
+
+    if (payload.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    if (expectedType && payload.type !== expectedType) {
+      return null;
+    }
+
+    return payload;
+  }
+
+  // Issue an access/refresh token pair for a user's session. refreshId (jti) is the session's current
+  // refresh id; each refresh token works once (SessionRegistry.rotateRefreshToken).
+  static issueTokens(user, sessionId, refreshId) {
+    const claims = { sub: user._id.toString(), sid: sessionId.toString() };
+    const token = this.sign({ ...claims, type: 'access' }, ACCESS_TOKEN_TTL);
+    const refreshToken = this.sign({ ...claims, type: 'refresh', jti: refreshId }, REFRESH_TOKEN_TTL);
+
+    return {
+      token,
+      refreshToken,
+      expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL * 1000).toISOString()
+    };
+  }
+
+  // Issue a short-lived access token for an impersonation session ("view as user").
+  // It is marked with the impersonating user's id (imp) and comes without a refresh token.
+  static issueImpersonationToken(user, sessionId, impersonatorId) {
+    const token = this.sign({
+      sub: user._id.toString(),
+      sid: sessionId.toString(),
+      imp: impersonatorId.toString(),
+      type: 'access'
+    }, IMPERSONATION_TOKEN_TTL);
+
+    return {
+      token,
+      expiresAt: new Date(Date.now() + IMPERSONATION_TOKEN_TTL * 1000).toISOString()
+    };
+  }
+
+  // Read the bearer token from the Authorization header
+  static extractBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+    return authHeader.substring(7);
+  }
+}
+
+module.exports = TokenManager;
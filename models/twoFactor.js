@@ -0,0 +1,257 @@
+// TOTP two-factor authentication (RFC 6238) with one-time backup recovery codes
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const QRCode = require('qrcode');
+const TokenManager = require('./tokenManager');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Trichy Gold';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept codes from one step before/after the current one to allow for clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+// Lifetime of the challenge token issued between the password and code steps of a login
+const CHALLENGE_TTL = 5 * 60;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hashBackupCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+class TwoFactor {
+  static isEnabled(user) {
+    return !!(user.two_factor && user.two_factor.enabled);
+  }
+
+  // 2FA is mandatory when any of the user's roles has require_two_factor set
+  static async isRequired(db, user) {
+    if (!user.roles || user.roles.length === 0) {
+      return false;
+    }
+
+    const role = await db.collection('roles').findOne({
+      _id: { $in: user.roles.map(roleId => new ObjectId(roleId)) },
+      require_two_factor: true
+    });
+    return !!role;
+  }
+
+  // Public status, safe to send to the browser
+  static getStatus(user) {
+    const twoFactor = user.two_factor || {};
+    return {
+      enabled: !!twoFactor.enabled,
+      enabledAt: twoFactor.enabled_at || null,
+      backupCodesRemaining: (twoFactor.backup_codes || []).length
+    };
+  }
+
+  static generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** CODE_DIGITS);
+    return String(binary).padStart(CODE_DIGITS, '0');
+  }
+
+  static getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastUsedStep are rejected to stop replays.
+  static verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.getCurrentStep();
+    for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+      const step = currentStep + drift;
+      if (step <= lastUsedStep) continue;
+
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  static buildOtpauthUri(username, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(CODE_DIGITS),
+      period: String(TIME_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Backup codes are shown once; only their hashes are stored
+  static generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashBackupCode) };
+  }
+
+  // Start (or restart) enrolment: store a pending secret and return what the authenticator app needs
+  static async startEnrolment(db, user) {
+    const secret = this.generateSecret();
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(user._id) },
+      { $set: { 'two_factor.pending_secret': secret } }
+    );
+
+    const otpauthUri = this.buildOtpauthUri(user.username, secret);
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+  }
+
+  // Finish enrolment with a code from the app. Returns the new backup codes, or null if the code is wrong.
+  static async completeEnrolment(db, user, code) {
+    const pendingSecret = user.two_factor && user.two_factor.pending_secret;
+    if (!pendingSecret) {
+      return null;
+    }
+
+    const step = this.verifyCode(pendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(user._id) },
+      { $set: {
+        two_factor: {
+          enabled: true,
+          secret: pendingSecret,
+          backup_codes: hashes,
+          last_used_step: step,
+          enabled_at: new Date()
+        },
+        updated_at: new Date()
+      } }
+    );
+    return codes;
+  }
+
+  // Verify a login code: a TOTP code from the app, or an unused backup code.
+  // Returns { method, backupCodesRemaining } on success, otherwise null.
+  static async verifyUserCode(db, user, code) {
+    if (!this.isEnabled(user)) {
+      return null;
+    }
+
+    const users = db.collection('users');
+    const twoFactor = user.two_factor;
+    const step = this.verifyCode(twoFactor.secret, code, twoFactor.last_used_step);
+    if (step !== null) {
+      // Only succeed if no other request used this or a later step in the meantime
+      const result = await users.updateOne(
+        { _id: user._id, 'two_factor.last_used_step': twoFactor.last_used_step },
+        { $set: { 'two_factor.last_used_step': step } }
+      );
+      if (result.modifiedCount === 0) {
+        return null;
+      }
+      return { method: 'totp', backupCodesRemaining: (twoFactor.backup_codes || []).length };
+    }
+
+    const codeHash = hashBackupCode(code || '');
+    const result = await users.updateOne(
+      { _id: user._id, 'two_factor.backup_codes': codeHash },
+      { $pull: { 'two_factor.backup_codes': codeHash } }
+    );
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+    return { method: 'backup_code', backupCodesRemaining: (twoFactor.backup_codes || []).length - 1 };
+  }
+
+  // Replace all backup codes
+  static async regenerateBackupCodes(db, userId) {
+    const { codes, hashes } = this.generateBackupCodes();
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(userId) },
+      { $set: { 'two_factor.backup_codes': hashes, updated_at: new Date() } }
+    );
+    return codes;
+  }
+
+  static async disable(db, userId) {
+    const result = await db.collection('users').updateOne(
+      { _id: new ObjectId(userId) },
+      { $unset: { two_factor: '' }, $set: { updated_at: new Date() } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  static issueChallengeToken(user) {
+    return TokenManager.sign({ sub: user._id.toString(), type: '2fa_challenge' }, CHALLENGE_TTL);
+  }
+
+  static verifyChallengeToken(token) {
+    return TokenManager.verify(token, '2fa_challenge');
+  }
+}
+
+module.exports = TwoFactor;
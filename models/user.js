@@ -1,19 +1,32 @@
 // User model with database-driven roles for MongoDB
 const { ObjectId } = require('mongodb');
+const bcrypt = require('bcryptjs');
+
+// Password policy
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5;
+
+// Profile fields users may edit themselves (admins edit the same fields through PUT /api/users/:id)
+const PROFILE_FIELDS = ['username', 'email', 'display_name'];
+const DISPLAY_NAME_MAX_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 class User {
-  constructor({ _id, username, password, email, roles = [] }) {
+  constructor({ _id, username, password, email, display_name = '', roles = [] }) {
     this._id = _id ? new ObjectId(_id) : new ObjectId();
     this.username = username;
     this.password = password; // Should be hashed in production
     this.email = email;
+    this.display_name = display_name; // Shown instead of the username where set
     this.roles = roles; // Array of role ObjectIds
+    this.active = true; // Disabled accounts keep their record (and audit history) but cannot sign in
+    this.password_history = []; // Previous password hashes, newest first
     this.created_at = new Date();
     this.updated_at = new Date();
   }
 
-  // Validate user data
-  static validate(userData) {
+  // Validate user data. Pass options.passwordHistory (hashes) to refuse reused passwords.
+  static async validate(userData, options = {}) {
     const errors = [];
     
     if (!userData.username || typeof userData.username !== 'string') {
@@ -22,6 +35,8 @@ class User {
     
     if (!userData.password || typeof userData.password !== 'string') {
       errors.push('Password is required and must be a string');
+    } else {
+      errors.push(...await this.validatePassword(userData.password, options.passwordHistory));
     }
     
     if (!userData.email || typeof userData.email !== 'string') {
@@ -35,9 +50,116 @@ class User {
     return errors;
   }
 
+  // Check a plain-text password against the password policy
+  static async validatePassword(password, passwordHistory = []) {
+    const errors = [];
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+
+    let reused = false;
+    for (const hash of (passwordHistory || []).slice(0, PASSWORD_HISTORY_SIZE)) {
+      if (hash && await bcrypt.compare(password, hash)) {
+        reused = true;
+        break;
+      }
+    }
+    if (reused) {
+      errors.push(`Password must not match any of your last ${PASSWORD_HISTORY_SIZE} passwords`);
+    }
+
+    return errors;
+  }
+
+  // Hashes a new password must not match: the current one plus the stored history
+  static getPasswordHistory(user) {
+    return [user.password, ...(user.password_history || [])]
+      .filter(Boolean)
+      .slice(0, PASSWORD_HISTORY_SIZE);
+  }
+
+  // Build the $set update for a password change, rotating the old hash into the history
+  static async buildPasswordUpdate(user, newPassword) {
+    const saltRounds = 10;
+    const now = new Date();
+    return {
+      password: await bcrypt.hash(newPassword, saltRounds),
+      password_history: this.getPasswordHistory(user),
+      password_changed_at: now,
+      updated_at: now
+    };
+  }
+
+  // Trimmed profile fields present in input ({ username, email, display_name }) that differ from the user's.
+  // A null display name clears it.
+  static pickProfileChanges(user, input) {
+    const changes = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (input[field] === undefined) return;
+      const raw = field === 'display_name' && input[field] === null ? '' : input[field];
+      const value = typeof raw === 'string' ? raw.trim() : raw;
+      if (value !== (user[field] || '')) {
+        changes[field] = value;
+      }
+    });
+    return changes;
+  }
+
+  // Check profile changes against the field rules and, for username and email, against other users
+  static async validateProfileChanges(db, userId, changes) {
+    const errors = [];
+
+    if (changes.username !== undefined && (typeof changes.username !== 'string' || !changes.username)) {
+      errors.push('Username is required and must be a string');
+    }
+    if (changes.email !== undefined && (typeof changes.email !== 'string' || !EMAIL_PATTERN.test(changes.email))) {
+      errors.push('Email must be a valid email address');
+    }
+    if (changes.display_name !== undefined) {
+      if (typeof changes.display_name !== 'string') {
+        errors.push('Display name must be a string');
+      } else if (changes.display_name.length > DISPLAY_NAME_MAX_LENGTH) {
+        errors.push(`Display name must be at most ${DISPLAY_NAME_MAX_LENGTH} characters`);
+      }
+    }
+    if (errors.length > 0) {
+      return { errors, conflict: false };
+    }
+
+    const otherUsers = { _id: { $ne: new ObjectId(userId) } };
+    if (changes.username && await db.collection('users').findOne({ ...otherUsers, username: changes.username })) {
+      errors.push(`Username "${changes.username}" is already taken`);
+    }
+    if (changes.email && await db.collection('users').findOne({ ...otherUsers, email: changes.email })) {
+      errors.push(`Email ${changes.email} is already used by another user`);
+    }
+    return { errors, conflict: errors.length > 0 };
+  }
+
+  // Build the $set update for profile changes
+  static buildProfileUpdate(changes) {
+    return { ...changes, updated_at: new Date() };
+  }
+
+  // Accounts created before the active flag existed count as active
+  static isActive(user) {
+    return !!user && user.active !== false;
+  }
+
+  // User document without password hashes or 2FA secrets, for API responses
+  static toSafeObject(user) {
+    const { password, password_history, two_factor, ...safeUser } = user;
+    return {
+      ...safeUser,
+      active: this.isActive(user),
+      two_factor_enabled: !!(two_factor && two_factor.enabled)
+    };
+  }
+
   // Create user from data
-  static create(userData) {
-    const errors = this.validate(userData);
+  static async create(userData) {
+    const errors = await this.validate(userData);
     if (errors.length > 0) {
       throw new Error(`Validation failed: ${errors.join(', ')}`);
     }
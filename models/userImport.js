@@ -0,0 +1,179 @@
+// Bulk user import and export (.xlsx or .csv).
+// Import files have a header row with username, email and roles (role names separated by commas);
+// the export uses the same columns so an exported file can be edited and imported elsewhere.
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const excel = require('exceljs');
+const User = require('./user');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS, 10) || 500;
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.csv'];
+
+// How imported users get their first password
+const PASSWORD_MODES = ['temporary', 'reset'];
+
+const EXPORT_COLUMNS = [
+  { header: 'Username', key: 'username', width: 20 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Roles', key: 'roles', width: 30 },
+  { header: 'Employee ID', key: 'employee_id', width: 15 },
+  { header: 'Active', key: 'active', width: 10 },
+  { header: 'Two-Factor', key: 'two_factor', width: 12 },
+  { header: 'Created', key: 'created_at', width: 22 }
+];
+
+// Header text -> column key: "Username", "E-mail" and "Role(s)" all match
+function normalizeHeader(value) {
+  const header = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (header === 'role') return 'roles';
+  return header;
+}
+
+// Plain text of an exceljs cell value (hyperlinks, rich text and formulas are objects)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value instanceof Date) return value.toISOString();
+  }
+  return String(value).trim();
+}
+
+class UserImport {
+  static getMaxRows() {
+    return MAX_IMPORT_ROWS;
+  }
+
+  static isSupportedFile(filename) {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+  }
+
+  static isPasswordMode(mode) {
+    return PASSWORD_MODES.includes(mode);
+  }
+
+  // Random password for a new account; in 'reset' mode nobody ever sees it
+  static generatePassword() {
+    return crypto.randomBytes(12).toString('base64url');
+  }
+
+  // Read an uploaded file into rows: [{ row, username, email, roles: [name] }].
+  // Throws with a readable message when the file cannot be used.
+  static async parseFile(file) {
+    const workbook = new excel.Workbook();
+    let worksheet;
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      // Keep every value as text - usernames like "0012" must not become numbers
+      worksheet = await workbook.csv.read(Readable.from([file.buffer]), { map: value => value });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+    if (!worksheet || worksheet.rowCount === 0) {
+      throw new Error('The file is empty');
+    }
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+      columns[normalizeHeader(cellText(cell.value))] = columnNumber;
+    });
+    const missing = ['username', 'email'].filter(key => !columns[key]);
+    if (missing.length > 0) {
+      throw new Error(`Missing column(s): ${missing.join(', ')}. The first row must name the username, email and roles columns`);
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const read = key => (columns[key] ? cellText(row.getCell(columns[key]).value) : '');
+      const username = read('username');
+      const email = read('email');
+      const roles = read('roles').split(/[,;]/).map(name => name.trim()).filter(Boolean);
+      if (!username && !email && roles.length === 0) return;
+      rows.push({ row: rowNumber, username, email, roles });
+    });
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`The file has ${rows.length} users; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+    }
+    return rows;
+  }
+
+  // Check every row and attach errors (empty when the row can be imported), the role IDs
+  // and a generated password. Rows are checked with User.validate, against existing
+  // usernames, against each other and against the stored role names.
+  static async validateRows(db, rows) {
+    const roles = await db.collection('roles').find({}).toArray();
+    const rolesByName = new Map(roles.map(role => [role.name.toLowerCase(), role]));
+
+    const usernames = rows.map(row => row.username).filter(Boolean);
+    const existing = await db.collection('users')
+      .find({ username: { $in: usernames } }, { projection: { username: 1 } })
+      .toArray();
+    const existingUsernames = new Set(existing.map(user => user.username));
+    const seen = new Map();
+
+    const checked = [];
+    for (const row of rows) {
+      const password = this.generatePassword();
+      const errors = await User.validate({ username: row.username, email: row.email, password, roles: row.roles });
+
+      if (row.username && existingUsernames.has(row.username)) {
+        errors.push(`Username "${row.username}" already exists`);
+      }
+      if (row.username && seen.has(row.username)) {
+        errors.push(`Username "${row.username}" is also on row ${seen.get(row.username)}`);
+      } else if (row.username) {
+        seen.set(row.username, row.row);
+      }
+
+      const roleIds = [];
+      row.roles.forEach(name => {
+        const role = rolesByName.get(name.toLowerCase());
+        if (role) {
+          roleIds.push(role._id.toString());
+        } else {
+          errors.push(`Unknown role "${name}"`);
+        }
+      });
+
+      checked.push({ ...row, roleIds, password, errors });
+    }
+    return checked;
+  }
+
+  // Public row report (never includes generated passwords unless the caller adds them)
+  static toReportRow({ row, username, email, roles, errors }) {
+    return { row, username, email, roles, errors, status: errors.length > 0 ? 'invalid' : 'valid' };
+  }
+
+  // Workbook of every user with the import columns plus read-only details
+  static async buildExportWorkbook(db) {
+    const [users, roles] = await Promise.all([
+      db.collection('users').find({}).sort({ username: 1 }).toArray(),
+      db.collection('roles').find({}).toArray()
+    ]);
+    const roleNames = new Map(roles.map(role => [role._id.toString(), role.name]));
+
+    const workbook = new excel.Workbook();
+    const worksheet = workbook.addWorksheet('Users');
+    worksheet.columns = EXPORT_COLUMNS;
+    users.forEach(user => {
+      worksheet.addRow({
+        username: user.username,
+        email: user.email || '',
+        roles: (user.roles || []).map(roleId => roleNames.get(roleId.toString())).filter(Boolean).join(', '),
+        employee_id: user.employee_id || '',
+        active: User.isActive(user) ? 'Yes' : 'No',
+        two_factor: user.two_factor && user.two_factor.enabled ? 'Yes' : 'No',
+        created_at: user.created_at ? new Date(user.created_at).toLocaleString() : ''
+      });
+    });
+    return workbook;
+  }
+}
+
+module.exports = UserImport;
@@ -0,0 +1,199 @@
+// Applies the campaign schema (models/campaignSchema.js, served at GET /api/campaigns/schema) to campaign data.
+// The server validates with this file too, so the campaign forms and the API enforce the same rules.
+// Returns field-level errors: [{ field: 'channels[0].station', message: 'Channel 1 (Radio): Station is required' }].
+class CampaignValidator {
+  static get DATE_PATTERN() {
+    return /^\d{4}-\d{2}-\d{2}$/;
+  }
+
+  // options.partial: only check the top-level fields present in data (updates that send some fields)
+  // options.stored: the campaign as saved. Fields outside the schema that it already has (saved before
+  // a rule existed) are accepted when sent back unchanged, and unchanged channels are not checked again.
+  static validate(schema, data, options = {}) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push({ field: '', message: 'Campaign data must be an object' });
+      return errors;
+    }
+    this.validateObject(schema, schema.fields, data, '', '', errors, !!options.partial, options.stored);
+    return errors;
+  }
+
+  static isMissing(value) {
+    return value === undefined || value === null;
+  }
+
+  static isEmpty(value) {
+    return this.isMissing(value) || (typeof value === 'string' && value.trim() === '');
+  }
+
+  // Same value, whatever the key order. Saved Dates and ObjectIds never equal the text a client sends.
+  static isSame(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => this.isSame(item, b[index]));
+    }
+    const plain = value => !!value && Object.getPrototypeOf(value) === Object.prototype;
+    if (plain(a) && plain(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(key => key in b && this.isSame(a[key], b[key]));
+    }
+    return a === b;
+  }
+
+  static asObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  }
+
+  static validateObject(schema, fields, data, path, prefix, errors, partial, stored) {
+    const saved = this.asObject(stored);
+    Object.keys(data).forEach(key => {
+      if (!fields[key] && !(saved && key in saved && this.isSame(data[key], saved[key]))) {
+        errors.push({ field: path + key, message: `${prefix}Unknown field "${key}"` });
+      }
+    });
+
+    Object.entries(fields).forEach(([key, rule]) => {
+      const value = data[key];
+      if (partial && this.isMissing(value)) {
+        return;
+      }
+      this.validateField(schema, rule, value, data, path + key, prefix, errors, saved ? saved[key] : undefined);
+    });
+  }
+
+  static isRequired(rule, siblings) {
+    if (rule.required) {
+      return true;
+    }
+    const when = rule.requiredWhen;
+    return !!(when && when.in.includes(siblings[when.field]));
+  }
+
+  static validateField(schema, rule, value, siblings, field, prefix, errors, stored) {
+    const label = prefix + rule.label;
+    const fail = message => errors.push({ field, message: `${label} ${message}` });
+
+    if (this.isEmpty(value)) {
+      if (this.isRequired(rule, siblings)) {
+        const when = !rule.required && rule.requiredWhen;
+        fail(when ? `is required when ${when.label} is ${when.in.join(' or ')}` : 'is required');
+      } else if (!this.isMissing(value) && rule.type !== 'string' && rule.type !== 'date') {
+        fail(this.typeMessage(rule));
+      }
+      return;
+    }
+
+    switch (rule.type) {
+      case 'string':
+      case 'date': {
+        if (typeof value !== 'string') {
+          return fail(this.typeMessage(rule));
+        }
+        if (rule.type === 'date' && !this.isDate(value)) {
+          return fail(this.typeMessage(rule));
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+          return fail(`must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+          return fail(`must be one of: ${rule.enum.join(', ')}`);
+        }
+        const before = rule.notBefore;
+        if (before && this.isDate(siblings[before.field]) && value < siblings[before.field]) {
+          return fail(`must not be before ${before.label}`);
+        }
+        return;
+      }
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+          return fail(this.typeMessage(rule));
+        }
+        if (rule.min !== undefined && value < rule.min) {
+          return fail(rule.required && rule.min > 0 ? 'is required' : `must be at least ${rule.min}`);
+        }
+        return;
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return fail(this.typeMessage(rule));
+        }
+        return this.validateObject(schema, rule.fields, value, `${field}.`, prefix, errors, false, stored);
+      case 'array':
+        if (!Array.isArray(value)) {
+          return fail(this.typeMessage(rule));
+        }
+        value.forEach((item, index) => {
+          if (rule.of === 'channel') {
+            const storedChannels = Array.isArray(stored) ? stored : [];
+            if (!storedChannels.some(channel => this.isSame(channel, item))) {
+              const counterpart = this.storedChannel(storedChannels, item, index);
+              this.validateChannel(schema.channel, item, index, `${field}[${index}]`, errors, counterpart);
+            }
+          } else if (typeof item !== rule.of) {
+            errors.push({ field: `${field}[${index}]`, message: `${label} must only contain ${rule.of}s` });
+          }
+        });
+        return;
+      default:
+        return;
+    }
+  }
+
+  // The saved version of an edited channel: the one with the same reference code, else the one at its position
+  static storedChannel(storedChannels, channel, index) {
+    const tagNumber = this.asObject(channel) && channel.tagNumber;
+    if (tagNumber) {
+      const match = storedChannels.find(stored => this.asObject(stored) && stored.tagNumber === tagNumber);
+      if (match) {
+        return match;
+      }
+    }
+    return storedChannels[index];
+  }
+
+  // Channel fields plus the overrides for its type (e.g. Radio makes station required)
+  static validateChannel(channelSchema, channel, index, path, errors, stored) {
+    const number = index + 1;
+    if (!channel || typeof channel !== 'object' || Array.isArray(channel)) {
+      errors.push({ field: path, message: `Channel ${number} must be an object` });
+      return;
+    }
+
+    const overrides = channelSchema.types[channel.type] || {};
+    const fields = {};
+    Object.entries(channelSchema.fields).forEach(([key, rule]) => {
+      fields[key] = overrides[key] ? { ...rule, ...overrides[key] } : rule;
+    });
+
+    const prefix = typeof channel.type === 'string' && channel.type ? `Channel ${number} (${channel.type}): ` : `Channel ${number}: `;
+    this.validateObject(null, fields, channel, `${path}.`, prefix, errors, false, stored);
+  }
+
+  static isDate(value) {
+    if (typeof value !== 'string' || !this.DATE_PATTERN.test(value)) {
+      return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  static typeMessage(rule) {
+    return {
+      string: 'must be text',
+      date: 'must be a date (YYYY-MM-DD)',
+      number: 'must be a number',
+      integer: 'must be a whole number',
+      object: 'must be an object',
+      array: 'must be a list'
+    }[rule.type];
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.CampaignValidator = CampaignValidator;
+}
+
+// The server requires this file from models/campaignSchema.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CampaignValidator;
+}
@@ -4,22 +4,153 @@ class SessionManager {
     this.currentUser = null;
     this.userPermissions = null;
     this.isAuthenticated = false;
+    this.refreshTimer = null;
+    this.refreshPromise = null;
+    this.twoFactorChallenge = null;
+    this.twoFactorSetupRequired = false;
+    this.installFetchInterceptor();
+  }
+
+  // Refresh the access token this many milliseconds before it expires
+  static get REFRESH_MARGIN_MS() {
+    return 60 * 1000;
+  }
+
+  // Auth endpoints that manage tokens themselves and must not be intercepted
+  static get AUTH_EXEMPT_PATHS() {
+    return [
+      '/api/auth/login', '/api/auth/login/2fa', '/api/auth/login/2fa/setup',
+      '/api/auth/refresh', '/api/auth/me', '/api/auth/logout', '/api/auth/reset-password',
+      '/api/auth/impersonation/end', '/api/auth/providers', '/api/auth/oidc/exchange'
+    ];
+  }
+
+  // localStorage key holding the administrator's own session while they view the app as another user
+  static get IMPERSONATOR_SESSION_KEY() {
+    return 'impersonatorSession';
+  }
+
+  // Wrap window.fetch so every same-origin API call carries the bearer token.
+  // A 401 triggers one silent refresh and retry, then falls back to the login form.
+  installFetchInterceptor() {
+    if (typeof window === 'undefined' || !window.fetch) {
+      return;
+    }
+
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = async (input, init = {}) => {
+      const url = typeof input === 'string' ? input : (input && input.url) || '';
+      const path = new URL(url, window.location.origin);
+      const isApiCall = path.origin === window.location.origin && path.pathname.startsWith('/api/');
+
+      if (!isApiCall || SessionManager.AUTH_EXEMPT_PATHS.includes(path.pathname)) {
+        return originalFetch(input, init);
+      }
+
+      let response = await originalFetch(input, this.withAuthHeader(init));
+
+      if (response.status === 401 && localStorage.getItem('refreshToken')) {
+        if (await this.refreshSession()) {
+          response = await originalFetch(input, this.withAuthHeader(init));
+        }
+      }
+
+      if (response.status === 401 && (this.isAuthenticated || localStorage.getItem('authToken'))) {
+        console.warn(`Request to ${path.pathname} was rejected as unauthenticated, showing login form`);
+        this.logout();
+      } else if (response.status === 403) {
+        const detail = await response.clone().json().catch(() => ({}));
+        console.warn(`Permission denied for ${path.pathname}:`, detail.permission || detail.error);
+        window.dispatchEvent(new CustomEvent('permission-denied', { detail }));
+      }
+
+      return response;
+    };
+  }
+
+  // Copy fetch options and add the Authorization header (and the CSRF token when the server issued one)
+  withAuthHeader(init) {
+    const headers = new Headers(init.headers || {});
+    const token = localStorage.getItem('authToken');
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    const csrfToken = document.cookie.split('; ').find(cookie => cookie.startsWith('csrf_token='));
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', decodeURIComponent(csrfToken.slice('csrf_token='.length)));
+    }
+    return { ...init, headers };
+  }
+
+  // Download a file from an authenticated endpoint (replaces window.location downloads)
+  async downloadFile(url, fallbackFilename) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Download failed (${response.status})`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const filename = match ? match[1] : fallbackFilename;
+
+    const blob = await response.blob();
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
   }
 
   // Initialize session from localStorage or server
   async initialize() {
+    // Password reset links open the app with ?resetToken=...
+    const resetToken = new URLSearchParams(window.location.search).get('resetToken');
+    if (resetToken) {
+      this.showResetPasswordForm();
+      return;
+    }
+
+    // Back from the identity provider (GET /api/auth/oidc/callback) with a login ticket or an error
+    const params = new URLSearchParams(window.location.search);
+    const loginTicket = params.get('loginTicket');
+    const loginError = params.get('loginError');
+    if (loginTicket || loginError) {
+      window.history.replaceState(null, '', window.location.pathname);
+      const result = loginTicket ? await this.completeProviderLogin(loginTicket) : { success: false, error: loginError };
+      if (result.twoFactorRequired) {
+        // Same second step as a password login; the login script shows it if it is not loaded yet
+        this.showLoginForm();
+        this.twoFactorChallenge = result.challengeToken;
+        this.twoFactorSetupRequired = result.setupRequired;
+        if (window.showTwoFactorStep) {
+          await window.showTwoFactorStep(result.setupRequired);
+        }
+      } else if (!result.success) {
+        this.showLoginForm();
+        this.showProviderLoginError(result.error);
+      }
+      return;
+    }
+
     const token = localStorage.getItem('authToken');
     if (token) {
       try {
-        const response = await fetch('/api/auth/me', {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+        let response = await this.fetchCurrentUser();
+
+        // Access token expired while the page was closed - try a silent refresh once
+        if (response.status === 401 && await this.refreshSession()) {
+          response = await this.fetchCurrentUser();
+        }
         
         if (response.ok) {
           const userData = await response.json();
           await this.setCurrentUser(userData);
+          this.scheduleTokenRefresh();
         } else {
           this.logout();
         }
@@ -50,7 +181,14 @@ class SessionManager {
       
       if (response.ok) {
         const data = await response.json();
-        localStorage.setItem('authToken', data.token);
+
+        // Password accepted, but a second factor is needed before a session is created
+        if (data.twoFactorRequired) {
+          this.twoFactorChallenge = data.challengeToken;
+          return { success: false, twoFactorRequired: true, setupRequired: data.setupRequired };
+        }
+
+        this.storeTokens(data);
         await this.setCurrentUser(data.user);
         return { success: true };
       } else {
@@ -64,13 +202,209 @@ class SessionManager {
     }
   }
 
+  // Exchange the one-time ticket from an identity provider sign-in for a token pair
+  async completeProviderLogin(ticket) {
+    try {
+      const response = await fetch('/api/auth/oidc/exchange', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ticket })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Sign-in failed' };
+      }
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, setupRequired: data.setupRequired, challengeToken: data.challengeToken };
+      }
+
+      this.storeTokens(data);
+      await this.setCurrentUser(data.user);
+      return { success: true };
+    } catch (error) {
+      console.error('Provider login failed:', error);
+      return { success: false, error: 'Sign-in failed' };
+    }
+  }
+
+  // Offer the enabled sign-in methods on the login form; the password form is hidden when local login is off
+  async renderAuthProviders() {
+    const container = document.getElementById('loginProviders');
+    if (!container) {
+      return;
+    }
+
+    let providers = [];
+    try {
+      const response = await fetch('/api/auth/providers');
+      providers = response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Failed to load sign-in methods:', error);
+    }
+
+    const hasLocal = providers.length === 0 || providers.some(provider => provider.id === 'local');
+    const external = providers.filter(provider => provider.loginUrl);
+    const passwordStep = document.getElementById('loginForm');
+    if (passwordStep && !this.twoFactorChallenge) {
+      passwordStep.style.display = hasLocal ? 'block' : 'none';
+    }
+
+    document.getElementById('loginProviderButtons').innerHTML = external.map(provider => `
+      <a href="${provider.loginUrl}" class="block w-full text-center py-3 px-4 border border-purple-600 text-base font-medium rounded-md text-purple-700 bg-white hover:bg-purple-50">
+        ${provider.label}
+      </a>
+    `).join('');
+    document.getElementById('loginProvidersSeparator').style.display = hasLocal && external.length > 0 ? 'block' : 'none';
+    const errorShown = !document.getElementById('loginProviderError').classList.contains('hidden');
+    container.classList.toggle('hidden', !!this.twoFactorChallenge || (external.length === 0 && !errorShown));
+  }
+
+  showProviderLoginError(message) {
+    const errorDiv = document.getElementById('loginProviderError');
+    const container = document.getElementById('loginProviders');
+    if (!errorDiv || !container) {
+      return;
+    }
+    errorDiv.textContent = message || 'Sign-in failed, please try again';
+    errorDiv.classList.remove('hidden');
+    container.classList.remove('hidden');
+  }
+
+  // Second login step: verify a TOTP or backup code for the pending challenge
+  async verifyTwoFactorLogin(code) {
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken: this.twoFactorChallenge, code })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error, challengeExpired: response.status === 401 && !data.code };
+      }
+
+      this.twoFactorChallenge = null;
+      this.storeTokens(data);
+      await this.setCurrentUser(data.user);
+      return { success: true, backupCodes: data.backupCodes, backupCodesRemaining: data.backupCodesRemaining };
+    } catch (error) {
+      console.error('2FA verification failed:', error);
+      return { success: false, error: 'Verification failed' };
+    }
+  }
+
+  // Enrolment during login, when the user's role requires 2FA and it is not set up yet
+  async startTwoFactorLoginSetup() {
+    const response = await fetch('/api/auth/login/2fa/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken: this.twoFactorChallenge })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start two-factor setup');
+    }
+    return data;
+  }
+
+  // Fetch the current user with the stored access token
+  fetchCurrentUser() {
+    return fetch('/api/auth/me', {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+      }
+    });
+  }
+
+  // Persist a token pair returned by /login or /refresh and schedule the next refresh
+  storeTokens(data) {
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('tokenExpiresAt', data.expiresAt);
+    this.scheduleTokenRefresh();
+  }
+
+  // Schedule a silent refresh shortly before the access token expires
+  scheduleTokenRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    const expiresAt = Date.parse(localStorage.getItem('tokenExpiresAt'));
+    if (isNaN(expiresAt)) {
+      return;
+    }
+
+    // Impersonation tokens cannot be refreshed - return to the administrator's account when it expires
+    if (this.isImpersonating()) {
+      this.refreshTimer = setTimeout(() => this.endImpersonation(), Math.max(expiresAt - Date.now(), 0));
+      return;
+    }
+
+    const delay = Math.max(expiresAt - Date.now() - SessionManager.REFRESH_MARGIN_MS, 5000);
+    this.refreshTimer = setTimeout(async () => {
+      const refreshed = await this.refreshSession();
+      if (!refreshed) {
+        // Refresh token expired or was rejected - fall back to the login form
+        this.logout();
+      }
+    }, delay);
+  }
+
+  // Exchange the refresh token for a new token pair. Returns true on success.
+  // Concurrent callers share the same in-flight refresh request.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestTokenRefresh() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      return false;
+    }
+
+    try {
+      const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        // Refresh tokens work once: another tab may have just exchanged this one and stored its replacement
+        if (localStorage.getItem('refreshToken') !== refreshToken) {
+          this.scheduleTokenRefresh();
+          return true;
+        }
+        return false;
+      }
+
+      const data = await response.json();
+      this.storeTokens(data);
+      return true;
+    } catch (error) {
+      console.error('Token refresh failed:', error);
+      return false;
+    }
+  }
+
   // Set current user and fetch permissions
   async setCurrentUser(userData) {
     this.currentUser = userData;
     this.isAuthenticated = true;
     
-    // Fetch user permissions from roles
-    if (userData.roles && userData.roles.length > 0) {
+    // Permissions are resolved server-side and returned with the user; fall back to fetching them from roles
+    if (userData.permissions) {
+      this.userPermissions = userData.permissions;
+    } else if (userData.roles && userData.roles.length > 0) {
       await this.fetchUserPermissions(userData.roles);
     } else {
       this.userPermissions = this.getDefaultPermissions();
@@ -113,18 +447,11 @@ class SessionManager {
     }
   }
 
-  // Get default permissions (viewer level)
+  // Fallback when the user's permissions cannot be loaded. The permission list itself lives in
+  // models/permissions.js on the server; anything not listed here is denied.
   getDefaultPermissions() {
     return {
-      create_campaigns: false,
-      edit_campaigns: false,
-      delete_campaigns: false,
-      view_campaigns: true,
-      view_reports: true,
-      export_data: false,
-      manage_users: false,
-      manage_roles: false,
-      manage_channels: false
+      view_campaigns: true
     };
   }
 
@@ -145,10 +472,39 @@ class SessionManager {
     return this.hasPermission('edit_campaigns');
   }
 
+  // Record-level check: edit_campaigns edits everything, edit_own_campaigns only campaigns
+  // assigned (jobAssignedTo) to the employee linked to this user. The server enforces the same rule.
+  canEditCampaign(campaign) {
+    if (this.canEditCampaigns()) {
+      return true;
+    }
+    if (!this.hasPermission('edit_own_campaigns') || !campaign) {
+      return false;
+    }
+
+    return this.isAssignedToMe(campaign);
+  }
+
+  // Employee profile linked to this user (users.employee_id), or null
+  getLinkedEmployee() {
+    return (this.currentUser && this.currentUser.employee) || null;
+  }
+
+  // Campaigns store the assigned employee's name in jobAssignedTo
+  isAssignedToMe(campaign) {
+    const employee = this.getLinkedEmployee();
+    return !!(employee && campaign && campaign.jobAssignedTo &&
+      campaign.jobAssignedTo.trim().toLowerCase() === (employee.name || '').trim().toLowerCase());
+  }
+
   canDeleteCampaigns() {
     return this.hasPermission('delete_campaigns');
   }
 
+  canApproveBudgets() {
+    return this.hasPermission('approve_budgets');
+  }
+
   canViewCampaigns() {
     return this.hasPermission('view_campaigns');
   }
@@ -161,6 +517,10 @@ class SessionManager {
     return this.hasPermission('export_data');
   }
 
+  canViewFinancials() {
+    return this.hasPermission('view_financials');
+  }
+
   canManageUsers() {
     return this.hasPermission('manage_users');
   }
@@ -173,12 +533,113 @@ class SessionManager {
     return this.hasPermission('manage_channels');
   }
 
+  canManageEmployees() {
+    return this.hasPermission('manage_employees');
+  }
+
   // Update UI based on permissions
   updateUI() {
     this.updateNavigation();
     this.updateCampaignActions();
     this.updateUserManagement();
     this.updateRoleManagement();
+    this.updateFinancialFields();
+    this.updateImpersonationBanner();
+  }
+
+  // Show who is being viewed as, and by whom, while impersonating
+  updateImpersonationBanner() {
+    const banner = document.getElementById('impersonation-banner');
+    if (!banner) {
+      return;
+    }
+
+    const impersonation = this.currentUser && this.currentUser.impersonation;
+    if (!impersonation) {
+      banner.classList.add('hidden');
+      return;
+    }
+
+    const expiresAt = new Date(impersonation.expires_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('impersonation-banner-text').textContent =
+      `Viewing as ${this.currentUser.username} (signed in as ${impersonation.impersonator.username}) until ${expiresAt}. ` +
+      'Password, 2FA, session and API key settings are unavailable.';
+    banner.classList.remove('hidden');
+  }
+
+  // True while an administrator is viewing the app as another user
+  isImpersonating() {
+    return !!localStorage.getItem(SessionManager.IMPERSONATOR_SESSION_KEY);
+  }
+
+  // Start viewing the app as another user (requires impersonate_users).
+  // The administrator's own tokens are kept aside so endImpersonation() can return to them.
+  async startImpersonation(userId) {
+    const response = await fetch('/api/auth/impersonation', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to view as this user');
+    }
+
+    localStorage.setItem(SessionManager.IMPERSONATOR_SESSION_KEY, JSON.stringify({
+      authToken: localStorage.getItem('authToken'),
+      refreshToken: localStorage.getItem('refreshToken'),
+      tokenExpiresAt: localStorage.getItem('tokenExpiresAt'),
+      currentUser: localStorage.getItem('currentUser')
+    }));
+    localStorage.setItem('authToken', data.token);
+    localStorage.removeItem('refreshToken');
+    localStorage.setItem('tokenExpiresAt', data.expiresAt);
+    this.scheduleTokenRefresh();
+
+    await this.setCurrentUser(data.user);
+  }
+
+  // Return to the administrator's own account: end the impersonation session and restore their tokens
+  async endImpersonation() {
+    const saved = JSON.parse(localStorage.getItem(SessionManager.IMPERSONATOR_SESSION_KEY) || 'null');
+    const token = localStorage.getItem('authToken');
+
+    // The impersonation session is ended on the server; the administrator returns regardless of the result
+    if (token) {
+      await fetch('/api/auth/impersonation/end', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      }).catch(error => console.error('Ending impersonation failed:', error));
+    }
+
+    localStorage.removeItem(SessionManager.IMPERSONATOR_SESSION_KEY);
+    if (!saved || !saved.authToken) {
+      this.logout();
+      return;
+    }
+
+    localStorage.setItem('authToken', saved.authToken);
+    localStorage.setItem('refreshToken', saved.refreshToken || '');
+    localStorage.setItem('tokenExpiresAt', saved.tokenExpiresAt || '');
+    localStorage.setItem('currentUser', saved.currentUser || '');
+
+    try {
+      let response = await this.fetchCurrentUser();
+      if (response.status === 401 && await this.refreshSession()) {
+        response = await this.fetchCurrentUser();
+      }
+
+      if (!response.ok) {
+        this.logout();
+        return;
+      }
+
+      await this.setCurrentUser(await response.json());
+      this.scheduleTokenRefresh();
+    } catch (error) {
+      console.error('Returning to your account failed:', error);
+      this.logout();
+    }
   }
 
   // Update navigation visibility
@@ -222,6 +683,26 @@ class SessionManager {
       btn.style.display = this.canDeleteCampaigns() ? 'inline-block' : 'none';
     });
 
+    // "Pending my approval" menu button
+    document.querySelectorAll('.approve-budgets-btn').forEach(btn => {
+      btn.style.display = this.canApproveBudgets() ? 'inline-block' : 'none';
+    });
+
+    // "My campaigns" filter - only for users linked to an employee
+    const myCampaignsFilter = document.getElementById('my-campaigns-filter');
+    if (myCampaignsFilter) {
+      const employee = this.getLinkedEmployee();
+      myCampaignsFilter.classList.toggle('hidden', !employee);
+      const label = document.getElementById('my-campaigns-filter-label');
+      if (label) {
+        label.textContent = employee ? `My campaigns (${employee.name})` : 'My campaigns';
+      }
+      const checkbox = document.getElementById('filter-my-campaigns');
+      if (checkbox && !employee) {
+        checkbox.checked = false;
+      }
+    }
+
     // Generate tags buttons - removed since tags are now auto-generated
   }
 
@@ -231,10 +712,12 @@ class SessionManager {
     // Let the showSection() function handle visibility based on user actions
     
     // User management buttons
-    const addUserBtn = document.getElementById('addUserBtn');
-    if (addUserBtn) {
-      addUserBtn.style.display = this.canManageUsers() ? 'inline-block' : 'none';
-    }
+    ['addUserBtn', 'importUsersBtn', 'exportUsersBtn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.style.display = this.canManageUsers() ? 'inline-block' : 'none';
+      }
+    });
 
     const editUserButtons = document.querySelectorAll('.edit-user-btn');
     editUserButtons.forEach(btn => {
@@ -245,6 +728,16 @@ class SessionManager {
     deleteUserButtons.forEach(btn => {
       btn.style.display = this.canManageUsers() ? 'inline-block' : 'none';
     });
+
+    const addEmployeeBtn = document.getElementById('addEmployeeBtn');
+    if (addEmployeeBtn) {
+      addEmployeeBtn.style.display = this.canManageEmployees() ? 'inline-block' : 'none';
+    }
+  }
+
+  // Hide budget, sales and cost fields (the server already strips their values)
+  updateFinancialFields() {
+    document.body.classList.toggle('hide-financials', !this.canViewFinancials());
   }
 
   // Update role management visibility
@@ -269,13 +762,327 @@ class SessionManager {
     });
   }
 
+  // Change the current user's password
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await fetch('/api/auth/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword })
+      });
+      const result = await response.json();
+      return response.ok ? { success: true } : { success: false, error: result.error };
+    } catch (error) {
+      console.error('Change password failed:', error);
+      return { success: false, error: 'Change password failed' };
+    }
+  }
+
+  // Open the profile modal with the current username, email, display name and linked employee
+  async showProfile() {
+    const modal = document.getElementById('profileModal');
+    if (!modal) return;
+
+    const errorDiv = document.getElementById('profileError');
+    errorDiv.classList.add('hidden');
+    try {
+      const response = await fetch('/api/auth/profile');
+      const profile = await response.json();
+      if (!response.ok) {
+        throw new Error(profile.error || 'Failed to load profile');
+      }
+
+      document.getElementById('profileUsername').value = profile.username || '';
+      document.getElementById('profileEmail').value = profile.email || '';
+      document.getElementById('profileDisplayName').value = profile.displayName || '';
+      document.getElementById('profileEmployee').textContent = profile.employee
+        ? `${profile.employee.name} (${profile.employee.employee_id})${profile.employee.position ? ` - ${profile.employee.position}` : ''}`
+        : 'Not linked to an employee';
+      document.getElementById('profileUpdatedAt').textContent = profile.updatedAt
+        ? `Last updated ${new Date(profile.updatedAt).toLocaleString()}`
+        : '';
+      modal.classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to load profile:', error);
+      alert(error.message);
+    }
+  }
+
+  closeProfile() {
+    const modal = document.getElementById('profileModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  // Save own profile changes ({ username, email, displayName })
+  async updateProfile(changes) {
+    try {
+      const response = await fetch('/api/auth/profile', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        return { success: false, error: result.error };
+      }
+
+      this.currentUser = { ...this.currentUser, ...result.user };
+      localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+      this.updateUI();
+      return { success: true };
+    } catch (error) {
+      console.error('Profile update failed:', error);
+      return { success: false, error: 'Profile update failed' };
+    }
+  }
+
+  // Complete a password reset with the token from the reset link
+  async resetPassword(newPassword) {
+    const token = new URLSearchParams(window.location.search).get('resetToken');
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, newPassword })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        return { success: false, error: result.error };
+      }
+
+      // Drop the token from the address bar and continue to the login form
+      window.history.replaceState({}, document.title, window.location.pathname);
+      this.hideResetPasswordForm();
+      this.showLoginForm();
+      return { success: true, message: result.message };
+    } catch (error) {
+      console.error('Password reset failed:', error);
+      return { success: false, error: 'Password reset failed' };
+    }
+  }
+
+  showResetPasswordForm() {
+    const mainContent = document.getElementById('main-content');
+    if (mainContent) mainContent.style.display = 'none';
+    const loginForm = document.getElementById('login-form');
+    if (loginForm) loginForm.style.display = 'none';
+    const resetForm = document.getElementById('reset-password-form');
+    if (resetForm) resetForm.style.display = 'block';
+  }
+
+  hideResetPasswordForm() {
+    const resetForm = document.getElementById('reset-password-form');
+    if (resetForm) resetForm.style.display = 'none';
+  }
+
+  // Two-factor settings modal
+  async showTwoFactorSettings() {
+    const modal = document.getElementById('twoFactorModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    await this.renderTwoFactorSettings();
+  }
+
+  closeTwoFactorSettings() {
+    const modal = document.getElementById('twoFactorModal');
+    if (modal) modal.classList.add('hidden');
+    const backupCodes = document.getElementById('twoFactorBackupCodes');
+    if (backupCodes) backupCodes.classList.add('hidden');
+  }
+
+  async renderTwoFactorSettings() {
+    const statusText = document.getElementById('twoFactorStatus');
+    const enrolSection = document.getElementById('twoFactorEnrol');
+    const enabledSection = document.getElementById('twoFactorEnabled');
+    if (!statusText) return;
+
+    try {
+      const response = await fetch('/api/auth/2fa');
+      const status = await response.json();
+      if (!response.ok) {
+        statusText.textContent = status.error || 'Failed to load two-factor status';
+        return;
+      }
+
+      if (status.enabled) {
+        statusText.textContent = `Enabled since ${new Date(status.enabledAt).toLocaleDateString()} - ${status.backupCodesRemaining} backup code(s) left.`;
+      } else {
+        statusText.textContent = status.required
+          ? 'Your role requires two-factor authentication. Set it up below.'
+          : 'Two-factor authentication is off.';
+      }
+
+      enrolSection.classList.toggle('hidden', status.enabled);
+      enabledSection.classList.toggle('hidden', !status.enabled);
+      document.getElementById('twoFactorDisableSection').classList.toggle('hidden', status.required);
+      document.getElementById('twoFactorEnrolQr').classList.add('hidden');
+    } catch (error) {
+      console.error('Failed to load 2FA status:', error);
+      statusText.textContent = 'Failed to load two-factor status';
+    }
+  }
+
+  async beginTwoFactorSetup() {
+    const response = await fetch('/api/auth/2fa/setup', { method: 'POST' });
+    const setup = await response.json();
+    if (!response.ok) {
+      alert(setup.error || 'Failed to start two-factor setup');
+      return;
+    }
+
+    document.getElementById('twoFactorSetupQr').src = setup.qrCode;
+    document.getElementById('twoFactorSetupSecret').textContent = setup.secret;
+    document.getElementById('twoFactorEnrolQr').classList.remove('hidden');
+  }
+
+  async enableTwoFactor() {
+    const codeInput = document.getElementById('twoFactorEnableCode');
+    const response = await fetch('/api/auth/2fa/enable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: codeInput.value.trim() })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      alert(result.error || 'Failed to enable two-factor authentication');
+      return;
+    }
+
+    codeInput.value = '';
+    await this.renderTwoFactorSettings();
+    this.showBackupCodes(result.backupCodes);
+  }
+
+  async regenerateBackupCodes() {
+    const codeInput = document.getElementById('twoFactorRegenerateCode');
+    const response = await fetch('/api/auth/2fa/backup-codes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: codeInput.value.trim() })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      alert(result.error || 'Failed to regenerate backup codes');
+      return;
+    }
+
+    codeInput.value = '';
+    await this.renderTwoFactorSettings();
+    this.showBackupCodes(result.backupCodes);
+  }
+
+  async disableTwoFactor() {
+    const passwordInput = document.getElementById('twoFactorDisablePassword');
+    const response = await fetch('/api/auth/2fa/disable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: passwordInput.value })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      alert(result.error || 'Failed to disable two-factor authentication');
+      return;
+    }
+
+    passwordInput.value = '';
+    await this.renderTwoFactorSettings();
+  }
+
+  // Backup codes are only ever shown once, right after they are generated
+  showBackupCodes(codes) {
+    const container = document.getElementById('twoFactorBackupCodes');
+    const list = document.getElementById('twoFactorBackupCodesList');
+    if (!container || !list || !codes) return;
+    list.textContent = codes.join('\n');
+    container.classList.remove('hidden');
+  }
+
+  // Show the current user's active sessions (devices) in the sessions modal
+  async showSessions() {
+    const modal = document.getElementById('sessionsModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    await this.renderSessions();
+  }
+
+  closeSessions() {
+    const modal = document.getElementById('sessionsModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  async renderSessions() {
+    const tbody = document.getElementById('sessions-table-body');
+    if (!tbody) return;
+
+    try {
+      const response = await fetch('/api/auth/sessions');
+      const sessions = await response.json();
+      if (!Array.isArray(sessions)) {
+        tbody.innerHTML = `<tr><td colspan="4" class="text-red-500 py-2">${sessions.error || 'Failed to load sessions'}</td></tr>`;
+        return;
+      }
+
+      tbody.innerHTML = '';
+      sessions.forEach(session => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td class="py-2 pr-4 text-sm">${session.user_agent || 'Unknown device'}</td>
+          <td class="py-2 pr-4 text-sm">${session.ip || ''}</td>
+          <td class="py-2 pr-4 text-sm">${new Date(session.last_seen_at).toLocaleString()}</td>
+          <td class="py-2 text-sm">
+            ${session.current
+              ? '<span class="text-green-600 font-semibold">This device</span>'
+              : `<button class="btn-secondary px-3 py-1 rounded text-xs" onclick="window.sessionManager.revokeSession('${session._id}')">Revoke</button>`}
+          </td>
+        `;
+        tbody.appendChild(tr);
+      });
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      tbody.innerHTML = '<tr><td colspan="4" class="text-red-500 py-2">Failed to load sessions</td></tr>';
+    }
+  }
+
+  // Revoke another session of the current user
+  async revokeSession(sessionId) {
+    if (!confirm('Sign out this session?')) return;
+    const response = await fetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      alert(error.error || 'Failed to revoke session');
+    }
+    await this.renderSessions();
+  }
+
   // Logout user
   logout() {
+    // Logging out (or an expired session) while viewing as another user returns to the administrator's account
+    if (this.isImpersonating()) {
+      this.endImpersonation();
+      return;
+    }
+
+    const token = localStorage.getItem('authToken');
+    if (token && this.isAuthenticated) {
+      // Revoke the session on the server; the local session is cleared regardless of the result
+      fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      }).catch(error => console.error('Server logout failed:', error));
+    }
+
     this.currentUser = null;
     this.userPermissions = null;
     this.isAuthenticated = false;
+
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
     
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('tokenExpiresAt');
     localStorage.removeItem('currentUser');
     
     // Clear login form fields
@@ -305,6 +1112,16 @@ class SessionManager {
       loginForm.style.display = 'block';
     }
 
+    // Always start at the password step
+    this.twoFactorChallenge = null;
+    const passwordStep = document.getElementById('loginForm');
+    const twoFactorStep = document.getElementById('twoFactorForm');
+    if (passwordStep) passwordStep.style.display = 'block';
+    if (twoFactorStep) twoFactorStep.style.display = 'none';
+    const providerError = document.getElementById('loginProviderError');
+    if (providerError) providerError.classList.add('hidden');
+    this.renderAuthProviders();
+
     // Login form handler is now managed in the HTML file
   }
 
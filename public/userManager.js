@@ -19,6 +19,11 @@ async function fetchRoleDescriptions() {
   return res.json();
 }
 
+async function fetchAvailablePermissions() {
+  const res = await fetch(apiBase + '/roles/permissions/available');
+  return res.json();
+}
+
 async function createUser(user) {
   const res = await fetch(apiBase, {
     method: 'POST',
@@ -28,15 +33,105 @@ async function createUser(user) {
   return res.json();
 }
 
-async function updateUserRoles(id, roles) {
-  const res = await fetch(`${apiBase}/${id}/roles`, {
+// Upload a users file; dryRun only reports row errors
+async function importUsers(file, { dryRun, passwordMode }) {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  formData.append('passwordMode', passwordMode);
+  const res = await fetch(`${apiBase}/import`, { method: 'POST', body: formData });
+  return res.json();
+}
+
+async function updateUser(id, data) {
+  const res = await fetch(`${apiBase}/${id}`, {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ roles })
+    body: JSON.stringify(data)
   });
   return res.json();
 }
 
+async function revokeUserSessions(id) {
+  const res = await fetch(`${apiBase}/${id}/sessions/revoke`, { method: 'POST' });
+  return res.json();
+}
+
+async function requestPasswordReset(id) {
+  const res = await fetch(`${apiBase}/${id}/reset-password`, { method: 'POST' });
+  return res.json();
+}
+
+async function unlockUser(id) {
+  const res = await fetch(`${apiBase}/${id}/unlock`, { method: 'POST' });
+  return res.json();
+}
+
+async function resetUserTwoFactor(id) {
+  const res = await fetch(`${apiBase}/${id}/2fa/reset`, { method: 'POST' });
+  return res.json();
+}
+
+async function allowUserOidcLink(id) {
+  const res = await fetch(`${apiBase}/${id}/oidc-link`, { method: 'POST' });
+  return res.json();
+}
+
+async function unlinkUserOidc(id) {
+  const res = await fetch(`${apiBase}/${id}/oidc-link`, { method: 'DELETE' });
+  return res.json();
+}
+
+// Whether company sign-in (OIDC) is enabled, for the link buttons
+async function isCompanySignInEnabled() {
+  const res = await fetch('/api/auth/providers');
+  const providers = res.ok ? await res.json() : [];
+  return providers.some(provider => provider.id === 'oidc');
+}
+
+async function fetchApiKeys(userId) {
+  const res = await fetch(`${apiBase}/${userId}/api-keys`);
+  return res.json();
+}
+
+async function createApiKey(userId, apiKey) {
+  const res = await fetch(`${apiBase}/${userId}/api-keys`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(apiKey)
+  });
+  return res.json();
+}
+
+async function revokeApiKey(userId, keyId) {
+  const res = await fetch(`${apiBase}/${userId}/api-keys/${keyId}`, { method: 'DELETE' });
+  return res.json();
+}
+
+async function fetchEmployees() {
+  const res = await fetch('/api/employees');
+  return res.json();
+}
+
+async function linkUserEmployee(id, employeeId) {
+  const res = await fetch(`${apiBase}/${id}/employee`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ employee_id: employeeId })
+  });
+  return res.json();
+}
+
+async function unlinkUserEmployee(id) {
+  const res = await fetch(`${apiBase}/${id}/employee`, { method: 'DELETE' });
+  return res.json();
+}
+
+async function setUserActive(id, active) {
+  const res = await fetch(`${apiBase}/${id}/${active ? 'enable' : 'disable'}`, { method: 'POST' });
+  return res.json();
+}
+
 async function deleteUser(id) {
   const res = await fetch(`${apiBase}/${id}`, { method: 'DELETE' });
   return res.json();
@@ -94,20 +189,81 @@ async function renderUsersTable() {
     const response = await fetch(apiBase);
     const users = await response.json();
     console.log('[DEBUG] Users fetched:', users);
+    const employees = await fetchEmployees().catch(() => []);
+    const companySignIn = await isCompanySignInEnabled().catch(() => false);
     if (Array.isArray(users)) {
+      // An employee can be linked to one user only
+      const linkedUsernames = new Map(users.filter(user => user.employee_id).map(user => [user.employee_id, user.username]));
       const tbody = document.getElementById('users-table-body');
       console.log('[DEBUG] Table body found:', !!tbody);
       if (tbody) {
       tbody.innerHTML = '';
       users.forEach(user => {
         const tr = document.createElement('tr');
+          if (user.active === false) tr.style.opacity = '0.6';
           const roleNames = user.roleNames && user.roleNames.length > 0 ? user.roleNames.join(', ') : 'No roles assigned';
+          const lockout = user.lockout || {};
+          let lockoutBadge = '';
+          if (lockout.locked_until) {
+            lockoutBadge = `<span style="background:#FEE2E2;color:#B91C1C;font-size:11px;font-weight:bold;padding:2px 8px;border-radius:9999px;margin-left:6px;" title="Locked until ${new Date(lockout.locked_until).toLocaleString()}">Locked</span>`;
+          } else if (lockout.failed_attempts > 0) {
+            lockoutBadge = `<span style="background:#FEF3C7;color:#92400E;font-size:11px;font-weight:bold;padding:2px 8px;border-radius:9999px;margin-left:6px;">${lockout.failed_attempts} failed login(s)</span>`;
+          }
+          const unlockButton = lockout.locked_until || lockout.failed_attempts > 0
+            ? `<button style="background:#10B981;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="unlockUserAccount('${user._id}')">Unlock</button>`
+            : '';
+          const ssoBadge = user.auth_provider === 'oidc'
+            ? '<span style="background:#DBEAFE;color:#1D4ED8;font-size:11px;font-weight:bold;padding:2px 8px;border-radius:9999px;margin-left:6px;" title="Signs in with the company account; roles follow identity provider groups">SSO</span>'
+            : '';
+          const twoFactorBadge = user.two_factor_enabled
+            ? '<span style="background:#EDE9FE;color:#6D28D9;font-size:11px;font-weight:bold;padding:2px 8px;border-radius:9999px;margin-left:6px;">2FA</span>'
+            : '';
+          const disabledBadge = user.active === false
+            ? `<span style="background:#E5E7EB;color:#374151;font-size:11px;font-weight:bold;padding:2px 8px;border-radius:9999px;margin-left:6px;" title="${user.disabled_at ? 'Disabled ' + new Date(user.disabled_at).toLocaleString() : 'Disabled'}">Disabled</span>`
+            : '';
+          const activeButton = user.active === false
+            ? `<button style="background:#10B981;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="toggleUserActive('${user._id}', true)">Enable</button>`
+            : `<button style="background:#9CA3AF;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="toggleUserActive('${user._id}', false)">Disable</button>`;
+          const currentUser = window.sessionManager && window.sessionManager.getCurrentUser();
+          const canViewAs = window.sessionManager && window.sessionManager.hasPermission('impersonate_users') &&
+            user.active !== false && !(currentUser && currentUser._id === user._id);
+          const viewAsButton = canViewAs
+            ? `<button style="background:#F59E0B;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="viewAsUser('${user._id}')">View As</button>`
+            : '';
+          // Local accounts: allow linking the company account (needed for administrators and 2FA roles) or unlink it
+          let oidcLinkButton = '';
+          if (companySignIn && user.auth_provider !== 'oidc') {
+            oidcLinkButton = user.oidc || user.oidc_link_allowed
+              ? `<button style="background:#6B7280;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="unlinkCompanyAccount('${user._id}')">${user.oidc ? 'Unlink SSO' : 'Cancel SSO Link'}</button>`
+              : `<button style="background:#3B82F6;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="allowCompanyAccountLink('${user._id}')">Allow SSO Link</button>`;
+          }
+          const resetTwoFactorButton = user.two_factor_enabled
+            ? `<button style="background:#8B5CF6;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="resetTwoFactor('${user._id}')">Reset 2FA</button>`
+            : '';
         tr.innerHTML = `
-          <td><b>${user.username}</b></td>
+          <td><b>${user.username}</b>${disabledBadge}${ssoBadge}${twoFactorBadge}${lockoutBadge}${user.display_name ? `<div class="text-xs text-gray-500">${user.display_name}</div>` : ''}</td>
             <td>${user.email || 'No email'}</td>
             <td>${roleNames}</td>
+            <td>
+              <select onchange="changeUserEmployee('${user._id}', this.value)" class="p-1 border rounded-md text-sm">
+                <option value="">Not linked</option>
+                ${(Array.isArray(employees) ? employees : []).map(employee => {
+                  const linkedTo = linkedUsernames.get(employee.employee_id);
+                  const linkedToOther = linkedTo && employee.employee_id !== user.employee_id;
+                  return `
+                  <option value="${employee.employee_id}" ${employee.employee_id === user.employee_id ? 'selected' : ''} ${linkedToOther ? 'disabled' : ''}>${employee.name}${linkedToOther ? ` (linked to ${linkedTo})` : ''}</option>
+                `;
+                }).join('')}
+              </select>
+            </td>
           <td>
-              <button style="background:#FFC107;color:#222;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="showEditRoles('${user._id}')">Edit Roles</button>
+              <button style="background:#FFC107;color:#222;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="showEditRoles('${user._id}')">Edit</button>
+              <button style="background:#6B7280;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;margin-right:6px;" onclick="resetUserPassword('${user._id}')">Reset Password</button>
+              ${unlockButton}
+              ${resetTwoFactorButton}
+              ${oidcLinkButton}
+              ${activeButton}
+              ${viewAsButton}
             <button style="background:#EF4444;color:white;font-weight:bold;border:none;padding:6px 18px;border-radius:6px;cursor:pointer;" onclick="removeUser('${user._id}')">Delete</button>
           </td>
         `;
@@ -154,9 +310,13 @@ async function showEditRoles(userId) {
   const modal = document.getElementById('editRolesModal');
   const select = document.getElementById('editRolesSelect');
   await renderRolesOptions(select, user.roles);
+  document.getElementById('editUserUsername').value = user.username || '';
+  document.getElementById('editUserEmail').value = user.email || '';
+  document.getElementById('editUserDisplayName').value = user.display_name || '';
   modal.dataset.userid = userId;
+  modal.dataset.roles = JSON.stringify((user.roles || []).map(String).sort());
   // Update modal title for editing user
-  modal.querySelector('h3').textContent = 'Edit User Roles';
+  modal.querySelector('h3').textContent = `Edit User ${user.username}`;
   modal.classList.remove('hidden');
 }
 
@@ -168,8 +328,20 @@ async function saveEditedRoles() {
   const userId = modal.dataset.userid;
   const select = document.getElementById('editRolesSelect');
   const selectedRoles = Array.from(select.selectedOptions).map(opt => opt.value);
-  await updateUserRoles(userId, selectedRoles);
+  const result = await updateUser(userId, {
+    username: document.getElementById('editUserUsername').value,
+    email: document.getElementById('editUserEmail').value,
+    display_name: document.getElementById('editUserDisplayName').value,
+    roles: selectedRoles
+  });
+  if (result.error) return alert(result.error);
   modal.classList.add('hidden');
+
+  // Signed-in sessions keep the old roles cached in the browser until they log in again
+  const rolesChanged = modal.dataset.roles !== JSON.stringify([...selectedRoles].sort());
+  if (rolesChanged && confirm('Roles updated. Sign this user out of all sessions so the new roles take effect immediately?')) {
+    await revokeUserSessions(userId);
+  }
   renderUsersTable();
 }
 
@@ -184,8 +356,9 @@ function closeEditRolesModal() {
 window.closeEditRolesModal = closeEditRolesModal;
 
 async function removeUser(id) {
-  if (!confirm('Delete this user?')) return;
-  await deleteUser(id);
+  if (!confirm('Delete this user? Disabling keeps the account and its history instead.')) return;
+  const result = await deleteUser(id);
+  if (result.error) alert(result.error);
   renderUsersTable();
   
   // Note: We don't refresh job assignment dropdowns when deleting users
@@ -195,6 +368,247 @@ async function removeUser(id) {
 // Make removeUser globally accessible
 window.removeUser = removeUser;
 
+async function resetUserPassword(id) {
+  if (!confirm('Email this user a one-time password reset link?')) return;
+  const result = await requestPasswordReset(id);
+  alert(result.error || result.message);
+}
+
+// Make resetUserPassword globally accessible
+window.resetUserPassword = resetUserPassword;
+
+async function toggleUserActive(id, active) {
+  if (!active && !confirm('Disable this user? They will be signed out and cannot sign in until re-enabled.')) return;
+  const result = await setUserActive(id, active);
+  if (result.error) alert(result.error);
+  renderUsersTable();
+}
+
+// Make toggleUserActive globally accessible
+window.toggleUserActive = toggleUserActive;
+
+// Row-by-row result of a users import (or dry run)
+function renderImportReport(result) {
+  const container = document.getElementById('user-import-result');
+  if (!container) return;
+
+  if (!result.rows) {
+    container.innerHTML = `<p class="text-red-600">${result.error || 'Import failed'}</p>`;
+    return;
+  }
+
+  let summary;
+  if (result.dryRun) {
+    summary = `${result.valid} of ${result.total} row(s) can be imported` +
+      (result.invalid > 0 ? `, ${result.invalid} need fixing first.` : '. Click Import to create them.');
+  } else if (result.error) {
+    summary = result.error;
+  } else {
+    summary = `${result.created} user(s) created.` +
+      (result.passwordMode === 'temporary' ? ' Copy the temporary passwords now - they are not shown again.' : ' Password reset links were emailed.');
+  }
+
+  const showPasswords = result.rows.some(row => row.temporaryPassword);
+  container.innerHTML = `
+    <p class="mb-3 font-medium ${result.invalid > 0 ? 'text-red-600' : 'text-green-700'}">${summary}</p>
+    <div class="w-full overflow-x-auto">
+      <table class="crm-table w-full text-sm">
+        <thead>
+          <tr>
+            <th>Row</th><th>Username</th><th>Email</th><th>Roles</th><th>Status</th>
+            ${showPasswords ? '<th>Temporary Password</th>' : ''}
+          </tr>
+        </thead>
+        <tbody>
+          ${result.rows.map(row => `
+            <tr style="${row.errors.length > 0 ? 'background:#FEE2E2;' : ''}">
+              <td>${row.row}</td>
+              <td>${row.username}</td>
+              <td>${row.email}</td>
+              <td>${row.roles.join(', ')}</td>
+              <td>${row.errors.length > 0 ? row.errors.join('<br>') : row.status}</td>
+              ${showPasswords ? `<td><code>${row.temporaryPassword || ''}</code></td>` : ''}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function runUserImport(dryRun) {
+  const file = document.getElementById('userImportFile').files[0];
+  if (!file) {
+    alert('Choose an .xlsx or .csv file first');
+    return;
+  }
+  const passwordMode = document.getElementById('userImportPasswordMode').value;
+  try {
+    const result = await importUsers(file, { dryRun, passwordMode });
+    renderImportReport(result);
+  } catch (err) {
+    console.error('Error importing users:', err);
+    alert('Failed to import users');
+  }
+}
+
+async function viewAsUser(id) {
+  if (!confirm('View the app as this user? You can return to your account from the banner at the top.')) return;
+  try {
+    await window.sessionManager.startImpersonation(id);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+// Make viewAsUser globally accessible
+window.viewAsUser = viewAsUser;
+
+async function unlockUserAccount(id) {
+  const result = await unlockUser(id);
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  renderUsersTable();
+}
+
+// Make unlockUserAccount globally accessible
+window.unlockUserAccount = unlockUserAccount;
+
+async function resetTwoFactor(id) {
+  if (!confirm('Reset two-factor authentication for this user? They will be signed out and must set it up again if their role requires it.')) return;
+  const result = await resetUserTwoFactor(id);
+  alert(result.error || result.message);
+  renderUsersTable();
+}
+
+// Make resetTwoFactor globally accessible
+window.resetTwoFactor = resetTwoFactor;
+
+async function allowCompanyAccountLink(id) {
+  if (!confirm('Allow this user to link their company account? The next company sign-in with their verified email will be linked to this account.')) return;
+  const result = await allowUserOidcLink(id);
+  alert(result.error || result.message);
+  renderUsersTable();
+}
+
+async function unlinkCompanyAccount(id) {
+  if (!confirm('Unlink this user from their company account? They will sign in with their password again.')) return;
+  const result = await unlinkUserOidc(id);
+  alert(result.error || result.message);
+  renderUsersTable();
+}
+
+// Make the company account link actions globally accessible
+window.allowCompanyAccountLink = allowCompanyAccountLink;
+window.unlinkCompanyAccount = unlinkCompanyAccount;
+
+async function changeUserEmployee(id, employeeId) {
+  const result = employeeId ? await linkUserEmployee(id, employeeId) : await unlinkUserEmployee(id);
+  if (result.error) {
+    alert(result.error);
+  }
+  // Refresh so the other rows show which employees are now taken
+  renderUsersTable();
+}
+
+// Make changeUserEmployee globally accessible
+window.changeUserEmployee = changeUserEmployee;
+
+// API keys modal (current user's own keys)
+function currentUserId() {
+  const user = window.sessionManager ? window.sessionManager.getCurrentUser() : null;
+  return user ? user._id : null;
+}
+
+async function showApiKeys() {
+  const modal = document.getElementById('apiKeysModal');
+  if (!modal) return;
+
+  // Keys can only carry permissions the user has
+  const container = document.getElementById('apiKeyPermissions');
+  const permissions = (window.sessionManager && window.sessionManager.userPermissions) || {};
+  container.innerHTML = Object.keys(permissions)
+    .filter(permission => permissions[permission] === true)
+    .map(permission => `
+      <label class="flex items-center text-sm">
+        <input type="checkbox" name="apiKeyPermissions" value="${permission}" class="mr-2">${permission}
+      </label>
+    `).join('');
+
+  document.getElementById('apiKeyCreated').classList.add('hidden');
+  modal.classList.remove('hidden');
+  await renderApiKeys();
+}
+
+function closeApiKeys() {
+  document.getElementById('apiKeysModal').classList.add('hidden');
+  document.getElementById('apiKeyCreated').classList.add('hidden');
+  document.getElementById('apiKeyCreatedValue').textContent = '';
+}
+
+async function renderApiKeys() {
+  const tbody = document.getElementById('api-keys-table-body');
+  if (!tbody) return;
+
+  try {
+    const keys = await fetchApiKeys(currentUserId());
+    if (!Array.isArray(keys)) {
+      tbody.innerHTML = `<tr><td colspan="5" class="text-red-500 py-2">${keys.error || 'Failed to load API keys'}</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = keys.length === 0 ? '<tr><td colspan="5" class="text-gray-500 py-2">No API keys yet.</td></tr>' : '';
+    keys.forEach(apiKey => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td class="py-2 pr-4 text-sm"><b>${apiKey.name}</b><br><span class="text-xs text-gray-500">${apiKey.prefix}…</span></td>
+        <td class="py-2 pr-4 text-xs">${apiKey.permissions.join(', ')}</td>
+        <td class="py-2 pr-4 text-sm">${apiKey.expires_at ? new Date(apiKey.expires_at).toLocaleDateString() : 'Never'}${apiKey.expired ? ' <span class="text-red-500">(expired)</span>' : ''}</td>
+        <td class="py-2 pr-4 text-sm">${apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'Never'}</td>
+        <td class="py-2 text-sm"><button class="btn-secondary px-3 py-1 rounded text-xs" onclick="revokeOwnApiKey('${apiKey._id}')">Revoke</button></td>
+      `;
+      tbody.appendChild(tr);
+    });
+  } catch (error) {
+    console.error('Failed to load API keys:', error);
+    tbody.innerHTML = '<tr><td colspan="5" class="text-red-500 py-2">Failed to load API keys</td></tr>';
+  }
+}
+
+async function handleCreateApiKey(e) {
+  e.preventDefault();
+  const permissions = Array.from(document.querySelectorAll('input[name="apiKeyPermissions"]:checked'))
+    .map(checkbox => checkbox.value);
+  const expiresAt = document.getElementById('apiKeyExpiresAt').value;
+
+  const result = await createApiKey(currentUserId(), {
+    name: document.getElementById('apiKeyName').value.trim(),
+    permissions,
+    expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null
+  });
+  if (result.error) return alert(result.error);
+
+  e.target.reset();
+  document.getElementById('apiKeyCreatedValue').textContent = result.key;
+  document.getElementById('apiKeyCreated').classList.remove('hidden');
+  await renderApiKeys();
+}
+
+async function revokeOwnApiKey(keyId) {
+  if (!confirm('Revoke this API key? Scripts using it will stop working.')) return;
+  const result = await revokeApiKey(currentUserId(), keyId);
+  if (result.error) return alert(result.error);
+  await renderApiKeys();
+}
+
+// Make API key functions globally accessible
+window.showApiKeys = showApiKeys;
+window.closeApiKeys = closeApiKeys;
+window.handleCreateApiKey = handleCreateApiKey;
+window.revokeOwnApiKey = revokeOwnApiKey;
+
 async function handleCreateUser(e) {
   e.preventDefault();
   const username = document.getElementById('newUserUsername').value.trim();
@@ -240,6 +654,7 @@ document.addEventListener('DOMContentLoaded', function () {
   const roleSection = document.getElementById('user-manager-role-section');
   const userTableSection = document.getElementById('user-table-section');
   const userCreateFormSection = document.getElementById('user-create-form-section');
+  const userImportSection = document.getElementById('user-import-section');
 
   // Debug logs for all buttons
   console.log('[DEBUG] Button/Section presence:', {
@@ -318,27 +733,30 @@ document.addEventListener('DOMContentLoaded', function () {
       const roles = await res.json();
       const tableBody = document.getElementById('roles-table-body');
       if (Array.isArray(roles)) {
-        tableBody.innerHTML = roles.length === 0 ? '<tr><td colspan="3" class="text-center text-gray-500 py-4">No roles found.</td></tr>' : '';
+        tableBody.innerHTML = roles.length === 0 ? '<tr><td colspan="4" class="text-center text-gray-500 py-4">No roles found.</td></tr>' : '';
         roles.forEach((role) => {
           const tr = document.createElement('tr');
+          const parentRole = role.parent_id ? roles.find(r => r._id === role.parent_id) : null;
           
           tr.innerHTML = `
-            <td class="font-semibold text-purple-700">${role.name.charAt(0).toUpperCase() + role.name.slice(1)}</td>
+            <td class="px-4"><input type="checkbox" class="compare-role-checkbox" value="${role._id}"></td>
+            <td class="font-semibold text-purple-700">${role.name.charAt(0).toUpperCase() + role.name.slice(1)}${role.require_two_factor ? ' <span class="text-xs text-purple-500" title="Members must use two-factor authentication">(2FA)</span>' : ''}${parentRole ? `<div class="text-xs font-normal text-gray-500">inherits from ${parentRole.name}</div>` : ''}${role.idp_groups && role.idp_groups.length > 0 ? `<div class="text-xs font-normal text-gray-500">IdP groups: ${role.idp_groups.join(', ')}</div>` : ''}</td>
             <td class="text-sm text-gray-600">${role.description || 'No description'}</td>
             <td class="flex gap-2">
               <button onclick="editRole('${role._id}')" class="btn-secondary px-3 py-1 rounded text-xs">Edit</button>
+              <button onclick="cloneRole('${role._id}')" class="btn-secondary px-3 py-1 rounded text-xs">Clone</button>
               <button onclick="deleteRole('${role._id}')" class="btn-primary px-3 py-1 rounded text-xs bg-red-500 hover:bg-red-600">Delete</button>
             </td>
           `;
           tableBody.appendChild(tr);
         });
       } else {
-        tableBody.innerHTML = '<tr><td colspan="3" class="text-center text-red-500 py-4">Error loading roles</td></tr>';
+        tableBody.innerHTML = '<tr><td colspan="4" class="text-center text-red-500 py-4">Error loading roles</td></tr>';
       }
     } catch (e) {
       console.error('Error fetching roles:', e);
       const tableBody = document.getElementById('roles-table-body');
-      if (tableBody) tableBody.innerHTML = '<tr><td colspan="3" class="text-center text-red-500 py-4">Failed to fetch roles</td></tr>';
+      if (tableBody) tableBody.innerHTML = '<tr><td colspan="4" class="text-center text-red-500 py-4">Failed to fetch roles</td></tr>';
     }
   }
 
@@ -359,6 +777,7 @@ document.addEventListener('DOMContentLoaded', function () {
     }
     userTableSection.classList.remove('hidden');
     userCreateFormSection.classList.add('hidden');
+    if (userImportSection) userImportSection.classList.add('hidden');
     renderUsersTable();
     console.log('[DEBUG] Showing User section');
   }
@@ -393,16 +812,129 @@ document.addEventListener('DOMContentLoaded', function () {
     // Show create form, hide roles table
     document.getElementById('role-create-form-container').classList.remove('hidden');
     document.getElementById('roles-table-container').classList.add('hidden');
+    const form = document.getElementById('createRoleForm');
+    renderPermissionCheckboxes()
+      .then(() => renderParentRoleOptions(form.dataset.editMode === 'true' ? form.dataset.parentId : ''));
     console.log('[DEBUG] Showing Role creation form');
   }
+
+  // Build the role form's permission checkboxes, grouped by category, from the server's permission registry
+  let availablePermissions = null;
+  async function renderPermissionCheckboxes() {
+    const container = document.getElementById('rolePermissionsList');
+    if (!container || availablePermissions) return;
+
+    try {
+      const permissions = await fetchAvailablePermissions();
+      if (!Array.isArray(permissions)) throw new Error(permissions.error || 'Unexpected response');
+      availablePermissions = permissions;
+    } catch (err) {
+      console.error('Error loading permissions:', err);
+      container.innerHTML = '<p class="text-sm text-red-500">Failed to load permissions</p>';
+      return;
+    }
+
+    const categories = [...new Set(availablePermissions.map(permission => permission.category))];
+    container.innerHTML = categories.map(category => `
+      <div class="text-xs font-semibold uppercase tracking-wide text-gray-500 mt-2">${category}</div>
+      ${availablePermissions.filter(permission => permission.category === category).map(permission => `
+        <div class="flex items-center">
+          <input type="checkbox" id="perm_${permission.key}" name="permissions" value="${permission.key}" class="mr-3" ${permission.default ? 'checked' : ''}>
+          <label for="perm_${permission.key}" class="text-sm">${permission.label}<span class="block text-xs text-gray-500">${permission.description}</span></label>
+          <span class="permission-source text-xs ml-2" data-permission="${permission.key}"></span>
+          <label class="ml-auto flex items-center text-xs text-red-600" title="Deny even when inherited or granted by another role"><input type="checkbox" name="deniedPermissions" value="${permission.key}" class="mr-1">Deny</label>
+        </div>
+      `).join('')}
+    `).join('');
+  }
+
+  // Fill the "Inherits From" select (a role cannot inherit from itself) and label inherited permissions
+  async function renderParentRoleOptions(selectedParentId) {
+    const select = document.getElementById('newRoleParent');
+    if (!select) return;
+    const form = document.getElementById('createRoleForm');
+    const editRoleId = form.dataset.editMode === 'true' ? form.dataset.editRoleId : null;
+    try {
+      const roles = await fetchRoles();
+      select.innerHTML = '<option value="">No parent role</option>';
+      (Array.isArray(roles) ? roles : []).filter(role => role._id !== editRoleId).forEach(role => {
+        const opt = document.createElement('option');
+        opt.value = role._id;
+        opt.textContent = role.name.charAt(0).toUpperCase() + role.name.slice(1);
+        if (role._id === selectedParentId) opt.selected = true;
+        select.appendChild(opt);
+      });
+    } catch (err) {
+      console.error('Error loading parent roles:', err);
+    }
+    await showInheritedPermissions();
+  }
+
+  // Mark each permission the selected parent chain grants or denies, next to the role's own checkboxes
+  async function showInheritedPermissions() {
+    const select = document.getElementById('newRoleParent');
+    document.querySelectorAll('.permission-source').forEach(span => {
+      span.textContent = '';
+      span.className = 'permission-source text-xs ml-2';
+    });
+    if (!select || !select.value) return;
+
+    try {
+      const res = await fetch(`${apiBase}/roles/${select.value}/effective`);
+      const effective = await res.json();
+      if (effective.error) return;
+      Object.entries(effective.sources).forEach(([permission, info]) => {
+        const span = document.querySelector(`.permission-source[data-permission="${permission}"]`);
+        if (!span || !info.source) return;
+        if (info.source === 'denied') {
+          span.textContent = `denied by ${info.role_name}`;
+          span.classList.add('text-red-600');
+        } else {
+          span.textContent = `inherited from ${info.role_name}`;
+          span.classList.add('text-blue-600');
+        }
+      });
+    } catch (err) {
+      console.error('Error loading inherited permissions:', err);
+    }
+  }
+
+  const parentRoleSelect = document.getElementById('newRoleParent');
+  if (parentRoleSelect) parentRoleSelect.onchange = showInheritedPermissions;
+
   function showUserCreateForm() {
     userTableSection.classList.add('hidden');
     userCreateFormSection.classList.remove('hidden');
+    if (userImportSection) userImportSection.classList.add('hidden');
     renderRolesOptions(document.getElementById('newUserRoles'));
     document.getElementById('createUserForm').reset();
     console.log('[DEBUG] Showing User Create Form');
   }
 
+  function showUserImportForm() {
+    userTableSection.classList.add('hidden');
+    userCreateFormSection.classList.add('hidden');
+    userImportSection.classList.remove('hidden');
+    document.getElementById('userImportFile').value = '';
+    document.getElementById('user-import-result').innerHTML = '';
+  }
+
+  const importUsersBtn = document.getElementById('importUsersBtn');
+  if (importUsersBtn && userImportSection) importUsersBtn.onclick = showUserImportForm;
+  const exportUsersBtn = document.getElementById('exportUsersBtn');
+  if (exportUsersBtn) {
+    exportUsersBtn.onclick = () => {
+      window.sessionManager.downloadFile(`${apiBase}/export`, 'users.xlsx')
+        .catch(err => alert(err.message));
+    };
+  }
+  const checkImportUsersBtn = document.getElementById('checkImportUsersBtn');
+  if (checkImportUsersBtn) checkImportUsersBtn.onclick = () => runUserImport(true);
+  const runImportUsersBtn = document.getElementById('runImportUsersBtn');
+  if (runImportUsersBtn) runImportUsersBtn.onclick = () => runUserImport(false);
+  const cancelImportUsersBtn = document.getElementById('cancelImportUsersBtn');
+  if (cancelImportUsersBtn) cancelImportUsersBtn.onclick = showUserSection;
+
   // Attach event listeners with error checks
   if (addUserBtn) addUserBtn.onclick = showUserCreateForm;
   else console.error('[ERROR] addUserBtn not found!');
@@ -453,20 +985,17 @@ document.addEventListener('DOMContentLoaded', function () {
       const permissions = {};
       
       // Initialize all permissions to false
-      const allPermissions = [
-        'create_campaigns', 'edit_campaigns', 'delete_campaigns', 'view_campaigns',
-        'view_reports', 'export_data', 'manage_users', 'manage_roles', 
-        'manage_channels'
-      ];
-      
-      allPermissions.forEach(perm => {
-        permissions[perm] = false;
+      document.querySelectorAll('input[name="permissions"]').forEach(checkbox => {
+        permissions[checkbox.value] = false;
       });
       
       // Set checked permissions to true
       permissionCheckboxes.forEach(checkbox => {
         permissions[checkbox.value] = true;
       });
+
+      const deniedPermissions = Array.from(document.querySelectorAll('input[name="deniedPermissions"]:checked'))
+        .map(checkbox => checkbox.value);
       
       const isEditMode = createRoleForm.dataset.editMode === 'true';
       const roleId = createRoleForm.dataset.editRoleId;
@@ -481,21 +1010,24 @@ document.addEventListener('DOMContentLoaded', function () {
           body: JSON.stringify({ 
             name: roleName, 
             description: roleDescription,
-            permissions: permissions
+            permissions: permissions,
+            parent_id: document.getElementById('newRoleParent').value || null,
+            denied_permissions: deniedPermissions,
+            require_two_factor: document.getElementById('newRoleRequireTwoFactor').checked,
+            idp_groups: document.getElementById('newRoleIdpGroups').value
           })
         });
         
         const result = await res.json();
         if (result.error) return alert(result.error);
         
-        // Reset form
+        // Reset form (checkboxes return to each permission's default)
         createRoleForm.reset();
-        // Reset checkboxes to default state
-        document.getElementById('perm_view_campaigns').checked = true;
         
         // Reset form mode
         createRoleForm.dataset.editMode = 'false';
         delete createRoleForm.dataset.editRoleId;
+        delete createRoleForm.dataset.parentId;
         
         // Reset button text
         const submitBtn = createRoleForm.querySelector('button[type="submit"]');
@@ -555,8 +1087,11 @@ document.addEventListener('DOMContentLoaded', function () {
       }
       
       // Populate the edit form (we'll use the create form for editing)
+      await renderPermissionCheckboxes();
       document.getElementById('newRoleName').value = role.name;
       document.getElementById('newRoleDescription').value = role.description || '';
+      document.getElementById('newRoleRequireTwoFactor').checked = role.require_two_factor === true;
+      document.getElementById('newRoleIdpGroups').value = (role.idp_groups || []).join(', ');
       
       // Reset all checkboxes first
       document.querySelectorAll('input[name="permissions"]').forEach(checkbox => {
@@ -570,6 +1105,11 @@ document.addEventListener('DOMContentLoaded', function () {
           if (checkbox) checkbox.checked = true;
         }
       });
+
+      // Explicit denies
+      document.querySelectorAll('input[name="deniedPermissions"]').forEach(checkbox => {
+        checkbox.checked = (role.denied_permissions || []).includes(checkbox.value);
+      });
       
       // Change form to edit mode
       const form = document.getElementById('createRoleForm');
@@ -579,6 +1119,7 @@ document.addEventListener('DOMContentLoaded', function () {
       submitBtn.textContent = 'Update Role';
       form.dataset.editMode = 'true';
       form.dataset.editRoleId = roleId;
+      form.dataset.parentId = role.parent_id || '';
       
       // Show the form
       showRoleCreateForm();
@@ -589,6 +1130,79 @@ document.addEventListener('DOMContentLoaded', function () {
     }
   };
   
+  window.cloneRole = async function(roleId) {
+    const name = prompt('Name for the copied role (leave empty to call it "<role> copy"):', '');
+    if (name === null) return;
+
+    try {
+      const res = await fetch(`${apiBase}/roles/${roleId}/clone`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(name.trim() ? { name: name.trim() } : {})
+      });
+      const result = await res.json();
+      if (result.error) return alert('Error cloning role: ' + result.error);
+      fetchAndRenderRolesTable();
+    } catch (err) {
+      console.error('Error cloning role:', err);
+      alert('Failed to clone role');
+    }
+  };
+
+  // Permission-by-permission table of the roles ticked in the roles table
+  window.compareSelectedRoles = async function() {
+    const ids = Array.from(document.querySelectorAll('.compare-role-checkbox:checked')).map(checkbox => checkbox.value);
+    const container = document.getElementById('role-comparison');
+    if (ids.length < 2) return alert('Select at least two roles to compare');
+
+    try {
+      const res = await fetch(`${apiBase}/roles/compare?ids=${ids.map(encodeURIComponent).join(',')}`);
+      const comparison = await res.json();
+      if (comparison.error) return alert('Error comparing roles: ' + comparison.error);
+
+      const cell = ({ granted, source }) => {
+        if (source === 'denied') return '<span class="text-red-600 font-bold" title="Explicitly denied">✗ denied</span>';
+        if (!granted) return '<span class="text-gray-400">✗</span>';
+        return source === 'inherited'
+          ? '<span class="text-blue-600 font-bold" title="Inherited from a parent role">✓ inherited</span>'
+          : '<span class="text-green-600 font-bold">✓</span>';
+      };
+      let category = null;
+      const rows = comparison.permissions.map(permission => {
+        let heading = '';
+        if (permission.category !== category) {
+          category = permission.category;
+          heading = `<tr class="bg-gray-50"><td colspan="${comparison.roles.length + 1}" class="px-4 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500">${category}</td></tr>`;
+        }
+        return `${heading}
+          <tr class="${permission.differs ? 'bg-yellow-50' : ''}">
+            <td class="px-4 py-2 text-sm">${permission.label}</td>
+            ${comparison.roles.map(role => `<td class="px-4 py-2 text-sm text-center">${cell(permission.values[role._id])}</td>`).join('')}
+          </tr>`;
+      }).join('');
+
+      container.innerHTML = `
+        <div class="flex items-center justify-between px-4 py-3">
+          <h4 class="font-semibold text-purple-700">Permission Comparison</h4>
+          <span class="text-xs text-gray-500">Highlighted rows differ between the roles</span>
+        </div>
+        <table class="w-full">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-4 py-2 text-left text-sm font-medium text-gray-700">Permission</th>
+              ${comparison.roles.map(role => `<th class="px-4 py-2 text-center text-sm font-medium text-gray-700">${role.name}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+      container.classList.remove('hidden');
+    } catch (err) {
+      console.error('Error comparing roles:', err);
+      alert('Failed to compare roles');
+    }
+  };
+
   window.deleteRole = async function(roleId) {
     if (!confirm('Are you sure you want to delete this role? This action cannot be undone.')) return;
     
@@ -1,21 +1,15 @@
 // Role templates for campaign management system
-// Use these as reference when creating viewer and editor roles
+// Use these as reference when creating viewer and editor roles.
+// Permissions come from the permission registry in models/permissions.js.
+const Permissions = require('./models/permissions');
 
 // VIEWER ROLE TEMPLATE
 const viewerRole = {
   name: 'viewer',
   description: 'View only - Can view campaigns and reports, no editing permissions',
-  permissions: {
-    create_campaigns: false,
-    edit_campaigns: false,
-    delete_campaigns: false,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: false,
-    manage_users: false,
-    manage_roles: false,
-    manage_channels: false
-  },
+  permissions: Permissions.forBuiltInRole('viewer'),
+  parent_id: null,
+  denied_permissions: [],
   created_at: new Date(),
   updated_at: new Date()
 };
@@ -24,17 +18,9 @@ const viewerRole = {
 const editorRole = {
   name: 'editor',
   description: 'Edit access - Can create and edit campaigns, view reports, and export data',
-  permissions: {
-    create_campaigns: true,
-    edit_campaigns: true,
-    delete_campaigns: false,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: true,
-    manage_users: false,
-    manage_roles: false,
-    manage_channels: true
-  },
+  permissions: Permissions.forBuiltInRole('editor'),
+  parent_id: null,
+  denied_permissions: [],
   created_at: new Date(),
   updated_at: new Date()
 };
@@ -43,62 +29,17 @@ const editorRole = {
 const adminRole = {
   name: 'admin',
   description: 'Full access - Can create, edit, delete campaigns, manage users, view reports, and export data',
-  permissions: {
-    create_campaigns: true,
-    edit_campaigns: true,
-    delete_campaigns: true,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: true,
-    manage_users: true,
-    manage_roles: true,
-    manage_channels: true
-  },
+  permissions: Permissions.forBuiltInRole('admin'),
+  parent_id: null,
+  denied_permissions: [],
   created_at: new Date(),
   updated_at: new Date()
 };
 
 // MongoDB commands to create these roles:
-
-/*
-// To create viewer role:
-db.roles.insertOne({
-  name: 'viewer',
-  description: 'View only - Can view campaigns and reports, no editing permissions',
-  permissions: {
-    create_campaigns: false,
-    edit_campaigns: false,
-    delete_campaigns: false,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: false,
-    manage_users: false,
-    manage_roles: false,
-    manage_channels: false
-  },
-  created_at: new Date(),
-  updated_at: new Date()
-});
-
-// To create editor role:
-db.roles.insertOne({
-  name: 'editor',
-  description: 'Edit access - Can create and edit campaigns, view reports, and export data',
-  permissions: {
-    create_campaigns: true,
-    edit_campaigns: true,
-    delete_campaigns: false,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: true,
-    manage_users: false,
-    manage_roles: false,
-    manage_channels: true
-  },
-  created_at: new Date(),
-  updated_at: new Date()
-});
-*/
+// print a template with
+//   node -e "console.log(JSON.stringify(require('./roleTemplates').viewerRole, null, 2))"
+// and pass it to db.roles.insertOne(...) in the mongo shell
 
 module.exports = {
   viewerRole,
@@ -0,0 +1,69 @@
+// Express routes for campaign budget approvals (requests are created by BudgetApproval.syncRequest
+// when a campaign is saved with a budget above the approval thresholds)
+const express = require('express');
+const BudgetApproval = require('../models/budgetApproval');
+const AuditLog = require('../models/auditLog');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET approval requests, newest first. Query filters: status, campaignId
+router.get('/', requirePermission('view_campaigns'), async (req, res) => {
+  try {
+    const { status, campaignId } = req.query;
+    if (status && !BudgetApproval.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BudgetApproval.STATUSES.join(', ')}` });
+    }
+
+    const approvals = await BudgetApproval.find(req.app.locals.db, { status, campaignId });
+    res.json({
+      thresholds: BudgetApproval.THRESHOLDS,
+      approvals: approvals.map(approval => BudgetApproval.forRequest(req, approval))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET the "Pending my approval" queue: requests the user can still approve, oldest first
+router.get('/pending', requirePermission('approve_budgets'), async (req, res) => {
+  try {
+    res.json(await BudgetApproval.findPendingFor(req.app.locals.db, req));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST a decision on a request: { decision: 'approve' | 'reject', comment } (a comment is required to reject)
+router.post('/:approvalId/decision', requirePermission('approve_budgets'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const { decision, comment } = req.body || {};
+    const approval = await BudgetApproval.findById(db, req.params.approvalId);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval request not found' });
+    }
+
+    const refusal = BudgetApproval.checkDecision(req, approval, decision, comment);
+    if (refusal) {
+      return res.status(refusal.status).json({ error: refusal.error });
+    }
+
+    const updated = await BudgetApproval.decide(db, req, approval, decision, comment);
+    if (!updated) {
+      return res.status(409).json({ error: 'The request was changed by someone else; reload and try again' });
+    }
+
+    const entry = updated.decisions[updated.decisions.length - 1];
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: decision, entityType: 'campaign', entityId: updated.campaignId, entityName: updated.campaignName,
+      details: { approvalId: String(updated._id), status: updated.status, comment: entry.comment }
+    });
+
+    res.json({ message: `Budget ${entry.decision}`, approval: updated });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// Express routes for reading the audit trail (entries are written by AuditLog.record)
+const express = require('express');
+const AuditLog = require('../models/auditLog');
+const CampaignProjection = require('../models/campaignProjection');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET audit log entries, newest first.
+// Query filters: entityType, entityId, actor (username or user id), action, from, to, limit, skip
+router.get('/', requirePermission('view_audit'), async (req, res) => {
+  try {
+    const { entityType, entityId, actor, action, from, to, limit, skip } = req.query;
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const db = req.app.locals.db;
+    const result = await AuditLog.find(db, { entityType, entityId, actor, action, from, to, limit, skip });
+    res.json({
+      ...result,
+      entries: result.entries.map(entry => CampaignProjection.auditEntryForRequest(req, entry))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,101 +1,387 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
+const TokenManager = require('../models/tokenManager');
+const RolesManager = require('../models/rolesManager');
+const SessionRegistry = require('../models/sessionRegistry');
+const PasswordResetManager = require('../models/passwordReset');
+const LoginThrottle = require('../models/loginThrottle');
+const TwoFactor = require('../models/twoFactor');
+const User = require('../models/user');
+const AuditLog = require('../models/auditLog');
+const AuthProviders = require('../models/authProviders');
+const OidcProvider = require('../models/oidcProvider');
+const { authenticate, requireSession, requirePermission } = require('../middleware/auth');
+const { parseCookies } = require('../middleware/security');
+
+// Binds an OIDC sign-in to the browser that started it: the state and the login ticket only work
+// together with this cookie, so nobody can sign a victim's browser into their own account (login CSRF).
+// SameSite=Lax, because the identity provider sends the browser back to the callback from another site.
+const OIDC_BROWSER_COOKIE = 'oidc_browser';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+// Build the public user payload returned by login, refresh and /me
+async function buildUserResponse(db, user) {
+  let roleNames = [];
+  if (user.roles && user.roles.length > 0) {
+    const roles = await db.collection('roles').find({
+      _id: { $in: user.roles.map(roleId => new ObjectId(roleId)) }
+    }).toArray();
+
+    roleNames = roles.map(role => role.name);
+  }
+
+  // Linked employee profile (campaigns are assigned to employees by name)
+  const employee = user.employee_id
+    ? await db.collection('employees').findOne({ employee_id: user.employee_id })
+    : null;
+
+  return {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    displayName: user.display_name || '',
+    employee: employee ? {
+      employee_id: employee.employee_id,
+      name: employee.name,
+      email: employee.email,
+      phone: employee.phone || '',
+      department: employee.department || '',
+      position: employee.position || ''
+    } : null,
+    roles: user.roles || [],
+    roleNames: roleNames,
+    permissions: await RolesManager.getPermissionsFromRoleIds(db, user.roles || []),
+    twoFactorEnabled: TwoFactor.isEnabled(user)
+  };
+}
+
+// Register a session and build the login response (token pair + user)
+async function completeLogin(db, user, req) {
+  await LoginThrottle.recordSuccess(db, user.username);
+
+  // Register the session and issue signed, expiring access and refresh tokens for it
+  const session = await SessionRegistry.createSession(db, user, req);
+  const tokens = TokenManager.issueTokens(user, session._id, session.refresh_id);
+
+  return {
+    ...tokens,
+    user: await buildUserResponse(db, user)
+  };
+}
+
+// 2FA challenge response for users with 2FA (or whose role requires it), or null when no code is needed
+async function getTwoFactorChallenge(db, user) {
+  const twoFactorEnabled = TwoFactor.isEnabled(user);
+  if (!twoFactorEnabled && !await TwoFactor.isRequired(db, user)) {
+    return null;
+  }
+  return {
+    twoFactorRequired: true,
+    setupRequired: !twoFactorEnabled,
+    challengeToken: TwoFactor.issueChallengeToken(user)
+  };
+}
+
+// Refusal sent when a disabled account presents valid credentials
+function sendAccountDisabled(res) {
+  return res.status(403).json({ error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' });
+}
+
+// 429 for a login attempt refused by LoginThrottle.check
+function sendThrottled(res, throttled) {
+  res.set('Retry-After', String(throttled.retryAfter));
+  return res.status(429).json(throttled);
+}
+
+// Resolve the user behind a 2FA challenge token, or null
+async function getChallengeUser(db, challengeToken) {
+  const payload = TwoFactor.verifyChallengeToken(challengeToken);
+  if (!payload || !ObjectId.isValid(payload.sub)) {
+    return null;
+  }
+  return await db.collection('users').findOne({ _id: new ObjectId(payload.sub) });
+}
+
+// GET: Sign-in methods offered on the login page
+router.get('/providers', (req, res) => {
+  res.json(AuthProviders.getPublicList());
+});
+
+// Send the browser back to the app after an OIDC sign-in; the app reads loginTicket or loginError
+function redirectToApp(res, params) {
+  res.redirect(`/?${new URLSearchParams(params).toString()}`);
+}
+
+function getOidcBrowserKey(req) {
+  return parseCookies(req)[OIDC_BROWSER_COOKIE] || null;
+}
+
+// GET: Start an OIDC sign-in - redirects to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  if (!AuthProviders.get('oidc')) {
+    return redirectToApp(res, { loginError: 'Company sign-in is not enabled' });
+  }
+  try {
+    const db = req.app.locals.db;
+    // Reused if present, so sign-ins started in two tabs both work
+    const browserKey = getOidcBrowserKey(req) || crypto.randomBytes(32).toString('base64url');
+    const authorizationUrl = await OidcProvider.createAuthorizationUrl(db, req, browserKey);
+    res.cookie(OIDC_BROWSER_COOKIE, browserKey, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: OIDC_COOKIE_PATH,
+      maxAge: OidcProvider.LOGIN_TTL_SECONDS * 1000
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    redirectToApp(res, { loginError: 'The identity provider is not reachable, please try again later' });
+  }
+});
+
+// GET: Identity provider callback - verifies the sign-in, provisions the user and hands the
+// browser a one-time login ticket
+router.get('/oidc/callback', async (req, res) => {
+  if (!AuthProviders.get('oidc')) {
+    return redirectToApp(res, { loginError: 'Company sign-in is not enabled' });
+  }
+  try {
+    if (req.query.error) {
+      return redirectToApp(res, { loginError: req.query.error_description || req.query.error });
+    }
+
+    const db = req.app.locals.db;
+    const browserKey = getOidcBrowserKey(req);
+    const claims = await OidcProvider.handleCallback(db, req.query, browserKey);
+    const user = await OidcProvider.provisionUser(db, claims, AuditLog.getContext(req));
+    if (!User.isActive(user)) {
+      return redirectToApp(res, { loginError: 'This account has been disabled' });
+    }
+
+    redirectToApp(res, { loginTicket: await OidcProvider.issueLoginTicket(db, user, browserKey) });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToApp(res, { loginError: `Company sign-in failed: ${error.message}` });
+  }
+});
+
+// POST: Exchange a login ticket from the OIDC callback for a token pair (same response as /login).
+// Company sign-in replaces the password only: users with 2FA (or whose role requires it) get the same
+// challenge as a password login and finish with POST /login/2fa.
+router.post('/oidc/exchange', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const userId = await OidcProvider.redeemLoginTicket(db, req.body.ticket, getOidcBrowserKey(req));
+    if (!userId) {
+      return res.status(401).json({ error: 'The sign-in has expired or was started in another browser, please try again' });
+    }
+    res.clearCookie(OIDC_BROWSER_COOKIE, { path: OIDC_COOKIE_PATH });
+
+    const user = await db.collection('users').findOne({ _id: userId });
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (!User.isActive(user)) {
+      return sendAccountDisabled(res);
+    }
+
+    const challenge = await getTwoFactorChallenge(db, user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    res.json(await completeLogin(db, user, req));
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
 // POST: Login user
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
-    
+    const localProvider = AuthProviders.get('local');
+    if (!localProvider) {
+      return res.status(403).json({ error: 'Password sign-in is disabled, use your company account', code: 'LOCAL_LOGIN_DISABLED' });
+    }
+
     if (!username || !password) {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
     const db = req.app.locals.db;
-    const user = await db.collection('users').findOne({ username: username });
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+
+    // Refuse the attempt while the username or client IP is throttled or locked
+    const throttled = await LoginThrottle.check(db, username, req);
+    if (throttled) {
+      return sendThrottled(res, throttled);
     }
 
-    // Verify password using bcrypt
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    
-    if (!isValidPassword) {
+    const user = await localProvider.verifyCredentials(db, username, password);
+
+    if (!user) {
+      // Unknown usernames are counted too, so lockouts do not reveal which accounts exist
+      await LoginThrottle.recordFailure(db, username, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Get user roles and permissions
-    let userWithRoles = { ...user };
-    if (user.roles && user.roles.length > 0) {
-      const roles = await db.collection('roles').find({
-        _id: { $in: user.roles.map(roleId => new ObjectId(roleId)) }
-      }).toArray();
-      
-      userWithRoles.roleNames = roles.map(role => role.name);
+    if (!User.isActive(user)) {
+      return sendAccountDisabled(res);
     }
 
-    // Create a simple token (in production, use JWT)
-    const token = Buffer.from(`${user._id}:${Date.now()}`).toString('base64');
+    // Second step: users with 2FA (or whose role requires it) must present a code before a session is created
+    const challenge = await getTwoFactorChallenge(db, user);
+    if (challenge) {
+      return res.json(challenge);
+    }
 
-    const responseData = {
-      token: token,
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        roles: user.roles || [],
-        roleNames: userWithRoles.roleNames || []
-      }
-    };
-    
-    res.json(responseData);
+    res.json(await completeLogin(db, user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// GET: Get current user info
-router.get('/me', async (req, res) => {
+// POST: Start 2FA enrolment during login, for users whose role requires 2FA but who have not set it up
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await getChallengeUser(db, req.body.challengeToken);
+    if (!user) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired, please sign in again' });
+    }
+    if (!User.isActive(user)) {
+      return sendAccountDisabled(res);
+    }
+    if (TwoFactor.isEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already set up' });
+    }
+
+    res.json(await TwoFactor.startEnrolment(db, user));
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Second login step - verify a TOTP or backup code for a challenge token
+router.post('/login/2fa', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
     }
 
-    const token = authHeader.substring(7);
-    const decoded = Buffer.from(token, 'base64').toString();
-    const [userId] = decoded.split(':');
+    const db = req.app.locals.db;
+    const user = await getChallengeUser(db, challengeToken);
+    if (!user) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired, please sign in again' });
+    }
+    if (!User.isActive(user)) {
+      return sendAccountDisabled(res);
+    }
 
-    if (!userId) {
-      return res.status(401).json({ error: 'Invalid token' });
+    // Codes are brute-forceable too, so they share the password attempt counters
+    const throttled = await LoginThrottle.check(db, user.username, req);
+    if (throttled) {
+      return sendThrottled(res, throttled);
+    }
+
+    let backupCodes = null;
+    let verification = null;
+    if (TwoFactor.isEnabled(user)) {
+      verification = await TwoFactor.verifyUserCode(db, user, code);
+    } else {
+      // Completing enrolment that was required at login
+      backupCodes = await TwoFactor.completeEnrolment(db, user, code);
+    }
+
+    if (!verification && !backupCodes) {
+      await LoginThrottle.recordFailure(db, user.username, req);
+      return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    const updatedUser = await db.collection('users').findOne({ _id: user._id });
+    const responseData = await completeLogin(db, updatedUser, req);
+    if (backupCodes) {
+      responseData.backupCodes = backupCodes;
+    }
+    if (verification && verification.method === 'backup_code') {
+      responseData.backupCodesRemaining = verification.backupCodesRemaining;
+    }
+
+    res.json(responseData);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Exchange a refresh token for a new token pair. The refresh token is used up: the response
+// carries its replacement, and presenting an old one again ends the session.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const payload = TokenManager.verify(refreshToken, 'refresh');
+
+    if (!payload || !ObjectId.isValid(payload.sub)) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
     }
 
     const db = req.app.locals.db;
-    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
-    
+    const session = await SessionRegistry.getActiveSession(db, payload.sid);
+    if (!session || session.user_id.toString() !== payload.sub) {
+      return res.status(401).json({ error: 'Session has ended, please log in again' });
+    }
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(payload.sub) });
+
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if (!User.isActive(user)) {
+      return res.status(401).json({ error: 'This account has been disabled', code: 'AUTH_USER_DISABLED' });
+    }
 
-    // Get user roles and permissions
-    let userWithRoles = { ...user };
-    if (user.roles && user.roles.length > 0) {
-      const roles = await db.collection('roles').find({
-        _id: { $in: user.roles.map(roleId => new ObjectId(roleId)) }
-      }).toArray();
-      
-      userWithRoles.roleNames = roles.map(role => role.name);
+    const refreshId = await SessionRegistry.rotateRefreshToken(db, session, payload.jti);
+    if (!refreshId) {
+      return res.status(401).json({ error: 'Session has ended, please log in again' });
     }
+    const tokens = TokenManager.issueTokens(user, session._id, refreshId);
+
+    res.json({
+      ...tokens,
+      user: await buildUserResponse(db, user)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Impersonation details for a "view as user" session, or null
+function getImpersonation(req) {
+  if (!req.impersonator) {
+    return null;
+  }
+  return {
+    impersonator: { _id: req.impersonator._id, username: req.impersonator.username },
+    expires_at: req.authSession.expires_at
+  };
+}
 
+// GET: Get current user info
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
     res.json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      roles: user.roles || [],
-      roleNames: userWithRoles.roleNames || []
+      ...await buildUserResponse(db, req.user),
+      impersonation: getImpersonation(req)
     });
   } catch (error) {
     console.error('Auth error:', error);
@@ -103,4 +389,385 @@ router.get('/me', async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// GET: Own profile - the /me payload plus account details
+router.get('/profile', authenticate, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    res.json({
+      ...await buildUserResponse(db, req.user),
+      authProvider: req.user.auth_provider || 'local',
+      createdAt: req.user.created_at || null,
+      updatedAt: req.user.updated_at || null
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT: Update own username, email and display name ({ username, email, displayName }; omitted fields stay)
+router.put('/profile', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const { username, email, displayName } = req.body;
+    const changes = User.pickProfileChanges(req.user, { username, email, display_name: displayName });
+
+    const { errors, conflict } = await User.validateProfileChanges(db, req.user._id, changes);
+    if (errors.length > 0) {
+      return res.status(conflict ? 409 : 400).json({ error: errors.join(', '), errors });
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await db.collection('users').updateOne({ _id: req.user._id }, { $set: User.buildProfileUpdate(changes) });
+      const before = {};
+      Object.keys(changes).forEach(field => { before[field] = req.user[field] || ''; });
+      await AuditLog.record(db, AuditLog.getContext(req), {
+        action: 'update', entityType: 'user', entityId: req.user._id, entityName: req.user.username,
+        before, after: changes, details: { source: 'profile' }
+      });
+    }
+
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    res.json({ message: 'Profile updated', user: await buildUserResponse(db, user) });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Logout - revoke the current session
+router.post('/logout', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await SessionRegistry.revokeSession(db, req.authSession._id, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Start viewing the app as another user.
+// Issues a short-lived access token (no refresh token) for a session marked with the administrator;
+// the administrator's own session stays signed in so they can return to it.
+router.post('/impersonation', requireSession, requirePermission('impersonate_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const { userId } = req.body;
+
+    if (!userId || !ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'A valid userId is required' });
+    }
+    if (req.user._id.toString() === userId) {
+      return res.status(400).json({ error: 'You cannot view the app as yourself' });
+    }
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!User.isActive(user)) {
+      return res.status(400).json({ error: 'Disabled users cannot be viewed as' });
+    }
+
+    // Never a way to gain access: the target may not hold a permission the administrator lacks
+    const targetPermissions = await RolesManager.getPermissionsFromRoleIds(db, user.roles || []);
+    const exceeding = Object.keys(targetPermissions)
+      .filter(permission => targetPermissions[permission] === true && req.permissions[permission] !== true);
+    if (exceeding.length > 0) {
+      return res.status(403).json({
+        error: `${user.username} has permissions you do not have: ${exceeding.join(', ')}`,
+        code: 'IMPERSONATION_EXCEEDS_PERMISSIONS',
+        permissions: exceeding
+      });
+    }
+
+    const expiresAt = new Date(Date.now() + TokenManager.getImpersonationTTL() * 1000);
+    const session = await SessionRegistry.createSession(db, user, req, {
+      impersonated_by: req.user._id,
+      impersonator_session_id: req.authSession._id,
+      expires_at: expiresAt
+    });
+    const { token } = TokenManager.issueImpersonationToken(user, session._id, req.user._id);
+
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'impersonate',
+      entityType: 'user',
+      entityId: user._id,
+      entityName: user.username,
+      details: { session_id: session._id.toString(), expires_at: expiresAt.toISOString() }
+    });
+
+    res.json({
+      token,
+      expiresAt: expiresAt.toISOString(),
+      user: {
+        ...await buildUserResponse(db, user),
+        impersonation: {
+          impersonator: { _id: req.user._id, username: req.user.username },
+          expires_at: expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Impersonation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Stop viewing the app as another user - ends the impersonation session
+router.post('/impersonation/end', authenticate, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ error: 'This session is not viewing the app as another user' });
+    }
+
+    const db = req.app.locals.db;
+    await SessionRegistry.revokeSession(db, req.authSession._id, 'impersonation_ended');
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'impersonate_end',
+      entityType: 'user',
+      entityId: req.user._id,
+      entityName: req.user.username,
+      details: { session_id: req.authSession._id.toString() }
+    });
+
+    res.json({ message: 'Returned to your account' });
+  } catch (error) {
+    console.error('Impersonation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET: List the current user's active sessions
+router.get('/sessions', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const sessions = await SessionRegistry.listUserSessions(db, req.user._id);
+    const currentSessionId = req.authSession._id.toString();
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      ip: session.ip,
+      user_agent: session.user_agent,
+      created_at: session.created_at,
+      last_seen_at: session.last_seen_at,
+      expires_at: session.expires_at,
+      current: session._id.toString() === currentSessionId
+    })));
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE: Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', requireSession, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const db = req.app.locals.db;
+    const session = await db.collection('sessions').findOne({
+      _id: new ObjectId(sessionId),
+      user_id: new ObjectId(req.user._id)
+    });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await SessionRegistry.revokeSession(db, sessionId, 'revoked_by_user');
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Change own password (requires the current password)
+router.post('/change-password', requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.user._id) });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const errors = await User.validate({ ...user, password: newPassword }, {
+      passwordHistory: User.getPasswordHistory(user)
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', '), errors });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: await User.buildPasswordUpdate(user, newPassword) }
+    );
+
+    // Sign out every other device that knew the old password
+    await SessionRegistry.revokeUserSessions(db, user._id, 'password_changed', req.authSession._id);
+
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET: Current user's 2FA status
+router.get('/2fa', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    res.json({
+      ...TwoFactor.getStatus(req.user),
+      required: await TwoFactor.isRequired(db, req.user)
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Start 2FA enrolment - returns the otpauth URI and a QR code image (data URL)
+router.post('/2fa/setup', requireSession, async (req, res) => {
+  try {
+    if (TwoFactor.isEnabled(req.user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const db = req.app.locals.db;
+    res.json(await TwoFactor.startEnrolment(db, req.user));
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Confirm enrolment with a code from the authenticator app - returns backup codes (shown once)
+router.post('/2fa/enable', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    // Codes are brute-forceable, so they share the login attempt counters (as do the routes below)
+    const throttled = await LoginThrottle.check(db, req.user.username, req);
+    if (throttled) {
+      return sendThrottled(res, throttled);
+    }
+
+    const backupCodes = await TwoFactor.completeEnrolment(db, req.user, req.body.code);
+    if (!backupCodes) {
+      await LoginThrottle.recordFailure(db, req.user.username, req);
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', backupCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Replace backup codes (requires a current code)
+router.post('/2fa/backup-codes', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const throttled = await LoginThrottle.check(db, req.user.username, req);
+    if (throttled) {
+      return sendThrottled(res, throttled);
+    }
+
+    if (!await TwoFactor.verifyUserCode(db, req.user, req.body.code)) {
+      await LoginThrottle.recordFailure(db, req.user.username, req);
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    const backupCodes = await TwoFactor.regenerateBackupCodes(db, req.user._id);
+    res.json({ message: 'Backup codes regenerated', backupCodes });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Turn 2FA off (requires the password; not allowed when a role requires 2FA)
+router.post('/2fa/disable', requireSession, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (await TwoFactor.isRequired(db, req.user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const throttled = await LoginThrottle.check(db, req.user.username, req);
+    if (throttled) {
+      return sendThrottled(res, throttled);
+    }
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.user._id) });
+    const isValidPassword = await bcrypt.compare(req.body.password || '', user.password);
+    if (!isValidPassword) {
+      await LoginThrottle.recordFailure(db, req.user.username, req);
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    await TwoFactor.disable(db, user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Set a new password with a one-time reset token issued by an administrator
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Reset token and new password are required' });
+    }
+
+    const db = req.app.locals.db;
+    const reset = await PasswordResetManager.findValidToken(db, token);
+    if (!reset) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await db.collection('users').findOne({ _id: reset.user_id });
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const errors = await User.validate({ ...user, password: newPassword }, {
+      passwordHistory: User.getPasswordHistory(user)
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', '), errors });
+    }
+
+    // Consume the token before changing the password so it can only be used once
+    if (!await PasswordResetManager.markUsed(db, reset._id)) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: await User.buildPasswordUpdate(user, newPassword) }
+    );
+    await SessionRegistry.revokeUserSessions(db, user._id, 'password_reset');
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,12 +1,74 @@
 // Express routes for user CRUD with database-driven roles
 const express = require('express');
+const multer = require('multer');
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const User = require('../models/user');
 const RolesManager = require('../models/rolesManager');
+const SessionRegistry = require('../models/sessionRegistry');
+const PasswordResetManager = require('../models/passwordReset');
+const Mailer = require('../models/mailer');
+const LoginThrottle = require('../models/loginThrottle');
+const TwoFactor = require('../models/twoFactor');
+const ApiKeyManager = require('../models/apiKeys');
+const AuditLog = require('../models/auditLog');
+const UserImport = require('../models/userImport');
+const { authenticate, requireSession, requirePermission, requireAnyPermission, requireSelfOrPermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Refusal for changes that would leave no active user holding both manage_users and manage_roles
+function sendLastAdministrator(res) {
+  return res.status(409).json({
+    error: 'At least one active user must keep the manage_users and manage_roles permissions',
+    code: 'LAST_ADMINISTRATOR'
+  });
+}
+
+// Email a user a one-time password reset link; returns when the link expires
+async function sendPasswordResetLink(req, user) {
+  const db = req.app.locals.db;
+  const { token, expiresAt } = await PasswordResetManager.createResetToken(db, user._id, req.user._id);
+  const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const resetLink = `${baseUrl}/?resetToken=${token}`;
+
+  await Mailer.send({
+    to: user.email,
+    subject: 'Trichy Gold Campaign Manager - password reset',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'An administrator has started a password reset for your account.',
+      `Open the link below to choose a new password. It can be used once and expires at ${expiresAt.toISOString()}.`,
+      '',
+      resetLink
+    ].join('\n')
+  });
+  return expiresAt;
+}
+
+// Bulk import upload: one .xlsx or .csv file in the "file" field, kept in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (UserImport.isSupportedFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .xlsx and .csv files are allowed'), false);
+    }
+  }
+});
+
+function uploadImportFile(req, res, next) {
+  importUpload.single('file')(req, res, err => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}
+
 // Initialize default roles on startup
 router.use(async (req, res, next) => {
   if (req.app.locals.db) {
@@ -16,12 +78,17 @@ router.use(async (req, res, next) => {
 });
 
 // CREATE user
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('manage_users'), async (req, res) => {
   try {
     const { username, password, email, roles } = req.body;
     if (!username || !password || !email) {
       return res.status(400).json({ error: 'username, password, and email are required' });
     }
+
+    const validationErrors = await User.validate({ username, password, email, roles });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: validationErrors.join(', '), errors: validationErrors });
+    }
     
     // Hash the password before storing
     const saltRounds = 10;
@@ -41,17 +108,18 @@ router.post('/', async (req, res) => {
     const user = new User({ username, password: hashedPassword, email, roles: roles || [] });
     const db = req.app.locals.db;
     await db.collection('users').insertOne(user);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'create', entityType: 'user', entityId: user._id, entityName: user.username, after: user
+    });
     // Exclude password from response
-    const userWithoutPassword = { ...user };
-    delete userWithoutPassword.password;
-    res.status(201).json({ message: 'User created', user: userWithoutPassword });
+    res.status(201).json({ message: 'User created', user: User.toSafeObject(user) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // GET all users
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('manage_users'), async (req, res) => {
   console.log('Received GET request for all users (/api/users)');
   try {
     const db = req.app.locals.db;
@@ -76,63 +144,498 @@ router.get('/', async (req, res) => {
       return { ...user, roleNames: [] };
     }));
     
-    // Exclude passwords from all users before sending response
-    const usersWithoutPasswords = usersWithRoleNames.map(({ password, ...user }) => user);
+    // Attach login lockout status
+    const lockouts = await LoginThrottle.getUserStatuses(db, users.map(user => user.username));
+
+    // Exclude passwords and 2FA secrets from all users before sending response
+    const usersWithoutPasswords = usersWithRoleNames.map(user => ({
+      ...User.toSafeObject(user),
+      lockout: lockouts[user.username]
+    }));
     res.json(usersWithoutPasswords);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// POST bulk import users from an .xlsx or .csv file (username, email, roles).
+// dryRun=true only reports row errors; otherwise nothing is imported unless every row is valid.
+// passwordMode=temporary (default) returns a generated password per user, reset emails a reset link.
+router.post('/import', requirePermission('manage_users'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload an .xlsx or .csv file in the "file" field' });
+    }
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const passwordMode = req.body.passwordMode || req.query.passwordMode || 'temporary';
+    if (!UserImport.isPasswordMode(passwordMode)) {
+      return res.status(400).json({ error: 'passwordMode must be temporary or reset' });
+    }
+
+    let rows;
+    try {
+      rows = await UserImport.parseFile(req.file);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no user rows' });
+    }
+
+    const db = req.app.locals.db;
+    const checked = await UserImport.validateRows(db, rows);
+    const invalid = checked.filter(row => row.errors.length > 0).length;
+    const report = {
+      dryRun,
+      passwordMode,
+      total: checked.length,
+      valid: checked.length - invalid,
+      invalid,
+      created: 0,
+      rows: checked.map(row => UserImport.toReportRow(row))
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (invalid > 0) {
+      return res.status(400).json({ error: `${invalid} row(s) have errors - no users were imported`, ...report });
+    }
+
+    const saltRounds = 10;
+    for (const [index, row] of checked.entries()) {
+      const user = new User({
+        username: row.username,
+        password: await bcrypt.hash(row.password, saltRounds),
+        email: row.email,
+        roles: row.roleIds
+      });
+      await db.collection('users').insertOne(user);
+      await AuditLog.record(db, AuditLog.getContext(req), {
+        action: 'create', entityType: 'user', entityId: user._id, entityName: user.username, after: user,
+        details: { source: 'import', row: row.row }
+      });
+
+      const reportRow = report.rows[index];
+      reportRow.status = 'created';
+      reportRow._id = user._id;
+      if (passwordMode === 'reset') {
+        reportRow.resetLinkExpiresAt = await sendPasswordResetLink(req, user);
+      } else {
+        // Shown once, in this response only
+        reportRow.temporaryPassword = row.password;
+      }
+      report.created += 1;
+    }
+
+    res.status(201).json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET export all users as an Excel file (same columns as the import)
+router.get('/export', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const workbook = await UserImport.buildExportWorkbook(db);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=users.xlsx');
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET user by id
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('manage_users'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
     if (!user) return res.status(404).json({ error: 'User not found' });
-    // Exclude password from response
-    const userWithoutPassword = { ...user };
-    delete userWithoutPassword.password;
-    res.json(userWithoutPassword);
+    // Exclude password and 2FA secrets from response
+    res.json(User.toSafeObject(user));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Error message for a roles array that is not an array or names a missing role, otherwise null
+async function checkRoleIds(db, roles) {
+  if (!Array.isArray(roles)) {
+    return 'Roles must be an array';
+  }
+  for (const roleId of roles) {
+    const role = await RolesManager.getRoleById(db, roleId);
+    if (!role) {
+      return `Role with ID ${roleId} not found`;
+    }
+  }
+  return null;
+}
+
 // UPDATE user roles
-router.put('/:id/roles', async (req, res) => {
+router.put('/:id/roles', requirePermission('manage_users'), async (req, res) => {
   try {
     const { roles } = req.body;
-    if (!Array.isArray(roles)) {
-      return res.status(400).json({ error: 'Roles must be an array' });
-    }
 
     // Validate roles exist in database
     const db = req.app.locals.db;
-    for (const roleId of roles) {
-      const role = await RolesManager.getRoleById(db, roleId);
-      if (!role) {
-        return res.status(400).json({ error: `Role with ID ${roleId} not found` });
-      }
+    const roleError = await checkRoleIds(db, roles);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const before = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!before) return res.status(404).json({ error: 'User not found' });
+
+    if (await RolesManager.wouldRemoveLastAdministrator(db, { userId: req.params.id, roles })) {
+      return sendLastAdministrator(res);
     }
 
-    const result = await db.collection('users').updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { roles } }
+    await db.collection('users').updateOne(
+      { _id: before._id },
+      { $set: { roles, updated_at: new Date() } }
     );
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'User not found' });
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'user', entityId: before._id, entityName: before.username,
+      before: { roles: before.roles }, after: { roles }
+    });
     res.json({ message: 'Roles updated' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// UPDATE a user: username, email, display_name and roles (omitted fields stay as they are)
+router.put('/:id', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const before = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!before) return res.status(404).json({ error: 'User not found' });
+
+    const changes = User.pickProfileChanges(before, req.body);
+    const { errors, conflict } = await User.validateProfileChanges(db, before._id, changes);
+    if (errors.length > 0) {
+      return res.status(conflict ? 409 : 400).json({ error: errors.join(', '), errors });
+    }
+
+    const { roles } = req.body;
+    if (roles !== undefined) {
+      const roleError = await checkRoleIds(db, roles);
+      if (roleError) {
+        return res.status(400).json({ error: roleError });
+      }
+      const currentRoles = (before.roles || []).map(String).sort();
+      if (JSON.stringify(currentRoles) !== JSON.stringify(roles.map(String).sort())) {
+        if (await RolesManager.wouldRemoveLastAdministrator(db, { userId: req.params.id, roles })) {
+          return sendLastAdministrator(res);
+        }
+        changes.roles = roles;
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await db.collection('users').updateOne({ _id: before._id }, { $set: User.buildProfileUpdate(changes) });
+      const previous = {};
+      Object.keys(changes).forEach(field => { previous[field] = before[field] === undefined ? '' : before[field]; });
+      await AuditLog.record(db, AuditLog.getContext(req), {
+        action: 'update', entityType: 'user', entityId: before._id, entityName: before.username,
+        before: previous, after: changes
+      });
+    }
+
+    const user = await db.collection('users').findOne({ _id: before._id });
+    res.json({ message: 'User updated', user: User.toSafeObject(user), changed: Object.keys(changes) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Link a user to an employee record (employeeId null unlinks). An employee belongs to at most one user.
+async function setUserEmployee(req, res, employeeId) {
+  const db = req.app.locals.db;
+
+  const before = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+  if (!before) return res.status(404).json({ error: 'User not found' });
+
+  if (employeeId) {
+    const employee = await db.collection('employees').findOne({ employee_id: employeeId });
+    if (!employee) return res.status(400).json({ error: `Employee with ID ${employeeId} not found` });
+
+    const linkedUser = await db.collection('users').findOne({ employee_id: employeeId, _id: { $ne: before._id } });
+    if (linkedUser) {
+      return res.status(409).json({ error: `Employee ${employee.name} is already linked to user ${linkedUser.username}` });
+    }
+  }
+
+  await db.collection('users').updateOne(
+    { _id: before._id },
+    { $set: { employee_id: employeeId || null, updated_at: new Date() } }
+  );
+  await AuditLog.record(db, AuditLog.getContext(req), {
+    action: 'update', entityType: 'user', entityId: before._id, entityName: before.username,
+    before: { employee_id: before.employee_id || null }, after: { employee_id: employeeId || null }
+  });
+  res.json({ message: employeeId ? 'User linked to employee' : 'User unlinked from employee', employee_id: employeeId || null });
+}
+
+// PUT link a user to an employee record (employee_id, or null to unlink) - used for edit_own_campaigns and "My campaigns"
+router.put('/:id/employee', requirePermission('manage_users'), async (req, res) => {
+  try {
+    await setUserEmployee(req, res, req.body.employee_id);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE unlink a user from their employee record
+router.delete('/:id/employee', requirePermission('manage_users'), async (req, res) => {
+  try {
+    await setUserEmployee(req, res, null);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/:id/sessions/revoke', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const revoked = await SessionRegistry.revokeUserSessions(db, req.params.id, 'forced_logout');
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'revoke_sessions', entityType: 'user', entityId: user._id, entityName: user.username, details: { revoked }
+    });
+    res.json({ message: 'User sessions revoked', revoked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST issue a one-time password reset link and email it to the user
+router.post('/:id/reset-password', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.email) return res.status(400).json({ error: 'User has no email address' });
+
+    const expiresAt = await sendPasswordResetLink(req, user);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'reset_password', entityType: 'user', entityId: user._id, entityName: user.username, details: { expiresAt }
+    });
+    res.json({ message: `Password reset link sent to ${user.email}`, expiresAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST unlock a user locked out by failed login attempts
+router.post('/:id/unlock', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const unlocked = await LoginThrottle.unlockUser(db, user.username);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'unlock', entityType: 'user', entityId: user._id, entityName: user.username, details: { unlocked }
+    });
+    res.json({ message: unlocked ? 'User unlocked' : 'User was not locked', unlocked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST reset 2FA for a user who lost their authenticator (they enrol again at next login if their role requires it)
+router.post('/:id/2fa/reset', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    await TwoFactor.disable(db, req.params.id);
+    await SessionRegistry.revokeUserSessions(db, req.params.id, 'two_factor_reset');
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'reset_2fa', entityType: 'user', entityId: user._id, entityName: user.username,
+      before: { two_factor: user.two_factor }, after: {}
+    });
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST allow linking a user to the company account with the same verified email at their next company sign-in
+// (needed for users who administer users or roles or whose role requires 2FA; others are linked automatically)
+router.post('/:id/oidc-link', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.oidc) return res.status(400).json({ error: 'User is already linked to a company account' });
+    if (!user.email) return res.status(400).json({ error: 'User has no email address' });
+
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { oidc_link_allowed: true, updated_at: new Date() } });
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'allow_oidc_link', entityType: 'user', entityId: user._id, entityName: user.username, details: { email: user.email }
+    });
+    res.json({ message: `${user.username} can now link the company account for ${user.email} by signing in with it` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE unlink a user from their company account (or withdraw an allowed link); they sign in with their password again
+router.delete('/:id/oidc-link', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.auth_provider === 'oidc') {
+      return res.status(400).json({ error: 'Users created by company sign-in have no password and cannot be unlinked' });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $unset: { oidc: '', oidc_link_allowed: '' }, $set: { updated_at: new Date() } }
+    );
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'unlink_oidc', entityType: 'user', entityId: user._id, entityName: user.username,
+      before: { oidc: user.oidc || null, oidc_link_allowed: !!user.oidc_link_allowed }, after: {}
+    });
+    res.json({ message: 'Company account unlinked' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API KEYS - users manage their own keys; manage_users can manage anyone's. Never usable with an API key.
+
+// GET a user's API keys
+router.get('/:id/api-keys', requireSession, requireSelfOrPermission('id', 'manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    res.json(await ApiKeyManager.listUserKeys(db, req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST create an API key - the plain key is only returned in this response
+router.post('/:id/api-keys', requireSession, requireSelfOrPermission('id', 'manage_users'), async (req, res) => {
+  try {
+    const { name, permissions, expiresAt } = req.body;
+    const db = req.app.locals.db;
+    const owner = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!owner) return res.status(404).json({ error: 'User not found' });
+
+    const ownerPermissions = await RolesManager.getPermissionsFromRoleIds(db, owner.roles || []);
+    const errors = ApiKeyManager.validate({ name, permissions, expiresAt }, ownerPermissions);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', '), errors });
+    }
+
+    const { key, apiKey } = await ApiKeyManager.createKey(db, owner._id, { name, permissions, expiresAt }, req.user._id);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'create', entityType: 'apiKey', entityId: apiKey._id, entityName: `${apiKey.name} (${owner.username})`, after: apiKey
+    });
+    res.status(201).json({ message: 'API key created', key, apiKey });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE revoke an API key
+router.delete('/:id/api-keys/:keyId', requireSession, requireSelfOrPermission('id', 'manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const revoked = await ApiKeyManager.revokeKey(db, req.params.id, req.params.keyId);
+    if (!revoked) return res.status(404).json({ error: 'API key not found' });
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'revoke', entityType: 'apiKey', entityId: req.params.keyId, details: { user_id: req.params.id }
+    });
+    res.json({ message: 'API key revoked' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST disable a user: the account and its audit history are kept, but it can no longer sign in
+router.post('/:id/disable', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+    if (!User.isActive(user)) {
+      return res.status(400).json({ error: 'User is already disabled' });
+    }
+    if (await RolesManager.wouldRemoveLastAdministrator(db, { userId: req.params.id, roles: null })) {
+      return sendLastAdministrator(res);
+    }
+
+    const now = new Date();
+    const changes = { active: false, disabled_at: now, disabled_by: req.user._id, updated_at: now };
+    await db.collection('users').updateOne({ _id: user._id }, { $set: changes });
+    const revokedSessions = await SessionRegistry.revokeUserSessions(db, req.params.id, 'user_disabled');
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'disable', entityType: 'user', entityId: user._id, entityName: user.username,
+      before: { active: true }, after: { active: false }, details: { revoked_sessions: revokedSessions }
+    });
+    res.json({ message: 'User disabled' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST re-enable a disabled user
+router.post('/:id/enable', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (User.isActive(user)) {
+      return res.status(400).json({ error: 'User is not disabled' });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { active: true, updated_at: new Date() }, $unset: { disabled_at: '', disabled_by: '' } }
+    );
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'enable', entityType: 'user', entityId: user._id, entityName: user.username,
+      before: { active: false }, after: { active: true }
+    });
+    res.json({ message: 'User enabled' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // DELETE user
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('manage_users'), async (req, res) => {
   try {
     const db = req.app.locals.db;
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (await RolesManager.wouldRemoveLastAdministrator(db, { userId: req.params.id, roles: null })) {
+      return sendLastAdministrator(res);
+    }
+
     const result = await db.collection('users').deleteOne({ _id: new ObjectId(req.params.id) });
     if (result.deletedCount === 0) return res.status(404).json({ error: 'User not found' });
+    await SessionRegistry.revokeUserSessions(db, req.params.id, 'user_deleted');
+    await ApiKeyManager.revokeUserKeys(db, req.params.id);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'delete', entityType: 'user', entityId: user._id, entityName: user.username, before: user
+    });
     res.json({ message: 'User deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -142,7 +645,7 @@ router.delete('/:id', async (req, res) => {
 // ROLE MANAGEMENT ENDPOINTS
 
 // GET all roles
-router.get('/roles/all', async (req, res) => {
+router.get('/roles/all', requireAnyPermission('manage_users', 'manage_roles'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const roles = await RolesManager.getAllRoles(db);
@@ -153,7 +656,7 @@ router.get('/roles/all', async (req, res) => {
 });
 
 // GET available permissions
-router.get('/roles/permissions/available', (req, res) => {
+router.get('/roles/permissions/available', requireAnyPermission('manage_users', 'manage_roles'), (req, res) => {
   try {
     const permissions = RolesManager.getAvailablePermissions();
     res.json(permissions);
@@ -163,7 +666,7 @@ router.get('/roles/permissions/available', (req, res) => {
 });
 
 // GET role descriptions (for dropdowns and lists)
-router.get('/roles/descriptions', async (req, res) => {
+router.get('/roles/descriptions', requireAnyPermission('manage_users', 'manage_roles'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const roles = await RolesManager.getAllRoles(db);
@@ -178,15 +681,20 @@ router.get('/roles/descriptions', async (req, res) => {
 });
 
 // POST new role
-router.post('/roles', async (req, res) => {
+router.post('/roles', requirePermission('manage_roles'), async (req, res) => {
   try {
-    const { name, description, permissions } = req.body;
+    const { name, description, permissions, require_two_factor, parent_id, denied_permissions, idp_groups } = req.body;
     if (!name || typeof name !== 'string') {
       return res.status(400).json({ error: 'Role name is required' });
     }
 
     const db = req.app.locals.db;
-    const newRole = await RolesManager.createRole(db, { name, description, permissions });
+    const errors = await RolesManager.validateInheritance(db, null, { parent_id, denied_permissions });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', '), errors });
+    }
+
+    const newRole = await RolesManager.createRole(db, { name, description, permissions, require_two_factor, parent_id, denied_permissions, idp_groups }, AuditLog.getContext(req));
     res.status(201).json({ message: 'Role created', role: newRole });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -194,7 +702,7 @@ router.post('/roles', async (req, res) => {
 });
 
 // POST get user permissions from role IDs
-router.post('/permissions', async (req, res) => {
+router.post('/permissions', authenticate, async (req, res) => {
   try {
     const { roleIds } = req.body;
     if (!Array.isArray(roleIds)) {
@@ -210,11 +718,24 @@ router.post('/permissions', async (req, res) => {
 });
 
 // PUT update role
-router.put('/roles/:id', async (req, res) => {
+router.put('/roles/:id', requirePermission('manage_roles'), async (req, res) => {
   try {
-    const { name, description, permissions } = req.body;
+    const { name, description, permissions, require_two_factor, parent_id, denied_permissions, idp_groups } = req.body;
     const db = req.app.locals.db;
-    const updatedRole = await RolesManager.updateRole(db, req.params.id, { name, description, permissions });
+    const errors = await RolesManager.validateInheritance(db, req.params.id, { parent_id, denied_permissions });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', '), errors });
+    }
+
+    // Only the fields being changed, to preview their effect on who can still administer
+    const access = { permissions, parent_id, denied_permissions };
+    Object.keys(access).forEach(key => access[key] === undefined && delete access[key]);
+    if (Object.keys(access).length > 0 &&
+        await RolesManager.wouldRemoveLastAdministrator(db, { roleId: req.params.id, role: access })) {
+      return sendLastAdministrator(res);
+    }
+
+    const updatedRole = await RolesManager.updateRole(db, req.params.id, { name, description, permissions, require_two_factor, parent_id, denied_permissions, idp_groups }, AuditLog.getContext(req));
     res.json({ message: 'Role updated', role: updatedRole });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -222,18 +743,69 @@ router.put('/roles/:id', async (req, res) => {
 });
 
 // DELETE role
-router.delete('/roles/:id', async (req, res) => {
+router.delete('/roles/:id', requirePermission('manage_roles'), async (req, res) => {
   try {
     const db = req.app.locals.db;
-    await RolesManager.deleteRole(db, req.params.id);
+    await RolesManager.deleteRole(db, req.params.id, AuditLog.getContext(req));
     res.json({ message: 'Role deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// POST copy a role under a new name (body: optional name and description)
+router.post('/roles/:id/clone', requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Role name must be a non-empty string' });
+    }
+
+    const db = req.app.locals.db;
+    const source = await RolesManager.getRoleById(db, req.params.id);
+    if (!source) return res.status(404).json({ error: 'Role not found' });
+    if (name && await RolesManager.getRoleByName(db, name.trim())) {
+      return res.status(400).json({ error: 'Role with this name already exists' });
+    }
+
+    const role = await RolesManager.cloneRole(db, req.params.id, { name: name && name.trim(), description }, AuditLog.getContext(req));
+    res.status(201).json({ message: 'Role cloned', role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET compare the effective permissions of roles, e.g. /roles/compare?ids=a,b
+router.get('/roles/compare', requireAnyPermission('manage_users', 'manage_roles'), async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (ids.length < 2) {
+      return res.status(400).json({ error: 'Provide at least two role IDs to compare (ids=a,b)' });
+    }
+
+    const db = req.app.locals.db;
+    const comparison = await RolesManager.compareRoles(db, ids);
+    if (!comparison) return res.status(404).json({ error: 'One or more roles not found' });
+    res.json(comparison);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET effective permissions of a role, resolved through its parents, with the source of each permission
+router.get('/roles/:id/effective', requireAnyPermission('manage_users', 'manage_roles'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const effective = await RolesManager.getEffectivePermissions(db, req.params.id);
+    if (!effective) return res.status(404).json({ error: 'Role not found' });
+    res.json(effective);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET role by ID (must be last to avoid conflicts)
-router.get('/roles/:id', async (req, res) => {
+router.get('/roles/:id', requireAnyPermission('manage_users', 'manage_roles'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const role = await RolesManager.getRoleById(db, req.params.id);
@@ -247,7 +819,7 @@ router.get('/roles/:id', async (req, res) => {
 // PERMISSION CHECKING ENDPOINTS
 
 // Check if user has specific permission
-router.get('/permissions/:userId/:permission', async (req, res) => {
+router.get('/permissions/:userId/:permission', requireSelfOrPermission('userId', 'manage_users'), async (req, res) => {
   try {
     const { userId, permission } = req.params;
     const db = req.app.locals.db;
@@ -259,7 +831,7 @@ router.get('/permissions/:userId/:permission', async (req, res) => {
 });
 
 // Get all user permissions
-router.get('/permissions/:userId', async (req, res) => {
+router.get('/permissions/:userId', requireSelfOrPermission('userId', 'manage_users'), async (req, res) => {
   try {
     const { userId } = req.params;
     const db = req.app.locals.db;
@@ -1,6 +1,8 @@
 // Seed script to initialize roles collection with admin role
 const { MongoClient } = require('mongodb');
 const dotenv = require('dotenv');
+const Permissions = require('./models/permissions');
+const { viewerRole, editorRole } = require('./roleTemplates');
 
 dotenv.config();
 
@@ -35,17 +37,9 @@ async function seedRoles() {
     const adminRole = {
       name: 'admin',
       description: 'Full access - Can create, edit, delete campaigns, manage users, view reports, and export data',
-      permissions: {
-        create_campaigns: true,
-        edit_campaigns: true,
-        delete_campaigns: true,
-        view_campaigns: true,
-        view_reports: true,
-        export_data: true,
-        manage_users: true,
-        manage_roles: true,
-        manage_channels: true
-      },
+      permissions: Permissions.forBuiltInRole('admin'),
+      parent_id: null,
+      denied_permissions: [],
       created_at: new Date(),
       updated_at: new Date()
     };
@@ -57,25 +51,18 @@ async function seedRoles() {
     
     // Display available permissions for reference
     console.log('\n📝 Available permissions for creating viewer and editor roles:');
-    const availablePermissions = [
-      'create_campaigns',
-      'edit_campaigns', 
-      'delete_campaigns',
-      'view_campaigns',
-      'view_reports',
-      'export_data',
-      'manage_users',
-      'manage_roles',
-      'manage_channels'
-    ];
-    
-    availablePermissions.forEach(permission => {
-      console.log(`  - ${permission}`);
+    let category = null;
+    Permissions.getAll().forEach(permission => {
+      if (permission.category !== category) {
+        category = permission.category;
+        console.log(`  ${category}:`);
+      }
+      console.log(`    - ${permission.key}: ${permission.description}`);
     });
     
     console.log('\n🎯 Next steps:');
-    console.log('1. Create "viewer" role with view_campaigns: true, view_reports: true');
-    console.log('2. Create "editor" role with create_campaigns: true, edit_campaigns: true, view_reports: true, export_data: true, manage_channels: true');
+    console.log('1. Create "viewer" role (see viewerRole in roleTemplates.js)');
+    console.log('2. Create "editor" role (see editorRole in roleTemplates.js)');
     console.log('3. Assign roles to users as needed');
     
     // Show MongoDB commands for manual creation
@@ -84,42 +71,10 @@ async function seedRoles() {
     console.log('// Use the same connection string as your application');
     console.log('');
     console.log('// Create viewer role:');
-    console.log(`db.roles.insertOne({
-  name: 'viewer',
-  description: 'View only - Can view campaigns and reports, no editing permissions',
-  permissions: {
-    create_campaigns: false,
-    edit_campaigns: false,
-    delete_campaigns: false,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: false,
-    manage_users: false,
-    manage_roles: false,
-    manage_channels: false
-  },
-  created_at: new Date(),
-  updated_at: new Date()
-});`);
+    console.log(`db.roles.insertOne(${JSON.stringify(viewerRole, null, 2)});`);
     console.log('');
     console.log('// Create editor role:');
-    console.log(`db.roles.insertOne({
-  name: 'editor',
-  description: 'Edit access - Can create and edit campaigns, view reports, and export data',
-  permissions: {
-    create_campaigns: true,
-    edit_campaigns: true,
-    delete_campaigns: false,
-    view_campaigns: true,
-    view_reports: true,
-    export_data: true,
-    manage_users: false,
-    manage_roles: false,
-    manage_channels: true
-  },
-  created_at: new Date(),
-  updated_at: new Date()
-});`);
+    console.log(`db.roles.insertOne(${JSON.stringify(editorRole, null, 2)});`);
     
   } catch (error) {
     console.error('❌ Error seeding roles:', error);
@@ -37,13 +37,39 @@ const upload = multer({
 // User and Roles routes
 const userRoutes = require('./routes/userRoutes');
 const authRoutes = require('./routes/authRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const { requirePermission, requireAnyPermission, sendForbidden } = require('./middleware/auth');
+const CampaignAccess = require('./models/campaignAccess');
+const CampaignProjection = require('./models/campaignProjection');
+const CampaignQuery = require('./models/campaignQuery');
+const CampaignSchema = require('./models/campaignSchema');
+const CampaignLifecycle = require('./models/campaignLifecycle');
+const BudgetApproval = require('./models/budgetApproval');
+const CampaignVersions = require('./models/campaignVersions');
+const RolesManager = require('./models/rolesManager');
+const AuditLog = require('./models/auditLog');
+const AuthProviders = require('./models/authProviders');
+const security = require('./middleware/security');
+const securityConfig = security.getSecurityConfig();
+
 // Middleware setup - order is important
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+app.disable('x-powered-by');
+if (securityConfig.trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(securityConfig.trustProxy) ? parseInt(securityConfig.trustProxy, 10) : securityConfig.trustProxy);
+}
+app.use(security.securityHeaders(securityConfig));
+app.use(security.cors(securityConfig));
+app.use(bodyParser.json({ limit: securityConfig.jsonLimit }));
+app.use(bodyParser.urlencoded({ extended: true, limit: securityConfig.formLimit }));
+app.use(security.handleBodyErrors);
+app.use(security.csrfProtection(securityConfig));
 
 // Register user/roles API before static file serving and error handlers
 app.use('/api/users', userRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/approvals', approvalRoutes);
 
 // API routes should come before static file serving
 app.use('/api', (req, res, next) => {
@@ -136,7 +162,7 @@ async function syncTagCounters() {
 }
 
 // POST: Manually sync tag counters with actual saved tags
-app.post('/api/tags/sync', async (req, res) => {
+app.post('/api/tags/sync', requirePermission('edit_campaigns'), async (req, res) => {
   try {
     await syncTagCounters();
     res.json({ message: 'Tag counters synced successfully' });
@@ -147,7 +173,7 @@ app.post('/api/tags/sync', async (req, res) => {
 });
 
 // GET: Debug endpoint to check campaign data structure
-app.get('/api/debug/campaigns', async (req, res) => {
+app.get('/api/debug/campaigns', requirePermission('view_campaigns'), async (req, res) => {
   try {
     console.log('Debug campaigns endpoint called');
     const campaigns = db.collection('campaigns');
@@ -176,7 +202,7 @@ app.get('/api/debug/campaigns', async (req, res) => {
 });
 
 // POST: Create or update campaign with multiple image uploads
-app.post('/api/campaigns', upload.fields([
+app.post('/api/campaigns', requirePermission('create_campaigns'), upload.fields([
   { name: 'campaignImage0', maxCount: 1 },
   { name: 'campaignImage1', maxCount: 1 },
   { name: 'campaignImage2', maxCount: 1 },
@@ -206,6 +232,27 @@ app.post('/api/campaigns', upload.fields([
       return res.status(400).json({ error: 'Invalid campaign data format' });
     }
     
+    // Saving over an existing campaignId is an edit, not a create
+    const existing = campaignData.campaignId
+      ? await db.collection('campaigns').findOne({ campaignId: campaignData.campaignId })
+      : null;
+    if (existing && (!await CampaignAccess.canEdit(db, req, existing) ||
+        !CampaignAccess.canReassign(req, existing, campaignData.jobAssignedTo))) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+
+    let validationErrors = CampaignSchema.validate(campaignData, { stored: existing });
+    if (validationErrors.length === 0) {
+      validationErrors = CampaignLifecycle.checkSavedStatus(campaignData, existing);
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(CampaignSchema.errorResponse(validationErrors));
+    }
+    CampaignProjection.preserveFinancials(req, campaignData, existing);
+    if (!existing) {
+      campaignData.statusHistory = [CampaignLifecycle.historyEntry(req, null, campaignData.status, 'Campaign created')];
+    }
+    
     console.log('=== CAMPAIGN SUBMISSION DEBUG ===');
     console.log('Campaign data received:', JSON.stringify(campaignData, null, 2));
     
@@ -361,6 +408,9 @@ app.post('/api/campaigns', upload.fields([
     console.log('campaignData keys:', Object.keys(campaignData));
     
     const campaigns = db.collection('campaigns');
+    if (existing) {
+      await CampaignVersions.snapshot(db, req, existing, 'update');
+    }
     const result = await campaigns.updateOne(
       { campaignId: campaignData.campaignId },
       { $set: campaignData },
@@ -379,10 +429,19 @@ app.post('/api/campaigns', upload.fields([
     console.log('savedCampaign.images type:', typeof savedCampaign?.images);
     console.log('savedCampaign.images isArray:', Array.isArray(savedCampaign?.images));
 
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: existing ? 'update' : 'create', entityType: 'campaign', entityId: savedCampaign.campaignId,
+      entityName: savedCampaign.name, before: existing, after: savedCampaign
+    });
+    const held = await syncBudgetApproval(req, savedCampaign, existing);
+
     // Sync tag counters after save to ensure consistency
     await syncTagCounters();
     
-    res.status(200).json({ message: 'Campaign saved successfully', campaignId: campaignData.campaignId });
+    res.status(200).json({
+      message: held ? `Campaign saved successfully; ${HELD_MESSAGE}` : 'Campaign saved successfully',
+      campaignId: campaignData.campaignId
+    });
   } catch (err) {
     console.error('Error saving campaign:', err);
     res.status(500).json({ error: 'Server error' });
@@ -391,7 +450,7 @@ app.post('/api/campaigns', upload.fields([
 
 // PUT: Update campaign
 // PUT: Update campaign with multiple image uploads
-app.put('/api/campaigns/:campaignId', upload.fields([
+app.put('/api/campaigns/:campaignId', requireAnyPermission('edit_campaigns', 'edit_own_campaigns'), upload.fields([
   { name: 'campaignImage0', maxCount: 1 },
   { name: 'campaignImage1', maxCount: 1 },
   { name: 'campaignImage2', maxCount: 1 },
@@ -465,6 +524,22 @@ app.put('/api/campaigns/:campaignId', upload.fields([
     if (!existingCampaign) {
       return res.status(404).json({ error: 'Campaign not found' });
     }
+
+    // edit_own_campaigns only covers campaigns assigned to the user, and cannot reassign them
+    if (!await CampaignAccess.canEdit(db, req, existingCampaign) ||
+        !CampaignAccess.canReassign(req, existingCampaign, campaignData.jobAssignedTo)) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+
+    // Updates may send only the fields that change
+    let validationErrors = CampaignSchema.validate(campaignData, { partial: true, stored: existingCampaign });
+    if (validationErrors.length === 0) {
+      validationErrors = CampaignLifecycle.checkSavedStatus(campaignData, existingCampaign);
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(CampaignSchema.errorResponse(validationErrors));
+    }
+    CampaignProjection.preserveFinancials(req, campaignData, existingCampaign);
     
     // Handle multiple image uploads - save to GridFS
     console.log('=== UPDATE IMAGE UPLOAD DEBUG ===');
@@ -731,6 +806,7 @@ app.put('/api/campaigns/:campaignId', upload.fields([
     console.log('campaignData.images before save:', campaignData.images);
     console.log('campaignData keys:', Object.keys(campaignData));
     
+    await CampaignVersions.snapshot(db, req, existingCampaign, 'update');
     const result = await campaigns.updateOne(
       { _id: objectId },
       { $set: campaignData },
@@ -753,11 +829,17 @@ app.put('/api/campaigns/:campaignId', upload.fields([
     console.log('updatedCampaign.images type:', typeof updatedCampaign?.images);
     console.log('updatedCampaign.images isArray:', Array.isArray(updatedCampaign?.images));
 
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'campaign', entityId: updatedCampaign.campaignId,
+      entityName: updatedCampaign.name, before: existingCampaign, after: updatedCampaign
+    });
+    const held = await syncBudgetApproval(req, updatedCampaign, existingCampaign);
+
     // Sync tag counters after update to ensure consistency
     await syncTagCounters();
     
     return res.status(200).json({ 
-      message: 'Campaign updated successfully', 
+      message: held ? `Campaign updated successfully; ${HELD_MESSAGE}` : 'Campaign updated successfully',
       campaignId 
     });
   } catch (err) {
@@ -779,12 +861,26 @@ app.put('/api/campaigns/:campaignId', upload.fields([
 });
 
 // GET: Retrieve all campaigns
-app.get('/api/campaigns', async (req, res) => {
+// Filters, sort and order are optional query parameters (see models/campaignQuery.js).
+// With limit or cursor the response is a page: { items, total, limit, nextCursor, sort, order };
+// without them it is the array of every matching campaign.
+app.get('/api/campaigns', requirePermission('view_campaigns'), async (req, res) => {
   console.log('Received GET request for all campaigns (/api/campaigns)');
   try {
-    const campaigns = db.collection('campaigns');
-    const allCampaigns = await campaigns.find().toArray();
-    res.status(200).json(allCampaigns);
+    const { filter, errors: filterErrors } = await CampaignQuery.buildFilter(db, req);
+    const paging = CampaignQuery.parsePaging(req);
+    const errors = [...filterErrors, ...paging.errors];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', '), errors });
+    }
+
+    if (!paging.paginated) {
+      const allCampaigns = await CampaignQuery.findAll(db, filter, paging);
+      return res.status(200).json(CampaignProjection.forRequest(req, allCampaigns));
+    }
+
+    const page = await CampaignQuery.findPage(db, filter, paging);
+    res.status(200).json({ ...page, items: CampaignProjection.forRequest(req, page.items) });
   } catch (err) {
     console.error('Error retrieving campaigns:', err);
     res.status(500).json({ error: 'Server error' });
@@ -793,7 +889,7 @@ app.get('/api/campaigns', async (req, res) => {
 
 // GET: Export all campaigns to Excel
 // GET: Find campaigns by tag number (for debugging)
-app.get('/api/campaigns/tag/:tagNumber', async (req, res) => {
+app.get('/api/campaigns/tag/:tagNumber', requirePermission('view_campaigns'), async (req, res) => {
   try {
     const tagNumber = req.params.tagNumber;
     const campaigns = db.collection('campaigns');
@@ -814,7 +910,7 @@ app.get('/api/campaigns/tag/:tagNumber', async (req, res) => {
         _id: c._id,
         campaignId: c.campaignId,
         name: c.name,
-        channels: c.channels.filter(ch => ch.tagNumber === tagNumber)
+        channels: CampaignProjection.forRequest(req, c).channels.filter(ch => ch.tagNumber === tagNumber)
       })),
       count: campaignsWithTag.length
     });
@@ -824,8 +920,66 @@ app.get('/api/campaigns/tag/:tagNumber', async (req, res) => {
   }
 });
 
+// Excel export columns. Budget is left out for users without view_financials.
+function getCampaignExportColumns(includeFinancials) {
+  return [
+    { header: 'Marketing ID', key: 'campaignId', width: 15 },
+    { header: 'Name', key: 'name', width: 20 },
+    { header: 'Description', key: 'description', width: 30 },
+    { header: 'Start Date', key: 'startDate', width: 15 },
+    { header: 'End Date', key: 'endDate', width: 15 },
+    ...(includeFinancials ? [{ header: 'Budget (AED)', key: 'budget', width: 10 }] : []),
+    { header: 'Status', key: 'status', width: 10 },
+    { header: 'Job Assigned To', key: 'jobAssignedTo', width: 15 },
+    { header: 'Channels', key: 'channels', width: 50 },
+  ];
+}
+
+// Format channels as a readable string for the Excel exports (costs only with view_financials)
+function formatChannelDetails(channels, includeFinancials) {
+  if (!channels || !Array.isArray(channels)) {
+    return '';
+  }
+
+  return channels.map(channel => {
+    const cost = includeFinancials ? `, ${channel.cost} AED` : '';
+    let baseInfo = '';
+    if (channel.type === 'Social Media') {
+      baseInfo = `Social Media: ${channel.platform}, ${channel.adName}${cost}, ${channel.adType}`;
+    } else if (channel.type === 'Television') {
+      baseInfo = `Television: ${channel.adName}${cost}`;
+    } else if (channel.type === 'Print Media') {
+      baseInfo = `Print Media: ${channel.publication}, ${channel.adName}${cost}`;
+    } else if (channel.type === 'Radio') {
+      baseInfo = `Radio: ${channel.station || ''}, ${channel.adName}${cost}`;
+    } else if (channel.type === 'Storefront') {
+      baseInfo = `Storefront: ${channel.platform || ''}, ${channel.adName}${cost}`;
+    } else if (channel.type === 'Email') {
+      baseInfo = `Email: ${channel.platform || ''}, ${channel.adName}${cost}`;
+    } else if (channel.type === 'YouTube') {
+      baseInfo = `YouTube: ${channel.platform || ''}, ${channel.adName}${cost}`;
+    } else if (channel.type === 'WhatsApp Group') {
+      baseInfo = `WhatsApp Group: ${channel.platform || ''}, ${channel.adName}${cost}`;
+    } else {
+      baseInfo = `${channel.type}: ${channel.adName}${cost}`;
+    }
+    
+    // Add impressions if available
+    if (channel.impressions) {
+      baseInfo += `, ${channel.impressions.toLocaleString()} impressions`;
+    }
+    
+    // Add tag number if available
+    if (channel.tagNumber) {
+      baseInfo += `, Reference Code: ${channel.tagNumber}`;
+    }
+    
+    return baseInfo;
+  }).join('; ');
+}
+
 // GET: Export a single campaign to Excel
-app.get('/api/campaigns/:campaignId/export', async (req, res) => {
+app.get('/api/campaigns/:campaignId/export', requirePermission('export_data'), async (req, res) => {
   const campaignId = req.params.campaignId;
   try {
     const campaigns = db.collection('campaigns');
@@ -833,50 +987,10 @@ app.get('/api/campaigns/:campaignId/export', async (req, res) => {
     if (!campaign) {
       return res.status(404).json({ error: 'Campaign not found' });
     }
+    const includeFinancials = CampaignProjection.canViewFinancials(req);
     const workbook = new excel.Workbook();
     const worksheet = workbook.addWorksheet('Campaigns');
-    worksheet.columns = [
-      { header: 'Marketing ID', key: 'campaignId', width: 15 },
-      { header: 'Name', key: 'name', width: 20 },
-      { header: 'Description', key: 'description', width: 30 },
-      { header: 'Start Date', key: 'startDate', width: 15 },
-      { header: 'End Date', key: 'endDate', width: 15 },
-      { header: 'Budget (AED)', key: 'budget', width: 10 },
-      { header: 'Status', key: 'status', width: 10 },
-      { header: 'Job Assigned To', key: 'jobAssignedTo', width: 15 },
-      { header: 'Channels', key: 'channels', width: 50 },
-    ];
-
-    // Format channels as readable string (same as all-campaigns export)
-    let channelDetails = '';
-    if (campaign.channels && Array.isArray(campaign.channels)) {
-      channelDetails = campaign.channels.map(channel => {
-        let baseInfo = '';
-        if (channel.type === 'Social Media') {
-          baseInfo = `Social Media: ${channel.platform}, ${channel.adName}, ${channel.cost} AED, ${channel.adType}`;
-        } else if (channel.type === 'Television') {
-          baseInfo = `Television: ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'Print Media') {
-          baseInfo = `Print Media: ${channel.publication}, ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'Radio') {
-          baseInfo = `Radio: ${channel.station || ''}, ${channel.adName}, ${channel.cost} AED`;
-        } else {
-          baseInfo = `${channel.type}: ${channel.adName}, ${channel.cost} AED`;
-        }
-        
-        // Add impressions if available
-        if (channel.impressions) {
-          baseInfo += `, ${channel.impressions.toLocaleString()} impressions`;
-        }
-        
-        // Add tag number if available
-        if (channel.tagNumber) {
-          baseInfo += `, Reference Code: ${channel.tagNumber}`;
-        }
-        
-        return baseInfo;
-      }).join('; ');
-    }
+    worksheet.columns = getCampaignExportColumns(includeFinancials);
 
     worksheet.addRow({
       campaignId: campaign.campaignId,
@@ -884,9 +998,9 @@ app.get('/api/campaigns/:campaignId/export', async (req, res) => {
       description: campaign.description,
       startDate: campaign.startDate,
       endDate: campaign.endDate,
-      budget: campaign.budget,
+      ...(includeFinancials ? { budget: campaign.budget } : {}),
       status: campaign.status,
-      channels: channelDetails,
+      channels: formatChannelDetails(campaign.channels, includeFinancials),
     });
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename=campaign_${campaignId}.xlsx`);
@@ -898,7 +1012,7 @@ app.get('/api/campaigns/:campaignId/export', async (req, res) => {
   }
 });
 
-app.get('/api/campaigns/export', async (req, res) => {
+app.get('/api/campaigns/export', requirePermission('export_data'), async (req, res) => {
   console.log('Received GET request for Excel export (/api/campaigns/export)');
   try {
     const campaigns = db.collection('campaigns');
@@ -909,66 +1023,22 @@ app.get('/api/campaigns/export', async (req, res) => {
         return res.status(404).json({ error: 'No campaigns found to export' });
     }
 
+    const includeFinancials = CampaignProjection.canViewFinancials(req);
     const workbook = new excel.Workbook();
     const worksheet = workbook.addWorksheet('Campaigns');
     
-    worksheet.columns = [
-      { header: 'Marketing ID', key: 'campaignId', width: 15 },
-      { header: 'Name', key: 'name', width: 20 },
-      { header: 'Description', key: 'description', width: 30 },
-      { header: 'Start Date', key: 'startDate', width: 15 },
-      { header: 'End Date', key: 'endDate', width: 15 },
-      { header: 'Budget (AED)', key: 'budget', width: 10 },
-      { header: 'Status', key: 'status', width: 10 },
-      { header: 'Job Assigned To', key: 'jobAssignedTo', width: 15 },
-      { header: 'Channels', key: 'channels', width: 50 },
-    ];
+    worksheet.columns = getCampaignExportColumns(includeFinancials);
     
     data.forEach(campaign => {
-      const channelDetails = campaign.channels ? campaign.channels.map(channel => {
-        let baseInfo = '';
-        if (channel.type === 'Social Media') {
-          baseInfo = `Social Media: ${channel.platform}, ${channel.adName}, ${channel.cost} AED, ${channel.adType}`;
-        } else if (channel.type === 'Television') {
-          baseInfo = `Television: ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'Print Media') {
-          baseInfo = `Print Media: ${channel.publication}, ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'Radio') {
-          baseInfo = `Radio: ${channel.station || ''}, ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'Storefront') {
-          baseInfo = `Storefront: ${channel.platform || ''}, ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'Email') {
-          baseInfo = `Email: ${channel.platform || ''}, ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'YouTube') {
-          baseInfo = `YouTube: ${channel.platform || ''}, ${channel.adName}, ${channel.cost} AED`;
-        } else if (channel.type === 'WhatsApp Group') {
-          baseInfo = `WhatsApp Group: ${channel.platform || ''}, ${channel.adName}, ${channel.cost} AED`;
-        } else {
-          baseInfo = `${channel.type}: ${channel.adName}, ${channel.cost} AED`;
-        }
-        
-        // Add impressions if available
-        if (channel.impressions) {
-          baseInfo += `, ${channel.impressions.toLocaleString()} impressions`;
-        }
-        
-        // Add tag number if available
-        if (channel.tagNumber) {
-          baseInfo += `, Reference Code: ${channel.tagNumber}`;
-        }
-        
-        return baseInfo;
-      }).join('; ') : '';
-      
       worksheet.addRow({
         campaignId: campaign.campaignId,
         name: campaign.name,
         description: campaign.description,
         startDate: campaign.startDate,
         endDate: campaign.endDate,
-        budget: campaign.budget,
+        ...(includeFinancials ? { budget: campaign.budget } : {}),
         status: campaign.status,
-        channels: channelDetails,
+        channels: formatChannelDetails(campaign.channels, includeFinancials),
       });
     });
     
@@ -985,7 +1055,7 @@ app.get('/api/campaigns/export', async (req, res) => {
 
 // GET: Get all unique channel tags from campaigns (marketing records)
 // MUST be before /api/campaigns/:campaignId route to avoid route conflict
-app.get('/api/campaigns/channel-tags', async (req, res) => {
+app.get('/api/campaigns/channel-tags', requirePermission('view_campaigns'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected', tags: [] });
@@ -1013,15 +1083,26 @@ app.get('/api/campaigns/channel-tags', async (req, res) => {
   }
 });
 
+// GET: Validation rules for campaign data (models/campaignSchema.js) and the status lifecycle
+// (models/campaignLifecycle.js), used by the campaign forms
+// MUST be before /api/campaigns/:campaignId route to avoid route conflict
+app.get('/api/campaigns/schema', requirePermission('view_campaigns'), (req, res) => {
+  res.json({
+    ...CampaignSchema.getSchema(),
+    lifecycle: CampaignLifecycle.getLifecycle(),
+    budgetApproval: { thresholds: BudgetApproval.THRESHOLDS }
+  });
+});
+
 // GET: Query campaigns by campaignId
-app.get('/api/campaigns/:campaignId', async (req, res) => {
+app.get('/api/campaigns/:campaignId', requirePermission('view_campaigns'), async (req, res) => {
   console.log(`Received GET request for campaignId: ${req.params.campaignId}`);
   try {
     const campaignId = req.params.campaignId;
     const campaigns = db.collection('campaigns');
     const campaign = await campaigns.findOne({ campaignId });
     if (campaign) {
-      res.status(200).json(campaign);
+      res.status(200).json(CampaignProjection.forRequest(req, campaign));
     } else {
       res.status(404).json({ error: 'Campaign not found' });
     }
@@ -1031,8 +1112,245 @@ app.get('/api/campaigns/:campaignId', async (req, res) => {
   }
 });
 
+// GET: Change history of a campaign (by campaignId) from the audit log, newest first
+app.get('/api/campaigns/:campaignId/history', requirePermission('view_campaigns'), async (req, res) => {
+  try {
+    const { limit, skip } = req.query;
+    const result = await AuditLog.find(db, { entityType: 'campaign', entityId: req.params.campaignId, limit, skip });
+    res.json({
+      ...result,
+      entries: result.entries.map(entry => CampaignProjection.auditEntryForRequest(req, entry))
+    });
+  } catch (err) {
+    console.error('Error retrieving campaign history:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Move a campaign (by campaignId) to another status: { status, reason }.
+// Only the transitions in models/campaignLifecycle.js are allowed, and the campaign must meet the
+// requirements of the new status; high budgets must be approved before it becomes Active
+// (models/budgetApproval.js). The change is added to the campaign's statusHistory.
+app.post('/api/campaigns/:campaignId/transition', requireAnyPermission('edit_campaigns', 'edit_own_campaigns'), async (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
+    const campaigns = db.collection('campaigns');
+    const campaign = await campaigns.findOne({ campaignId: req.params.campaignId });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!await CampaignAccess.canEdit(db, req, campaign)) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+
+    let errors = CampaignLifecycle.checkTransition(campaign, status, typeof reason === 'string' ? reason : '');
+    if (errors.length === 0 && status === 'Active') {
+      // Requests approval for the current budget if nobody has yet
+      const approval = await BudgetApproval.syncRequest(db, req, campaign);
+      errors = BudgetApproval.checkActivation(campaign, approval);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json(CampaignSchema.errorResponse(errors));
+    }
+
+    const entry = CampaignLifecycle.historyEntry(req, campaign.status, status, reason);
+    // Only if nobody changed the status in the meantime
+    const result = await campaigns.updateOne(
+      { _id: campaign._id, status: campaign.status === undefined ? { $exists: false } : campaign.status },
+      { $set: { status }, $push: { statusHistory: entry } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ error: 'The campaign status was changed by someone else; reload and try again' });
+    }
+    await CampaignVersions.snapshot(db, req, campaign, 'transition');
+
+    const updated = await campaigns.findOne({ _id: campaign._id });
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'transition', entityType: 'campaign', entityId: campaign.campaignId, entityName: campaign.name,
+      before: campaign, after: updated, details: { from: entry.from, to: status, reason: entry.reason }
+    });
+
+    res.json({ message: `Campaign moved to ${status}`, campaign: CampaignProjection.forRequest(req, updated) });
+  } catch (err) {
+    console.error('Error changing campaign status:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const HELD_MESSAGE = 'it is Planned again until the new budget is approved';
+
+// After a campaign is saved: request approval for its budget, and move it from Active back to Planned
+// when its budget was raised to an amount that is not approved yet (models/budgetApproval.js).
+// Returns the moved campaign, or null when it kept its status.
+async function syncBudgetApproval(req, campaign, previous) {
+  const approval = await BudgetApproval.syncRequest(db, req, campaign);
+  if (!BudgetApproval.mustLeaveActive(campaign, previous, approval)) {
+    return null;
+  }
+
+  const campaigns = db.collection('campaigns');
+  const entry = CampaignLifecycle.historyEntry(req, 'Active', 'Planned', `Budget raised to ${campaign.budget}; waiting for approval`);
+  const result = await campaigns.updateOne(
+    { _id: campaign._id, status: 'Active' },
+    { $set: { status: 'Planned' }, $push: { statusHistory: entry } }
+  );
+  if (result.matchedCount === 0) {
+    return null;
+  }
+  await CampaignVersions.snapshot(db, req, campaign, 'transition');
+
+  const updated = await campaigns.findOne({ _id: campaign._id });
+  await AuditLog.record(db, AuditLog.getContext(req), {
+    action: 'transition', entityType: 'campaign', entityId: campaign.campaignId, entityName: campaign.name,
+    before: campaign, after: updated, details: { from: entry.from, to: entry.to, reason: entry.reason }
+  });
+  return updated;
+}
+
+// Reference codes of the channels that are repeated within them or used by another campaign
+async function findDuplicateTags(channels, campaignObjectId) {
+  const tagNumbers = (Array.isArray(channels) ? channels : [])
+    .map(channel => channel && channel.tagNumber)
+    .filter(tag => typeof tag === 'string' && tag.trim() !== '')
+    .map(tag => tag.trim());
+  const repeated = tagNumbers.filter((tag, index) => tagNumbers.indexOf(tag) !== index);
+  const taken = tagNumbers.length > 0
+    ? await db.collection('campaigns').find({
+        _id: { $ne: campaignObjectId },
+        'channels.tagNumber': { $in: tagNumbers }
+      }).toArray()
+    : [];
+  const takenTags = tagNumbers.filter(tag => taken.some(campaign =>
+    (campaign.channels || []).some(channel => channel && channel.tagNumber === tag)));
+  return [...new Set([...repeated, ...takenTags])];
+}
+
+// GET: Saved versions of a campaign (by campaignId), newest first, without their data
+app.get('/api/campaigns/:campaignId/versions', requirePermission('view_campaigns'), async (req, res) => {
+  try {
+    const campaignId = req.params.campaignId;
+    const campaign = await db.collection('campaigns').findOne({ campaignId });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json({ campaignId, versions: await CampaignVersions.list(db, campaignId) });
+  } catch (err) {
+    console.error('Error retrieving campaign versions:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET: Field-level and per-channel changes from version n to the current campaign,
+// or to another version with ?against=<version>
+app.get('/api/campaigns/:campaignId/versions/:version/diff', requirePermission('view_campaigns'), async (req, res) => {
+  try {
+    const campaignId = req.params.campaignId;
+    const version = await CampaignVersions.find(db, campaignId, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    let against = 'current';
+    let target;
+    if (req.query.against && req.query.against !== 'current') {
+      const other = await CampaignVersions.find(db, campaignId, req.query.against);
+      if (!other) {
+        return res.status(404).json({ error: 'Version to compare against not found' });
+      }
+      against = other.version;
+      target = other.campaign;
+    } else {
+      target = await db.collection('campaigns').findOne({ campaignId });
+      if (!target) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+    }
+
+    res.json({
+      campaignId,
+      version: version.version,
+      against,
+      ...CampaignVersions.diff(CampaignProjection.forRequest(req, version.campaign), CampaignProjection.forRequest(req, target))
+    });
+  } catch (err) {
+    console.error('Error comparing campaign versions:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST: Restore a version of a campaign (by campaignId). Status and status history are kept, and
+// the current campaign is saved as a new version first, so a restore can be undone the same way.
+app.post('/api/campaigns/:campaignId/versions/:version/restore', requireAnyPermission('edit_campaigns', 'edit_own_campaigns'), async (req, res) => {
+  try {
+    const campaigns = db.collection('campaigns');
+    const current = await campaigns.findOne({ campaignId: req.params.campaignId });
+    if (!current) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!await CampaignAccess.canEdit(db, req, current)) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+    const version = await CampaignVersions.find(db, current.campaignId, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const restored = CampaignVersions.restoredCampaign(version, current);
+    if (!CampaignAccess.canReassign(req, current, restored.jobAssignedTo || '')) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+    let validationErrors = CampaignVersions.validateRestored(restored, current);
+    if (validationErrors.length === 0) {
+      validationErrors = CampaignLifecycle.checkKeptRequirements(restored, current);
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(CampaignSchema.errorResponse(validationErrors));
+    }
+    CampaignProjection.preserveFinancials(req, restored, current);
+    // The document is replaced, so the budget preserveFinancials removed has to be put back
+    if (!CampaignProjection.canViewFinancials(req) && current.budget !== undefined) {
+      restored.budget = current.budget;
+    }
+
+    // Reference codes may have been given to other campaigns since this version was saved
+    const duplicateTags = await findDuplicateTags(restored.channels, current._id);
+    if (duplicateTags.length > 0) {
+      return res.status(409).json({
+        error: `Reference code(s) already exist: ${duplicateTags.join(', ')}. Each reference code must be globally unique.`,
+        duplicateTags
+      });
+    }
+
+    // Images removed by later edits were deleted from GridFS
+    if (Array.isArray(restored.images) && restored.images.length > 0) {
+      const filenames = restored.images.map(image => String(image).split('/').pop());
+      const stored = await gridFSBucket.find({ filename: { $in: filenames } }).toArray();
+      restored.images = restored.images.filter(image => stored.some(file => file.filename === String(image).split('/').pop()));
+    }
+
+    await CampaignVersions.snapshot(db, req, current, 'restore');
+    await campaigns.replaceOne({ _id: current._id }, restored);
+    const updated = await campaigns.findOne({ _id: current._id });
+
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'restore', entityType: 'campaign', entityId: updated.campaignId, entityName: updated.name,
+      before: current, after: updated, details: { version: version.version }
+    });
+    const held = await syncBudgetApproval(req, updated, current);
+    await syncTagCounters();
+
+    res.json({
+      message: `Campaign restored to version ${version.version}` + (held ? `; ${HELD_MESSAGE}` : ''),
+      campaign: CampaignProjection.forRequest(req, held || updated)
+    });
+  } catch (err) {
+    console.error('Error restoring campaign version:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // DELETE: Delete campaign by MongoDB _id
-app.delete('/api/campaigns/:campaignId', async (req, res) => {
+app.delete('/api/campaigns/:campaignId', requirePermission('delete_campaigns'), async (req, res) => {
   console.log(`Received DELETE request for campaignId: ${req.params.campaignId}`);
   try {
     const campaignId = req.params.campaignId;
@@ -1136,7 +1454,14 @@ app.delete('/api/campaigns/:campaignId', async (req, res) => {
     
     if (result.deletedCount === 1) {
       console.log(`✓ Campaign deleted successfully: ${campaignId}`);
-      res.status(200).json({ 
+      await AuditLog.record(db, AuditLog.getContext(req), {
+        action: 'delete', entityType: 'campaign', entityId: campaign.campaignId, entityName: campaign.name, before: campaign
+      });
+      // Nobody needs to decide on the budget of a deleted campaign
+      await db.collection('approvals').deleteMany({ campaignId: campaign.campaignId, status: 'pending' });
+      // The versions are kept, with the deleted campaign as the last one
+      await CampaignVersions.snapshot(db, req, campaign, 'delete');
+      res.status(200).json({
         message: 'Campaign deleted successfully',
         imagesDeleted: campaign.images ? campaign.images.length : 0
       });
@@ -1151,7 +1476,7 @@ app.delete('/api/campaigns/:campaignId', async (req, res) => {
 });
 
 // PUT: Update impressions for a specific tag number
-app.put('/api/campaigns/impressions/:tagNumber', async (req, res) => {
+app.put('/api/campaigns/impressions/:tagNumber', requireAnyPermission('edit_campaigns', 'edit_own_campaigns'), async (req, res) => {
   const tagNumber = req.params.tagNumber;
   const { impressions } = req.body;
   
@@ -1165,6 +1490,14 @@ app.put('/api/campaigns/impressions/:tagNumber', async (req, res) => {
       return res.status(400).json({ error: 'Impressions must be a positive number' });
     }
     
+    const campaign = await campaigns.findOne({ 'channels.tagNumber': tagNumber });
+    if (!campaign) {
+      return res.status(404).json({ error: 'No campaign found with this reference code' });
+    }
+    if (!await CampaignAccess.canEdit(db, req, campaign)) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+    
     // Find the campaign that contains this tag number and update the impressions
     const result = await campaigns.updateOne(
       { 'channels.tagNumber': tagNumber },
@@ -1180,6 +1513,12 @@ app.put('/api/campaigns/impressions/:tagNumber', async (req, res) => {
     if (result.modifiedCount === 0) {
       return res.status(404).json({ error: 'Channel not found or no changes made' });
     }
+    await CampaignVersions.snapshot(db, req, campaign, 'impressions');
+
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'campaign', entityId: campaign.campaignId, entityName: campaign.name,
+      before: campaign, after: await campaigns.findOne({ _id: campaign._id })
+    });
     
     res.json({ 
       message: 'Impressions updated successfully',
@@ -1193,7 +1532,7 @@ app.put('/api/campaigns/impressions/:tagNumber', async (req, res) => {
 });
 
 // PUT: Update marketing achieved impressions and conversions
-app.put('/api/campaigns/:campaignId/achieved', async (req, res) => {
+app.put('/api/campaigns/:campaignId/achieved', requireAnyPermission('edit_campaigns', 'edit_own_campaigns'), async (req, res) => {
   const campaignId = req.params.campaignId;
   const { impressions, conversions } = req.body;
   
@@ -1212,6 +1551,14 @@ app.put('/api/campaigns/:campaignId/achieved', async (req, res) => {
       return res.status(400).json({ error: 'Conversions must be a positive number' });
     }
     
+    const campaign = await campaigns.findOne({ campaignId });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!await CampaignAccess.canEdit(db, req, campaign)) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+    
     // Update the campaign's achieved impressions and conversions
     const result = await campaigns.updateOne(
       { campaignId },
@@ -1226,6 +1573,12 @@ app.put('/api/campaigns/:campaignId/achieved', async (req, res) => {
     if (result.matchedCount === 0) {
       return res.status(404).json({ error: 'Campaign not found' });
     }
+    await CampaignVersions.snapshot(db, req, campaign, 'achieved');
+
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'campaign', entityId: campaignId, entityName: campaign.name,
+      before: campaign, after: await campaigns.findOne({ campaignId })
+    });
     
     res.json({ 
       message: 'Marketing achieved impressions and conversions updated successfully',
@@ -1239,7 +1592,7 @@ app.put('/api/campaigns/:campaignId/achieved', async (req, res) => {
 });
 
 // PUT: Update impressions for a specific platform in a campaign (fallback for channel index)
-app.put('/api/campaigns/:campaignId/channels/:channelIndex/impressions', async (req, res) => {
+app.put('/api/campaigns/:campaignId/channels/:channelIndex/impressions', requireAnyPermission('edit_campaigns', 'edit_own_campaigns'), async (req, res) => {
   const campaignId = req.params.campaignId;
   const channelIndex = parseInt(req.params.channelIndex);
   const { impressions } = req.body;
@@ -1254,6 +1607,14 @@ app.put('/api/campaigns/:campaignId/channels/:channelIndex/impressions', async (
       return res.status(400).json({ error: 'Impressions must be a positive number' });
     }
     
+    const campaign = await campaigns.findOne({ campaignId });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!await CampaignAccess.canEdit(db, req, campaign)) {
+      return sendForbidden(res, 'edit_campaigns');
+    }
+    
     // Update the specific channel's impressions
     const result = await campaigns.updateOne(
       { campaignId },
@@ -1269,6 +1630,12 @@ app.put('/api/campaigns/:campaignId/channels/:channelIndex/impressions', async (
     if (result.modifiedCount === 0) {
       return res.status(404).json({ error: 'Channel not found or no changes made' });
     }
+    await CampaignVersions.snapshot(db, req, campaign, 'impressions');
+
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'campaign', entityId: campaignId, entityName: campaign.name,
+      before: campaign, after: await campaigns.findOne({ campaignId })
+    });
     
     res.json({ 
       message: 'Impressions updated successfully',
@@ -1281,7 +1648,7 @@ app.put('/api/campaigns/:campaignId/channels/:channelIndex/impressions', async (
 });
 
 // GET: Get all unique tag numbers
-app.get('/api/tags', async (req, res) => {
+app.get('/api/tags', requirePermission('view_campaigns'), async (req, res) => {
   try {
     const campaigns = db.collection('campaigns');
     const allCampaigns = await campaigns.find({}).toArray();
@@ -1308,7 +1675,7 @@ app.get('/api/tags', async (req, res) => {
 });
 
 // GET: Get tag counters (for admin purposes)
-app.get('/api/tags/counters', async (req, res) => {
+app.get('/api/tags/counters', requirePermission('view_campaigns'), async (req, res) => {
   try {
     const tagCounters = db.collection('tagCounters');
     const counters = await tagCounters.find({}).toArray();
@@ -1371,7 +1738,7 @@ app.get('/api/tags/counters', async (req, res) => {
 });
 
 // POST: Generate unique tag number (using last saved counter)
-app.post('/api/tags/generate', async (req, res) => {
+app.post('/api/tags/generate', requirePermission('generate_tags'), async (req, res) => {
   const { channelType, platform } = req.body;
   
   // Trim whitespace from channelType
@@ -1526,11 +1893,12 @@ app.post('/api/tags/generate', async (req, res) => {
 
 
 // GET: Get impression statistics for all campaigns
-app.get('/api/impressions/stats', async (req, res) => {
+app.get('/api/impressions/stats', requirePermission('view_reports'), async (req, res) => {
   try {
     console.log('Impression stats endpoint called'); // Debug log
     const campaigns = db.collection('campaigns');
-    const allCampaigns = await campaigns.find({}).toArray();
+    // Aggregate from the projected documents so no figure can be derived from hidden financial fields
+    const allCampaigns = CampaignProjection.forRequest(req, await campaigns.find({}).toArray());
     console.log('Found campaigns:', allCampaigns.length); // Debug log
     
     const stats = {
@@ -1609,6 +1977,7 @@ app.get('/api/impressions/stats', async (req, res) => {
 });
 
 // GET: Serve images from GridFS
+// Left public: images are loaded through <img src> tags, which cannot send the Authorization header
 app.get('/api/images/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
@@ -1643,7 +2012,7 @@ app.get('/api/images/:filename', async (req, res) => {
 });
 
 // DELETE: Delete image from GridFS
-app.delete('/api/images/:filename', async (req, res) => {
+app.delete('/api/images/:filename', requirePermission('edit_campaigns'), async (req, res) => {
   try {
     const filename = req.params.filename;
     
@@ -1657,6 +2026,10 @@ app.delete('/api/images/:filename', async (req, res) => {
     
     // Delete from GridFS
     await gridFSBucket.delete(file._id);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'delete', entityType: 'image', entityId: filename, entityName: filename,
+      before: { filename, length: file.length, uploadDate: file.uploadDate }
+    });
     
     res.json({ message: 'Image deleted successfully' });
   } catch (err) {
@@ -1665,16 +2038,13 @@ app.delete('/api/images/:filename', async (req, res) => {
   }
 });
 
-// Static file serving should come after API routes
-app.use(express.static('.'));
-app.use('/public', express.static(path.join(__dirname, 'public')));
-// Keep /uploads for backward compatibility with existing images
-app.use('/uploads', express.static('uploads'));
+// Static file serving should come after API routes - only allow-listed files, never the repository root
+app.use(security.staticFiles(__dirname, securityConfig));
 
 // ==================== Channel Collection API Endpoints ====================
 
 // POST: Create a new channel
-app.post('/api/channels', async (req, res) => {
+app.post('/api/channels', requirePermission('manage_channels'), async (req, res) => {
   try {
     const { channel_type, channel_tag, add_tag, Mobile_no, Tot_conversions, Tot_impressions, Company_name } = req.body;
     
@@ -1701,6 +2071,9 @@ app.post('/api/channels', async (req, res) => {
     
     const channels = db.collection('channels');
     await channels.insertOne(channel);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'create', entityType: 'channel', entityId: channel_id, entityName: channel.channel_tag || channel_type, after: channel
+    });
     
     console.log(`Created new channel: ${channel_id}`);
     res.status(201).json(channel);
@@ -1715,7 +2088,7 @@ app.post('/api/channels', async (req, res) => {
 });
 
 // GET: Get all channels
-app.get('/api/channels', async (req, res) => {
+app.get('/api/channels', requirePermission('view_campaigns'), async (req, res) => {
   try {
     const channels = db.collection('channels');
     const allChannels = await channels.find({}).sort({ createdAt: -1 }).toArray();
@@ -1728,7 +2101,7 @@ app.get('/api/channels', async (req, res) => {
 
 // GET: Get all unique channel tags (MUST be before /api/channels/:id route)
 // Optional query parameter: channel_type - filters tags by channel type
-app.get('/api/channels/tags', async (req, res) => {
+app.get('/api/channels/tags', requirePermission('view_campaigns'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected', tags: [] });
@@ -1761,7 +2134,7 @@ app.get('/api/channels/tags', async (req, res) => {
 });
 
 // GET: Export all channels to Excel
-app.get('/api/channels/export', async (req, res) => {
+app.get('/api/channels/export', requirePermission('export_data'), async (req, res) => {
   console.log('Received GET request for Excel export (/api/channels/export)');
   try {
     const channels = db.collection('channels');
@@ -1828,7 +2201,7 @@ app.get('/api/channels/export', async (req, res) => {
 // ==================== EMPLOYEE API ENDPOINTS ====================
 
 // POST: Create a new employee
-app.post('/api/employees', async (req, res) => {
+app.post('/api/employees', requirePermission('manage_employees'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected' });
@@ -1863,6 +2236,9 @@ app.post('/api/employees', async (req, res) => {
     };
     
     await employees.insertOne(newEmployee);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'create', entityType: 'employee', entityId: employee_id, entityName: newEmployee.name, after: newEmployee
+    });
     res.status(201).json({ message: 'Employee created successfully', employee: newEmployee });
   } catch (err) {
     console.error('Error creating employee:', err);
@@ -1871,7 +2247,7 @@ app.post('/api/employees', async (req, res) => {
 });
 
 // GET: Get all employees
-app.get('/api/employees', async (req, res) => {
+app.get('/api/employees', requirePermission('view_campaigns'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected' });
@@ -1887,7 +2263,7 @@ app.get('/api/employees', async (req, res) => {
 });
 
 // GET: Get a specific employee by ID
-app.get('/api/employees/:id', async (req, res) => {
+app.get('/api/employees/:id', requirePermission('view_campaigns'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected' });
@@ -1913,7 +2289,7 @@ app.get('/api/employees/:id', async (req, res) => {
 });
 
 // PUT: Update an employee
-app.put('/api/employees/:id', async (req, res) => {
+app.put('/api/employees/:id', requirePermission('manage_employees'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected' });
@@ -1976,6 +2352,10 @@ app.put('/api/employees/:id', async (req, res) => {
       ]
     });
     
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'employee', entityId: updatedEmployee.employee_id,
+      entityName: updatedEmployee.name, before: currentEmployee, after: updatedEmployee
+    });
     res.json({ message: 'Employee updated successfully', employee: updatedEmployee });
   } catch (err) {
     console.error('Error updating employee:', err);
@@ -1984,23 +2364,35 @@ app.put('/api/employees/:id', async (req, res) => {
 });
 
 // DELETE: Delete an employee
-app.delete('/api/employees/:id', async (req, res) => {
+app.delete('/api/employees/:id', requirePermission('manage_employees'), async (req, res) => {
   try {
     if (!db) {
       return res.status(503).json({ error: 'Database not connected' });
     }
     
     const employees = db.collection('employees');
-    const result = await employees.deleteOne({
+    const query = {
       $or: [
         { _id: new ObjectId(req.params.id) },
         { employee_id: req.params.id }
       ]
-    });
+    };
+    const employee = await employees.findOne(query);
+    const result = await employees.deleteOne(query);
     
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: 'Employee not found' });
     }
+
+    // Users linked to the deleted employee lose the link (and with it their own campaigns)
+    await db.collection('users').updateMany(
+      { employee_id: employee.employee_id },
+      { $set: { employee_id: null, updated_at: new Date() } }
+    );
+
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'delete', entityType: 'employee', entityId: employee.employee_id, entityName: employee.name, before: employee
+    });
     
     res.json({ message: 'Employee deleted successfully' });
   } catch (err) {
@@ -2010,7 +2402,7 @@ app.delete('/api/employees/:id', async (req, res) => {
 });
 
 // GET: Get a specific channel by ID
-app.get('/api/channels/:id', async (req, res) => {
+app.get('/api/channels/:id', requirePermission('view_campaigns'), async (req, res) => {
   try {
     const { id } = req.params;
     const channels = db.collection('channels');
@@ -2037,7 +2429,7 @@ app.get('/api/channels/:id', async (req, res) => {
 });
 
 // PUT: Update a channel
-app.put('/api/channels/:id', async (req, res) => {
+app.put('/api/channels/:id', requirePermission('manage_channels'), async (req, res) => {
   try {
     const { id } = req.params;
     const { channel_type, channel_tag, add_tag, Mobile_no, Tot_conversions, Tot_impressions, Company_name } = req.body;
@@ -2084,6 +2476,10 @@ app.put('/api/channels/:id', async (req, res) => {
     }
     
     const updatedChannel = await channels.findOne(query);
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'update', entityType: 'channel', entityId: updatedChannel.channel_id,
+      entityName: updatedChannel.channel_tag || updatedChannel.channel_type, before: channel, after: updatedChannel
+    });
     console.log(`Updated channel: ${id}`);
     res.json(updatedChannel);
   } catch (err) {
@@ -2093,7 +2489,7 @@ app.put('/api/channels/:id', async (req, res) => {
 });
 
 // POST: Bulk update channels with impressions and conversions from priority channels calculation
-app.post('/api/channels/bulk-update-totals', async (req, res) => {
+app.post('/api/channels/bulk-update-totals', requirePermission('manage_channels'), async (req, res) => {
   try {
     const { updates } = req.body; // Array of { channel_id, Tot_impressions, Tot_conversions }
     
@@ -2119,6 +2515,7 @@ app.post('/api/channels/bulk-update-totals', async (req, res) => {
       try {
         console.log(`Updating channel ${channel_id}: impressions=${Tot_impressions}, conversions=${Tot_conversions}`);
         
+        const before = await channels.findOne({ channel_id: channel_id });
         const result = await channels.updateOne(
           { channel_id: channel_id },
           { 
@@ -2136,6 +2533,11 @@ app.post('/api/channels/bulk-update-totals', async (req, res) => {
           matchedCount++;
           if (result.modifiedCount > 0) {
             updatedCount++;
+            await AuditLog.record(db, AuditLog.getContext(req), {
+              action: 'update', entityType: 'channel', entityId: channel_id,
+              entityName: before.channel_tag || before.channel_type, before,
+              after: await channels.findOne({ channel_id: channel_id })
+            });
           }
         } else {
           errors.push({ channel_id, error: 'Channel not found' });
@@ -2164,7 +2566,7 @@ app.post('/api/channels/bulk-update-totals', async (req, res) => {
 });
 
 // DELETE: Delete a channel
-app.delete('/api/channels/:id', async (req, res) => {
+app.delete('/api/channels/:id', requirePermission('manage_channels'), async (req, res) => {
   try {
     const { id } = req.params;
     const channels = db.collection('channels');
@@ -2192,6 +2594,10 @@ app.delete('/api/channels/:id', async (req, res) => {
       return res.status(404).json({ error: 'Channel not found' });
     }
     
+    await AuditLog.record(db, AuditLog.getContext(req), {
+      action: 'delete', entityType: 'channel', entityId: channel.channel_id,
+      entityName: channel.channel_tag || channel.channel_type, before: channel
+    });
     console.log(`Deleted channel: ${id}`);
     res.json({ message: 'Channel deleted successfully', channel_id: id });
   } catch (err) {
@@ -2243,6 +2649,12 @@ async function setupDatabase() {
       const campaigns = db.collection('campaigns');
       await campaigns.createIndex({ campaignId: 1 }, { unique: true });
       console.log('Unique index on campaignId created');
+      // Filters and sort orders of the campaigns table (GET /api/campaigns)
+      for (const field of ['status', 'jobAssignedTo', 'workStartDate', 'startDate', 'endDate', 'budget']) {
+        await campaigns.createIndex({ [field]: 1, _id: 1 });
+      }
+      await campaigns.createIndex({ 'channels.type': 1 });
+      await campaigns.createIndex({ 'channels.tagNumber': 1 });
       const tagCounters = db.collection('tagCounters');
       await tagCounters.createIndex({ prefix: 1 }, { unique: true });
       console.log('Unique index on tagCounters created');
@@ -2252,6 +2664,52 @@ async function setupDatabase() {
       const employees = db.collection('employees');
       await employees.createIndex({ employee_id: 1 }, { unique: true });
       console.log('Unique index on employees.employee_id created');
+      const sessions = db.collection('sessions');
+      await sessions.createIndex({ user_id: 1 });
+      // Expired sessions are removed automatically by MongoDB
+      await sessions.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+      console.log('Indexes on sessions created');
+      const passwordResets = db.collection('passwordResets');
+      await passwordResets.createIndex({ token_hash: 1 }, { unique: true });
+      await passwordResets.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+      console.log('Indexes on passwordResets created');
+      const loginAttempts = db.collection('loginAttempts');
+      await loginAttempts.createIndex({ key: 1 }, { unique: true });
+      await loginAttempts.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+      console.log('Indexes on loginAttempts created');
+      const oidcLogins = db.collection('oidcLogins');
+      await oidcLogins.createIndex({ state_hash: 1 }, { sparse: true });
+      await oidcLogins.createIndex({ ticket_hash: 1 }, { sparse: true });
+      await oidcLogins.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+      await db.collection('users').createIndex({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { sparse: true });
+      console.log('Indexes on oidcLogins created');
+      // An employee record is linked to at most one user; older data may link one employee twice
+      try {
+        await db.collection('users').createIndex(
+          { employee_id: 1 },
+          { unique: true, partialFilterExpression: { employee_id: { $type: 'string' } } }
+        );
+      } catch (indexError) {
+        console.warn('Unique index on users.employee_id not created - unlink duplicate employee links:', indexError.message);
+      }
+      const apiKeys = db.collection('apiKeys');
+      await apiKeys.createIndex({ key_hash: 1 }, { unique: true });
+      await apiKeys.createIndex({ user_id: 1 });
+      console.log('Indexes on apiKeys created');
+      const auditLog = db.collection('auditLog');
+      await auditLog.createIndex({ entity_type: 1, entity_id: 1, created_at: -1 });
+      await auditLog.createIndex({ actor_id: 1, created_at: -1 });
+      await auditLog.createIndex({ created_at: -1 });
+      console.log('Indexes on auditLog created');
+      const approvals = db.collection('approvals');
+      await approvals.createIndex({ campaignId: 1, requestedAt: -1 });
+      await approvals.createIndex({ status: 1, requestedAt: 1 });
+      console.log('Indexes on approvals created');
+      await db.collection('campaignVersions').createIndex({ campaignId: 1, version: -1 }, { unique: true });
+      console.log('Index on campaignVersions created');
+      await RolesManager.migratePermissions(db);
+      // Min/Max filters and budget sorting need numbers (GET /api/campaigns)
+      await CampaignQuery.migrateNumberFields(db);
       return;
     } catch (err) {
       console.error(`MongoDB connection failed (Attempt ${4 - retries}):`, err.message);
@@ -2378,6 +2836,7 @@ async function startServer() {
   try {
     await setupDatabase();
     app.locals.db = db;
+    AuthProviders.checkConfiguration();
 
     // Start server after DB connection
     app.listen(port, () => {
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+const ApiKeyManager = require('../models/apiKeys');
+
+test('keys only carry permissions the owner has', () => {
+  const owner = { view_campaigns: true, manage_users: false };
+
+  assert.deepEqual(ApiKeyManager.validate({ name: 'sync', permissions: ['view_campaigns'] }, owner), []);
+  assert.equal(ApiKeyManager.validate({ name: 'sync', permissions: ['manage_users'] }, owner).length, 1);
+  assert.equal(ApiKeyManager.validate({ name: 'sync', permissions: ['launch_rockets'] }, owner).length, 1);
+  assert.equal(ApiKeyManager.validate({ name: ' ', permissions: [] }, owner).length, 2);
+  assert.equal(ApiKeyManager.validate({ name: 'sync', permissions: ['view_campaigns'], expiresAt: '2000-01-01' }, owner).length, 1);
+
+  const scoped = ApiKeyManager.scopePermissions({ view_campaigns: true, manage_users: true }, { permissions: ['view_campaigns'] });
+  assert.deepEqual(scoped, { view_campaigns: true, manage_users: false });
+});
+
+test('a key acts with its own permissions, limited to what the owner still has', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'sam', ['admin']);
+  const { token } = await startSession(app.db, admin);
+
+  const created = await app.api('POST', `/api/users/${admin._id}/api-keys`, {
+    token, body: { name: 'directory sync', permissions: ['manage_users'] }
+  });
+  assert.equal(created.status, 201);
+  const headers = { 'X-API-Key': created.body.key };
+
+  assert.equal((await app.api('GET', '/api/users', { headers })).status, 200);
+  const outOfScope = await app.api('GET', '/api/audit', { headers });
+  assert.equal(outOfScope.status, 403);
+  assert.equal(outOfScope.body.permission, 'view_audit');
+
+  const sessions = await app.api('GET', '/api/auth/sessions', { headers });
+  assert.equal(sessions.status, 403);
+  assert.equal(sessions.body.code, 'SESSION_REQUIRED');
+
+  const viewerRole = await app.db.collection('roles').findOne({ name: 'viewer' });
+  await app.db.collection('users').updateOne({ _id: admin._id }, { $set: { roles: [viewerRole._id.toString()] } });
+  assert.equal((await app.api('GET', '/api/users', { headers })).status, 403);
+});
+
+test('keys cannot be created beyond the owner permissions', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const viewer = await createUser(app.db, 'tina', ['viewer']);
+  const { token } = await startSession(app.db, viewer);
+
+  const response = await app.api('POST', `/api/users/${viewer._id}/api-keys`, {
+    token, body: { name: 'too much', permissions: ['manage_users'] }
+  });
+  assert.equal(response.status, 400);
+});
+
+test('revoked, expired and unknown keys are refused', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'uma', ['admin']);
+  const { key, apiKey } = await ApiKeyManager.createKey(app.db, admin._id, { name: 'old', permissions: ['manage_users'] });
+  const expiring = await ApiKeyManager.createKey(app.db, admin._id, { name: 'expiring', permissions: ['manage_users'] });
+  await app.db.collection('apiKeys').updateOne({ _id: expiring.apiKey._id }, { $set: { expires_at: new Date(Date.now() - 1000) } });
+
+  assert.equal((await app.api('GET', '/api/users', { headers: { 'X-API-Key': key } })).status, 200);
+  await ApiKeyManager.revokeKey(app.db, admin._id, apiKey._id);
+
+  for (const candidate of [key, expiring.key, 'tgk_unknown_key']) {
+    const response = await app.api('GET', '/api/users', { headers: { 'X-API-Key': candidate } });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'AUTH_INVALID_API_KEY');
+  }
+});
+
+test('keys of disabled users are refused', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'vera', ['admin']);
+  const { key } = await ApiKeyManager.createKey(app.db, admin._id, { name: 'sync', permissions: ['manage_users'] });
+  await app.db.collection('users').updateOne({ _id: admin._id }, { $set: { active: false } });
+
+  const response = await app.api('GET', '/api/users', { headers: { 'X-API-Key': key } });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, 'AUTH_USER_DISABLED');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+const { MemoryDb } = require('./helpers/memoryDb');
+const AuditLog = require('../models/auditLog');
+
+test('diffs list changed fields with dotted paths', () => {
+  const id = new ObjectId();
+  const before = { _id: id, name: 'Spring', budget: 100, channels: [{ tagNumber: 'T1' }], startDate: new Date('2024-01-01') };
+  const after = { _id: id, name: 'Spring', budget: 150, channels: [{ tagNumber: 'T2' }, { tagNumber: 'T3' }], startDate: new Date('2024-01-01') };
+
+  assert.deepEqual(AuditLog.diff(before, after), [
+    { field: 'budget', from: 100, to: 150 },
+    { field: 'channels.0.tagNumber', from: 'T1', to: 'T2' },
+    { field: 'channels.1.tagNumber', from: null, to: 'T3' }
+  ]);
+  assert.deepEqual(AuditLog.diff(null, { name: 'New' }), [{ field: 'name', from: null, to: 'New' }]);
+  assert.deepEqual(AuditLog.diff(before, before), []);
+});
+
+test('secret fields only show that they changed', () => {
+  const changes = AuditLog.diff(
+    { password: 'hash-1', two_factor: { secret: 'A' }, email: 'a@example.com' },
+    { password: 'hash-2', two_factor: { secret: 'A' }, email: 'a@example.com' }
+  );
+  assert.deepEqual(changes, [{ field: 'password', from: '[redacted]', to: '[redacted]' }]);
+});
+
+test('updates without changes are not recorded', async () => {
+  const db = new MemoryDb();
+  assert.equal(await AuditLog.record(db, null, { action: 'update', entityType: 'user', before: { a: 1 }, after: { a: 1 } }), null);
+  const entry = await AuditLog.record(db, null, { action: 'delete', entityType: 'user', entityId: 'u1', before: { a: 1 } });
+  assert.equal(entry.actor_username, 'system');
+  assert.equal(await db.collection('auditLog').countDocuments({}), 1);
+});
+
+test('API changes are recorded with the actor and can be filtered', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'yara', ['admin']);
+  const target = await createUser(app.db, 'zack', ['viewer']);
+  const { token } = await startSession(app.db, admin);
+
+  const update = await app.api('PUT', `/api/users/${target._id}`, { token, body: { email: 'zack@example.org' } });
+  assert.equal(update.status, 200);
+
+  const log = await app.api('GET', `/api/audit?entityType=user&entityId=${target._id}&actor=yara`, { token });
+  assert.equal(log.status, 200);
+  assert.equal(log.body.total, 1);
+  const [entry] = log.body.entries;
+  assert.equal(entry.action, 'update');
+  assert.equal(entry.actor_id, admin._id.toString());
+  assert.deepEqual(entry.changes.find(change => change.field === 'email'), { field: 'email', from: 'zack@example.com', to: 'zack@example.org' });
+
+  const invalid = await app.api('GET', '/api/audit?from=yesterday', { token });
+  assert.equal(invalid.status, 400);
+  const viewerSession = await startSession(app.db, target);
+  assert.equal((await app.api('GET', '/api/audit', { token: viewerSession.token })).status, 403);
+});
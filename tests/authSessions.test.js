@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, signIn, startSession } = require('./helpers/testApp');
+
+test('refresh tokens are rotated and work once', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'alice', ['viewer']);
+  const login = await signIn(app.api, 'alice');
+
+  const first = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, login.refreshToken);
+
+  const second = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.equal(second.status, 200);
+
+  const me = await app.api('GET', '/api/auth/me', { token: second.body.token });
+  assert.equal(me.status, 200);
+});
+
+test('a refresh token replaced moments ago is refused without ending the session', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'bob', ['viewer']);
+  const login = await signIn(app.api, 'bob');
+
+  const rotated = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+  const otherTab = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+  assert.equal(otherTab.status, 401);
+
+  const next = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+  assert.equal(next.status, 200);
+});
+
+test('reusing an old refresh token revokes the session', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'carol', ['viewer']);
+  const login = await signIn(app.api, 'carol');
+
+  const rotated = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+  // Leave the grace period for concurrent tabs
+  await app.db.collection('sessions').updateOne(
+    {},
+    { $set: { refresh_rotated_at: new Date(Date.now() - 5 * 60 * 1000) } }
+  );
+
+  const reused = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+  assert.equal(reused.status, 401);
+
+  const session = await app.db.collection('sessions').findOne({});
+  assert.ok(session.revoked_at);
+  assert.equal(session.revoked_reason, 'refresh_token_reused');
+
+  const stolen = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+  assert.equal(stolen.status, 401);
+  const me = await app.api('GET', '/api/auth/me', { token: rotated.body.token });
+  assert.equal(me.status, 401);
+});
+
+test('logout revokes the session behind both tokens', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'dave', ['viewer']);
+  const login = await signIn(app.api, 'dave');
+
+  const logout = await app.api('POST', '/api/auth/logout', { token: login.token });
+  assert.equal(logout.status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: login.token })).status, 401);
+  assert.equal((await app.api('POST', '/api/auth/refresh', { body: { refreshToken: login.refreshToken } })).status, 401);
+});
+
+test('users list and revoke their own sessions only', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'erin', ['viewer']);
+  const frank = await createUser(app.db, 'frank', ['viewer']);
+  const laptop = await signIn(app.api, 'erin');
+  const phone = await signIn(app.api, 'erin');
+  const other = await signIn(app.api, 'frank');
+
+  const list = await app.api('GET', '/api/auth/sessions', { token: laptop.token });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.length, 2);
+  assert.equal(list.body.filter(session => session.current).length, 1);
+  const phoneSession = list.body.find(session => !session.current);
+
+  const otherSessions = await app.db.collection('sessions').find({ user_id: frank._id }).toArray();
+  const foreign = await app.api('DELETE', `/api/auth/sessions/${otherSessions[0]._id}`, { token: laptop.token });
+  assert.equal(foreign.status, 404);
+
+  const revoked = await app.api('DELETE', `/api/auth/sessions/${phoneSession._id}`, { token: laptop.token });
+  assert.equal(revoked.status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: phone.token })).status, 401);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: laptop.token })).status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: other.token })).status, 200);
+});
+
+test('administrators can end all sessions of a user', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'root', ['admin']);
+  const user = await createUser(app.db, 'gina', ['viewer']);
+  const { token } = await startSession(app.db, admin);
+  const first = await signIn(app.api, 'gina');
+  const second = await signIn(app.api, 'gina');
+
+  const response = await app.api('POST', `/api/users/${user._id}/sessions/revoke`, { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.revoked, 2);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: first.token })).status, 401);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: second.token })).status, 401);
+});
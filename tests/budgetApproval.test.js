@@ -0,0 +1,96 @@
+delete process.env.BUDGET_APPROVAL_THRESHOLDS;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { MemoryDb } = require('./helpers/memoryDb');
+const BudgetApproval = require('../models/budgetApproval');
+
+const requester = { user: { _id: new ObjectId(), username: 'planner' } };
+const firstApprover = { user: { _id: new ObjectId(), username: 'finance' } };
+const secondApprover = { user: { _id: new ObjectId(), username: 'director' } };
+
+const later = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('each threshold a budget reaches needs one approval', () => {
+  assert.deepEqual(BudgetApproval.THRESHOLDS, [100000, 500000]);
+  assert.equal(BudgetApproval.requiredApprovals(99999), 0);
+  assert.equal(BudgetApproval.requiredApprovals(100000), 1);
+  assert.equal(BudgetApproval.requiredApprovals('750000'), 2);
+  assert.equal(BudgetApproval.requiredApprovals(undefined), 0);
+});
+
+test('saving a campaign keeps one request for its current budget', async () => {
+  const db = new MemoryDb();
+  const campaign = { campaignId: 'C1', name: 'Launch', budget: 200000 };
+
+  const first = await BudgetApproval.syncRequest(db, requester, campaign);
+  assert.equal(first.status, 'pending');
+  assert.equal(first.requiredApprovals, 1);
+  assert.equal((await BudgetApproval.syncRequest(db, requester, campaign))._id.toString(), first._id.toString());
+
+  // A pending request follows the budget
+  const reopened = await BudgetApproval.syncRequest(db, requester, { ...campaign, budget: 600000 });
+  assert.equal(reopened._id.toString(), first._id.toString());
+  assert.equal(reopened.requiredApprovals, 2);
+  assert.equal(await db.collection('approvals').countDocuments({}), 1);
+
+  // and goes away below the thresholds
+  assert.equal(await BudgetApproval.syncRequest(db, requester, { ...campaign, budget: 5000 }), null);
+  assert.equal(await db.collection('approvals').countDocuments({}), 0);
+});
+
+test('approvals come from different users other than the requester', async () => {
+  const db = new MemoryDb();
+  const approval = await BudgetApproval.syncRequest(db, requester, { campaignId: 'C2', budget: 600000 });
+
+  assert.equal(BudgetApproval.checkDecision(requester, approval, 'approve').status, 403);
+  assert.equal(BudgetApproval.checkDecision(firstApprover, approval, 'reject', ' ').status, 400);
+  assert.equal(BudgetApproval.checkDecision(firstApprover, approval, 'maybe').status, 400);
+
+  const once = await BudgetApproval.decide(db, firstApprover, approval, 'approve', 'Fine');
+  assert.equal(once.status, 'pending');
+  assert.equal(BudgetApproval.checkDecision(firstApprover, once, 'approve').status, 409);
+  assert.match(BudgetApproval.checkActivation({ budget: 600000 }, once)[0].message, /1 of 2 approvals so far/);
+  // A decision on a request that changed in the meantime is not recorded
+  assert.equal(await BudgetApproval.decide(db, secondApprover, approval, 'approve'), null);
+
+  const twice = await BudgetApproval.decide(db, secondApprover, once, 'approve');
+  assert.equal(twice.status, 'approved');
+  assert.deepEqual(BudgetApproval.checkActivation({ budget: 600000 }, twice), []);
+  assert.equal(BudgetApproval.checkDecision(secondApprover, twice, 'approve').status, 409);
+});
+
+test('a rejection rejects the request until the budget changes', async () => {
+  const db = new MemoryDb();
+  const campaign = { campaignId: 'C3', budget: 150000 };
+  const approval = await BudgetApproval.syncRequest(db, requester, campaign);
+  const rejected = await BudgetApproval.decide(db, firstApprover, approval, 'reject', 'Too high');
+
+  assert.equal(rejected.status, 'rejected');
+  assert.match(BudgetApproval.checkActivation(campaign, rejected)[0].message, /it was rejected/);
+  assert.equal((await BudgetApproval.syncRequest(db, requester, campaign)).status, 'rejected');
+
+  await later();
+  const again = await BudgetApproval.syncRequest(db, requester, { ...campaign, budget: 120000 });
+  assert.equal(again.status, 'pending');
+  assert.equal(await db.collection('approvals').countDocuments({ campaignId: 'C3' }), 2);
+});
+
+test('Active campaigns whose budget is raised to an unapproved amount must go back to Planned', async () => {
+  const db = new MemoryDb();
+  const previous = { campaignId: 'C4', status: 'Active', budget: 50000 };
+  const raised = { ...previous, budget: 200000 };
+
+  const pending = await BudgetApproval.syncRequest(db, requester, raised);
+  assert.equal(BudgetApproval.mustLeaveActive(raised, previous, pending), true);
+
+  const approved = await BudgetApproval.decide(db, firstApprover, pending, 'approve');
+  assert.equal(BudgetApproval.mustLeaveActive(raised, previous, approved), false);
+
+  // Lowering the budget, raising it below the thresholds and campaigns that are not Active keep their status
+  assert.equal(BudgetApproval.mustLeaveActive({ ...previous, budget: 150000 }, { ...previous, budget: 600000 }, null), false);
+  assert.equal(BudgetApproval.mustLeaveActive({ ...previous, budget: 90000 }, previous, null), false);
+  assert.equal(BudgetApproval.mustLeaveActive({ ...raised, status: 'Planned' }, { ...previous, status: 'Planned' }, pending), false);
+  assert.equal(BudgetApproval.mustLeaveActive(raised, null, pending), false);
+});
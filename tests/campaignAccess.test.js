@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDb } = require('./helpers/memoryDb');
+const CampaignAccess = require('../models/campaignAccess');
+
+async function setup() {
+  const db = new MemoryDb();
+  await db.collection('employees').insertMany([
+    { employee_id: 'E1', name: 'Wendy Wells' },
+    { employee_id: 'E2', name: 'Xavier Xu' }
+  ]);
+  return db;
+}
+
+function request(permissions, employeeId) {
+  return { permissions, user: { username: 'someone', employee_id: employeeId } };
+}
+
+test('edit_campaigns edits every campaign', async () => {
+  const db = await setup();
+  const req = request({ edit_campaigns: true });
+  assert.equal(await CampaignAccess.canEdit(db, req, { jobAssignedTo: 'Xavier Xu' }), true);
+  assert.equal(CampaignAccess.canReassign(req, { jobAssignedTo: 'Xavier Xu' }, 'Wendy Wells'), true);
+});
+
+test('edit_own_campaigns edits campaigns assigned to the linked employee only', async () => {
+  const db = await setup();
+  const req = request({ edit_own_campaigns: true }, 'E1');
+
+  assert.equal(await CampaignAccess.canEdit(db, req, { jobAssignedTo: ' wendy wells ' }), true);
+  assert.equal(await CampaignAccess.canEdit(db, req, { jobAssignedTo: 'Xavier Xu' }), false);
+  assert.equal(await CampaignAccess.canEdit(db, req, { jobAssignedTo: '' }), false);
+});
+
+test('users without a linked employee or without edit permissions edit nothing', async () => {
+  const db = await setup();
+  assert.equal(await CampaignAccess.canEdit(db, request({ edit_own_campaigns: true }), { jobAssignedTo: 'Wendy Wells' }), false);
+  assert.equal(await CampaignAccess.canEdit(db, request({ edit_own_campaigns: true }, 'E9'), { jobAssignedTo: 'Wendy Wells' }), false);
+  assert.equal(await CampaignAccess.canEdit(db, request({ view_campaigns: true }, 'E1'), { jobAssignedTo: 'Wendy Wells' }), false);
+});
+
+test('edit_own_campaigns cannot hand a campaign to someone else', () => {
+  const req = request({ edit_own_campaigns: true }, 'E1');
+  const campaign = { jobAssignedTo: 'Wendy Wells' };
+
+  assert.equal(CampaignAccess.canReassign(req, campaign, undefined), true);
+  assert.equal(CampaignAccess.canReassign(req, campaign, 'wendy wells'), true);
+  assert.equal(CampaignAccess.canReassign(req, campaign, 'Xavier Xu'), false);
+});
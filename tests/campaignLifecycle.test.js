@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CampaignLifecycle = require('../models/campaignLifecycle');
+
+function active(overrides = {}) {
+  return {
+    campaignId: 'C1',
+    status: 'Active',
+    workStartDate: '2026-03-01',
+    startDate: '2026-03-10',
+    channels: [{ type: 'Radio', tagNumber: 'R-1' }, { type: 'SMS', tagNumber: '' }],
+    ...overrides
+  };
+}
+
+const fields = errors => errors.map(error => error.field);
+
+test('only the listed transitions are allowed, and each needs a reason', () => {
+  const planned = { status: 'Planned', workStartDate: '2026-03-01', startDate: '2026-03-10', channels: [{ tagNumber: 'R-1' }] };
+
+  assert.deepEqual(CampaignLifecycle.checkTransition(planned, 'Active', 'Launch'), []);
+  assert.match(CampaignLifecycle.checkTransition(planned, 'Completed', 'Done')[0].message, /^Cannot move a Planned campaign to Completed \(allowed: /);
+  assert.equal(CampaignLifecycle.checkTransition(planned, 'Planned', 'Again')[0].message, 'Campaign is already Planned');
+  assert.deepEqual(fields(CampaignLifecycle.checkTransition(planned, 'Paused', 'x')), ['status']);
+  assert.deepEqual(fields(CampaignLifecycle.checkTransition(planned, 'Cancelled', ' ')), ['reason']);
+  assert.deepEqual(CampaignLifecycle.getAllowedTransitions('Completed'), []);
+  // Campaigns saved before the lifecycle existed can move anywhere
+  assert.equal(CampaignLifecycle.getAllowedTransitions(undefined).length, 5);
+});
+
+test('entering a status checks what it needs', () => {
+  const planned = { status: 'Planned', workStartDate: '2026-03-01', channels: [{ tagNumber: ' ' }] };
+
+  assert.deepEqual(fields(CampaignLifecycle.checkTransition(planned, 'Active', 'Launch')), ['startDate', 'channels']);
+  assert.deepEqual(fields(CampaignLifecycle.checkRequirements({}, 'Completed')), ['startDate', 'endDate']);
+  assert.deepEqual(CampaignLifecycle.checkRequirements({}, 'Suggested'), []);
+});
+
+test('new campaigns start as Suggested or Planned with what that status needs', () => {
+  assert.deepEqual(CampaignLifecycle.checkSavedStatus({ status: 'Suggested' }, null), []);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ status: 'Planned' }, null)), ['workStartDate']);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus(active(), null)), ['status']);
+});
+
+test('saves keep the status and what it needs', () => {
+  const existing = active();
+
+  assert.deepEqual(CampaignLifecycle.checkSavedStatus({ name: 'Renamed' }, existing), []);
+  assert.deepEqual(CampaignLifecycle.checkSavedStatus({ status: 'Active', channels: [{ tagNumber: 'R-2' }] }, existing), []);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ status: 'Completed' }, existing)), ['status']);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ startDate: '' }, existing)), ['startDate']);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ startDate: null }, existing)), ['startDate']);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ channels: [{ type: 'SMS', tagNumber: '' }] }, existing)), ['channels']);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ channels: [] }, existing)), ['channels']);
+});
+
+test('restored versions keep what the status needs', () => {
+  const current = active();
+  const restored = active({ channels: [{ type: 'Radio', tagNumber: 'R-1' }] });
+  delete restored.startDate;
+
+  assert.deepEqual(fields(CampaignLifecycle.checkKeptRequirements(restored, current)), ['startDate']);
+  assert.deepEqual(CampaignLifecycle.checkKeptRequirements(active({ name: 'Old name' }), current), []);
+});
+
+test('requirements a campaign never met do not block its edits', () => {
+  // Made Active before the lifecycle existed, without a start date
+  const legacy = active({ startDate: '' });
+
+  assert.deepEqual(CampaignLifecycle.checkSavedStatus({ name: 'Renamed' }, legacy), []);
+  assert.deepEqual(fields(CampaignLifecycle.checkSavedStatus({ channels: [] }, legacy)), ['channels']);
+});
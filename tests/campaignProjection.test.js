@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CampaignProjection = require('../models/campaignProjection');
+
+const viewer = { permissions: { view_campaigns: true } };
+const accountant = { permissions: { view_campaigns: true, view_financials: true } };
+
+function campaign() {
+  return {
+    campaignId: 'C1',
+    budget: 5000,
+    goals: { sales: 100, leads: 10 },
+    achieved: { sales: 50, leads: 4 },
+    channels: [{ tagNumber: 'T1', type: 'Radio', cost: 700 }, { tagNumber: 'T2', type: 'Print', cost: 300 }]
+  };
+}
+
+test('campaigns lose their financial fields without view_financials', () => {
+  const projected = CampaignProjection.forRequest(viewer, [campaign()])[0];
+
+  assert.equal(projected.budget, undefined);
+  assert.deepEqual(projected.goals, { leads: 10 });
+  assert.deepEqual(projected.achieved, { leads: 4 });
+  assert.deepEqual(projected.channels, [{ tagNumber: 'T1', type: 'Radio' }, { tagNumber: 'T2', type: 'Print' }]);
+  assert.deepEqual(CampaignProjection.forRequest(accountant, campaign()), campaign());
+  assert.equal(CampaignProjection.forRequest(viewer, null), null);
+});
+
+test('saves without view_financials keep the stored financial values', () => {
+  const existing = campaign();
+  const submitted = {
+    budget: 1,
+    goals: { sales: 1, leads: 12 },
+    achieved: { leads: 5 },
+    channels: [{ tagNumber: 'T2', type: 'Print', cost: 1 }, { type: 'Online', cost: 1 }]
+  };
+
+  const saved = CampaignProjection.preserveFinancials(viewer, submitted, existing);
+  assert.equal('budget' in saved, false);
+  assert.deepEqual(saved.goals, { sales: 100, leads: 12 });
+  assert.deepEqual(saved.achieved, { leads: 5, sales: 50 });
+  // Matched by tagNumber, then by position
+  assert.equal(saved.channels[0].cost, 300);
+  assert.equal(saved.channels[1].cost, 300);
+
+  const created = CampaignProjection.preserveFinancials(viewer, { budget: 9, channels: [{ type: 'Radio', cost: 9 }] }, null);
+  assert.deepEqual(created, { channels: [{ type: 'Radio' }] });
+
+  const trusted = { budget: 9 };
+  assert.equal(CampaignProjection.preserveFinancials(accountant, trusted, existing).budget, 9);
+});
+
+test('audit entries hide financial changes without view_financials', () => {
+  const entry = {
+    entity_type: 'campaign',
+    changes: [
+      { field: 'budget', from: 1, to: 2 },
+      { field: 'channels.0.cost', from: 1, to: 2 },
+      { field: 'goals.sales', from: 1, to: 2 },
+      { field: 'goals.leads', from: 1, to: 2 }
+    ]
+  };
+
+  assert.deepEqual(CampaignProjection.auditEntryForRequest(viewer, entry).changes, [{ field: 'goals.leads', from: 1, to: 2 }]);
+  assert.equal(CampaignProjection.auditEntryForRequest(accountant, entry).changes.length, 4);
+  const userEntry = { entity_type: 'user', changes: [{ field: 'budget', from: 1, to: 2 }] };
+  assert.equal(CampaignProjection.auditEntryForRequest(viewer, userEntry), userEntry);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDb } = require('./helpers/memoryDb');
+const CampaignQuery = require('../models/campaignQuery');
+
+const accountant = { view_campaigns: true, view_financials: true };
+const viewer = { view_campaigns: true };
+
+function request(query, permissions = accountant, user = {}) {
+  return { query, permissions, user };
+}
+
+async function seed() {
+  const db = new MemoryDb();
+  const campaigns = [];
+  for (let i = 1; i <= 7; i++) {
+    campaigns.push({
+      campaignId: `C${i}`,
+      name: i % 2 ? `Spring sale ${i}` : `Winter promo ${i}`,
+      status: i <= 3 ? 'Active' : 'Planned',
+      jobAssignedTo: i === 1 ? 'Nina North' : 'Otto Olsen',
+      // C4 has a zero budget, C5 none; C6 and C7 share one
+      budget: i === 5 ? undefined : [null, 100, 300, 200, 0, null, 500, 500][i],
+      startDate: i === 4 ? '' : `2024-0${i}-01`,
+      channels: [{ type: i % 2 ? 'Radio' : 'Print', tagNumber: `TAG-${i}` }]
+    });
+  }
+  campaigns.forEach(campaign => campaign.budget === undefined && delete campaign.budget);
+  await db.collection('campaigns').insertMany(campaigns);
+  await db.collection('employees').insertOne({ employee_id: 'E1', name: 'Nina North' });
+  return db;
+}
+
+async function ids(db, query, permissions) {
+  const req = request(query, permissions);
+  const { filter, errors } = await CampaignQuery.buildFilter(db, req);
+  assert.deepEqual(errors, []);
+  const { sort } = CampaignQuery.parsePaging(req);
+  return (await CampaignQuery.findAll(db, filter, { sort })).map(campaign => campaign.campaignId);
+}
+
+test('filters match the campaigns table filters', async () => {
+  const db = await seed();
+
+  assert.deepEqual(await ids(db, { name: 'SPRING' }), ['C1', 'C3', 'C5', 'C7']);
+  assert.deepEqual(await ids(db, { status: 'Active', channel: 'Radio' }), ['C1', 'C3']);
+  assert.deepEqual(await ids(db, { tagNumber: 'tag-6' }), ['C6']);
+  assert.deepEqual(await ids(db, { name: '.*' }), []);
+  // Campaigns without the date pass a date range
+  assert.deepEqual(await ids(db, { startDateFrom: '2024-03-01', startDateTo: '2024-05-31' }), ['C3', 'C4', 'C5']);
+  // A number bound leaves out empty and zero values; ties are ordered by _id
+  assert.deepEqual(await ids(db, { budgetMin: '200', sort: 'budget', order: 'desc' }), ['C7', 'C6', 'C2', 'C3']);
+  assert.deepEqual(await ids(db, { budgetMax: '150' }), ['C1']);
+});
+
+test('financial fields cannot be used without view_financials', async () => {
+  const db = await seed();
+  assert.deepEqual(await ids(db, { budgetMin: '400' }, viewer), ['C1', 'C2', 'C3', 'C4', 'C5', 'C6', 'C7']);
+  assert.equal(CampaignQuery.parsePaging(request({ sort: 'budget' }, viewer)).sort.field, '_id');
+});
+
+test('mine=true returns the campaigns of the linked employee', async () => {
+  const db = await seed();
+  const { filter } = await CampaignQuery.buildFilter(db, request({ mine: 'true' }, viewer, { employee_id: 'E1' }));
+  assert.deepEqual((await CampaignQuery.findAll(db, filter, { sort: { field: '_id', direction: 1 } })).map(c => c.campaignId), ['C1']);
+
+  const unlinked = await CampaignQuery.buildFilter(db, request({ mine: 'true' }, viewer, {}));
+  assert.deepEqual(await CampaignQuery.findAll(db, unlinked.filter, { sort: { field: '_id', direction: 1 } }), []);
+});
+
+test('invalid parameters are reported', async () => {
+  const db = await seed();
+  const { errors } = await CampaignQuery.buildFilter(db, request({ startDateFrom: '01/02/2024', budgetMax: 'lots' }));
+  assert.deepEqual(errors, ['startDateFrom must be a date (YYYY-MM-DD)', 'budgetMax must be a number']);
+
+  const paging = CampaignQuery.parsePaging(request({ sort: 'password', order: 'up', limit: '500', cursor: 'x' }));
+  assert.equal(paging.errors.length, 4);
+  assert.equal(CampaignQuery.parsePaging(request({})).paginated, false);
+});
+
+test('cursor pages cover every campaign once, in both directions and with ties and missing values', async () => {
+  const db = await seed();
+  for (const order of ['asc', 'desc']) {
+    for (const sort of ['budget', 'startDate', '_id']) {
+      const expected = await ids(db, { sort, order });
+      const seen = [];
+      let cursor;
+      do {
+        const paging = CampaignQuery.parsePaging(request({ sort, order, limit: '2', ...(cursor ? { cursor } : {}) }));
+        assert.deepEqual(paging.errors, []);
+        const page = await CampaignQuery.findPage(db, {}, paging);
+        assert.equal(page.total, 7);
+        seen.push(...page.items.map(campaign => campaign.campaignId));
+        cursor = page.nextCursor;
+      } while (cursor);
+      assert.deepEqual(seen, expected, `${sort} ${order}`);
+    }
+  }
+});
+
+test('text numbers are converted to numbers on startup', async () => {
+  const db = new MemoryDb();
+  await db.collection('campaigns').insertMany([
+    { campaignId: 'C1', budget: '5000', goals: { sales: ' 12 ', impressions: '' }, achieved: { sales: 3 } },
+    { campaignId: 'C2', budget: 'n/a' }
+  ]);
+
+  const { warn, log } = console;
+  console.warn = () => {};
+  console.log = () => {};
+  try {
+    await CampaignQuery.migrateNumberFields(db);
+  } finally {
+    Object.assign(console, { warn, log });
+  }
+
+  const [first, second] = await db.collection('campaigns').find({}).sort({ campaignId: 1 }).toArray();
+  assert.deepEqual([first.budget, first.goals.sales, first.goals.impressions, first.achieved.sales], [5000, 12, 0, 3]);
+  assert.equal(second.budget, 'n/a');
+  const entry = await db.collection('auditLog').findOne({ entity_id: 'C1' });
+  assert.equal(entry.details.migration, 'number-fields');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const CampaignSchema = require('../models/campaignSchema');
+
+function campaign(overrides = {}) {
+  return {
+    name: 'Spring launch',
+    status: 'Planned',
+    workStartDate: '2026-03-01',
+    targetAudience: { age: '25-40', gender: 'Everyone' },
+    channels: [{ type: 'Radio', adName: 'Morning spot', station: 'FM 101', tagNumber: 'R-1' }],
+    ...overrides
+  };
+}
+
+const fields = errors => errors.map(error => error.field);
+
+test('valid campaigns have no errors', () => {
+  assert.deepEqual(CampaignSchema.validate(campaign()), []);
+});
+
+test('required, enum, date and number rules report the field', () => {
+  const errors = CampaignSchema.validate(campaign({
+    status: 'Paused',
+    startDate: '2026-02-30',
+    budget: -1,
+    targetAudience: { age: '25-40' }
+  }));
+
+  assert.deepEqual(fields(errors), ['startDate', 'budget', 'status', 'targetAudience.gender']);
+  assert.match(errors[2].message, /^Status must be one of: Active, /);
+});
+
+test('requiredWhen and notBefore depend on the sibling fields', () => {
+  const planned = CampaignSchema.validate(campaign({ workStartDate: '' }));
+  assert.deepEqual(planned, [{ field: 'workStartDate', message: 'Work Start Date is required when Status is Planned' }]);
+  assert.deepEqual(CampaignSchema.validate(campaign({ status: 'Suggested', workStartDate: '' })), []);
+
+  const dates = CampaignSchema.validate(campaign({ startDate: '2026-04-10', endDate: '2026-04-01' }));
+  assert.deepEqual(fields(dates), ['endDate']);
+});
+
+test('channel types add their own required fields', () => {
+  const errors = CampaignSchema.validate(campaign({
+    channels: [
+      { type: 'Radio', adName: 'Spot' },
+      { type: 'Print Media', adName: 'Ad', publication: 'Daily', area: 'City', qty: 0 },
+      { type: 'Billboard', adName: 'Board' }
+    ]
+  }));
+
+  assert.deepEqual(fields(errors), ['channels[0].station', 'channels[1].qty', 'channels[2].type']);
+  assert.equal(errors[0].message, 'Channel 1 (Radio): Station is required');
+});
+
+test('unknown fields are rejected', () => {
+  const errors = CampaignSchema.validate(campaign({ owner: 'x', channels: [{ type: 'SMS', adName: 'Blast', sender: 'x' }] }));
+  assert.deepEqual(fields(errors), ['owner', 'channels[0].sender']);
+});
+
+test('partial updates check only the fields they send', () => {
+  assert.deepEqual(CampaignSchema.validate({ name: 'Renamed' }, { partial: true }), []);
+  assert.deepEqual(fields(CampaignSchema.validate({ budget: 'a lot' }, { partial: true })), ['budget']);
+});
+
+test('fields a stored campaign already has are accepted when sent back unchanged', () => {
+  const stored = {
+    _id: new ObjectId(),
+    ...campaign(),
+    region: 'North',
+    legacy: { source: 'import', tags: ['a', 'b'] },
+    createdAt: new Date('2024-01-01'),
+    channels: [
+      // Saved before Radio required a station
+      { type: 'Radio', adName: 'Old spot', tagNumber: 'R-0' },
+      { type: 'SMS', adName: 'Blast', sender: 'Shop', tagNumber: 'S-1' }
+    ]
+  };
+  const update = {
+    name: 'Renamed',
+    region: 'North',
+    legacy: { tags: ['a', 'b'], source: 'import' },
+    channels: [
+      { tagNumber: 'S-1', sender: 'Shop', adName: 'Blast again', type: 'SMS' },
+      { adName: 'Old spot', type: 'Radio', tagNumber: 'R-0' }
+    ]
+  };
+  assert.deepEqual(CampaignSchema.validate(update, { partial: true, stored }), []);
+
+  // Changed or new values outside the schema, and edited channels, are still checked
+  const changed = CampaignSchema.validate({
+    region: 'South',
+    legacy: { source: 'import', tags: ['a'] },
+    origin: 'web',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    channels: [
+      { type: 'SMS', adName: 'Blast', sender: 'Other', tagNumber: 'S-1' },
+      { type: 'Radio', adName: 'Old spot, edited', tagNumber: 'R-0' }
+    ]
+  }, { partial: true, stored });
+  assert.deepEqual(fields(changed), ['region', 'legacy', 'origin', 'createdAt', 'channels[0].sender', 'channels[1].station']);
+});
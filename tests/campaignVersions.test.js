@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { MemoryDb } = require('./helpers/memoryDb');
+const CampaignVersions = require('../models/campaignVersions');
+
+const req = { user: { _id: new ObjectId(), username: 'planner' } };
+
+function campaign(overrides = {}) {
+  return {
+    _id: new ObjectId(),
+    campaignId: 'C1',
+    name: 'Spring launch',
+    status: 'Planned',
+    workStartDate: '2026-03-01',
+    budget: 5000,
+    targetAudience: { age: '25-40', gender: 'Everyone' },
+    channels: [{ type: 'Radio', adName: 'Spot', station: 'FM 101', tagNumber: 'R-1' }],
+    statusHistory: [{ from: null, to: 'Planned' }],
+    ...overrides
+  };
+}
+
+async function versionsDb() {
+  const db = new MemoryDb();
+  await db.collection('campaignVersions').createIndex({ campaignId: 1, version: -1 }, { unique: true });
+  return db;
+}
+
+test('snapshots number the versions of each campaign', async () => {
+  const db = await versionsDb();
+  await CampaignVersions.snapshot(db, req, campaign(), 'update');
+  await CampaignVersions.snapshot(db, req, campaign({ name: 'Renamed' }), 'transition');
+  const other = await CampaignVersions.snapshot(db, req, campaign({ campaignId: 'C2' }), 'delete');
+
+  assert.equal(other.version, 1);
+  assert.equal(other.campaign._id, undefined);
+  const listed = await CampaignVersions.list(db, 'C1');
+  assert.deepEqual(listed.map(version => [version.version, version.source, version.savedBy]), [[2, 'transition', 'planner'], [1, 'update', 'planner']]);
+  assert.equal(listed[0].campaign, undefined);
+  assert.equal((await CampaignVersions.find(db, 'C1', '2')).campaign.name, 'Renamed');
+  assert.equal(await CampaignVersions.find(db, 'C1', 'latest'), null);
+});
+
+test('a snapshot that loses the race for a number takes the next one', async () => {
+  const db = await versionsDb();
+  const versions = db.collection('campaignVersions');
+  await CampaignVersions.snapshot(db, req, campaign(), 'update');
+
+  // The first lookup misses the version another save just wrote
+  const findOne = versions.findOne.bind(versions);
+  let stale = true;
+  versions.findOne = async (...args) => {
+    if (stale) {
+      stale = false;
+      return null;
+    }
+    return findOne(...args);
+  };
+
+  const saved = await CampaignVersions.snapshot(db, req, campaign({ name: 'Second' }), 'update');
+  assert.equal(saved.version, 2);
+  assert.equal(await versions.countDocuments({ campaignId: 'C1' }), 2);
+});
+
+test('snapshots give up after repeated duplicate numbers', async () => {
+  const db = await versionsDb();
+  const versions = db.collection('campaignVersions');
+  await CampaignVersions.snapshot(db, req, campaign(), 'update');
+  versions.findOne = async () => null;
+
+  await assert.rejects(CampaignVersions.snapshot(db, req, campaign(), 'update'), error => error.code === 11000);
+  assert.equal(await versions.countDocuments({}), 1);
+});
+
+test('diffs leave out the lifecycle and match channels by reference code', () => {
+  const from = campaign({
+    channels: [
+      { type: 'Radio', adName: 'Spot', station: 'FM 101', tagNumber: 'R-1' },
+      { type: 'SMS', adName: 'Blast', tagNumber: 'S-1' }
+    ]
+  });
+  const to = campaign({
+    _id: from._id,
+    name: 'Renamed',
+    status: 'Active',
+    statusHistory: [],
+    channels: [
+      { type: 'Email', adName: 'Newsletter', platform: 'Mailer', tagNumber: 'E-1' },
+      { type: 'Radio', adName: 'Spot', station: 'FM 102', tagNumber: 'R-1' }
+    ]
+  });
+
+  const diff = CampaignVersions.diff(from, to);
+  assert.deepEqual(diff.fields.map(field => field.field), ['name']);
+  assert.deepEqual(diff.channels.map(channel => [channel.index, channel.label, channel.change]), [
+    [0, 'Email E-1', 'added'],
+    [1, 'Radio R-1', 'changed'],
+    [1, 'SMS S-1', 'removed']
+  ]);
+  assert.deepEqual(diff.channels[1].fields, [{ field: 'station', from: 'FM 101', to: 'FM 102' }]);
+});
+
+test('restored versions keep the current identity and lifecycle and are validated', () => {
+  const current = campaign({ status: 'Active', startDate: '2026-03-10', statusHistory: [{ to: 'Planned' }, { to: 'Active' }] });
+  const version = { campaign: { ...campaign({ campaignId: 'OLD', name: 'Old name' }), status: 'Planned' } };
+  delete version.campaign._id;
+
+  const restored = CampaignVersions.restoredCampaign(version, current);
+  assert.equal(restored._id, current._id);
+  assert.equal(restored.campaignId, 'C1');
+  assert.equal(restored.name, 'Old name');
+  assert.equal(restored.status, 'Active');
+  assert.equal(restored.statusHistory, current.statusHistory);
+  assert.deepEqual(CampaignVersions.validateRestored(restored, current), []);
+
+  // Versions saved before a rule existed may not meet it
+  const old = CampaignVersions.restoredCampaign({ campaign: { ...version.campaign, budget: '5000', notes: 'x' } }, current);
+  assert.deepEqual(CampaignVersions.validateRestored(old, current).map(error => error.field), ['notes', 'budget']);
+});
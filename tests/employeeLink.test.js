@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+
+test('users are linked to one employee each and see the profile on /me', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await app.db.collection('employees').insertOne({
+    employee_id: 'E7', name: 'Nina North', email: 'nina@example.com', department: 'Marketing', position: 'Planner'
+  });
+  const admin = await createUser(app.db, 'otto', ['admin']);
+  const nina = await createUser(app.db, 'nina', ['editor']);
+  const other = await createUser(app.db, 'pete', ['editor']);
+  const { token } = await startSession(app.db, admin);
+  const ninaSession = await startSession(app.db, nina);
+
+  const unknown = await app.api('PUT', `/api/users/${nina._id}/employee`, { token, body: { employee_id: 'E99' } });
+  assert.equal(unknown.status, 400);
+
+  const linked = await app.api('PUT', `/api/users/${nina._id}/employee`, { token, body: { employee_id: 'E7' } });
+  assert.equal(linked.status, 200);
+  const me = await app.api('GET', '/api/auth/me', { token: ninaSession.token });
+  assert.deepEqual(me.body.employee, {
+    employee_id: 'E7', name: 'Nina North', email: 'nina@example.com', phone: '', department: 'Marketing', position: 'Planner'
+  });
+
+  const taken = await app.api('PUT', `/api/users/${other._id}/employee`, { token, body: { employee_id: 'E7' } });
+  assert.equal(taken.status, 409);
+
+  const unlinked = await app.api('DELETE', `/api/users/${nina._id}/employee`, { token });
+  assert.equal(unlinked.status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: ninaSession.token })).body.employee, null);
+  assert.equal((await app.api('PUT', `/api/users/${other._id}/employee`, { token, body: { employee_id: 'E7' } })).status, 200);
+
+  const entries = await app.db.collection('auditLog').find({ entity_id: nina._id.toString() }).toArray();
+  assert.deepEqual(entries.map(entry => entry.changes[0].to), ['E7', null]);
+});
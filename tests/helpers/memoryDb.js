@@ -0,0 +1,399 @@
+// In-memory stand-in for the parts of the MongoDB Db API the models use, so the tests run without a
+// database server. Query and update semantics follow MongoDB where the models depend on them: null
+// matches missing fields, array fields match any element, numbers and strings never compare with
+// each other, and unique indexes reject duplicates with error code 11000.
+const { ObjectId } = require('mongodb');
+
+// BSON sort order of the types the models store
+const TYPE_ORDER = ['null', 'number', 'string', 'object', 'array', 'objectId', 'boolean', 'date', 'regex'];
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof ObjectId) return 'objectId';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : typeof value;
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
+
+function clone(value) {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = clone(value[key]); });
+    return copy;
+  }
+  return value;
+}
+
+function compare(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+  switch (typeA) {
+    case 'null': return 0;
+    case 'objectId': return a.toHexString().localeCompare(b.toHexString());
+    case 'date': return a.getTime() - b.getTime();
+    case 'array':
+    case 'object': return JSON.stringify(a).localeCompare(JSON.stringify(b));
+    default: return a < b ? -1 : a > b ? 1 : 0;
+  }
+}
+
+function equals(a, b) {
+  return typeOf(a) === typeOf(b) && compare(a, b) === 0;
+}
+
+// Values at a dotted path; arrays on the way contribute every element ('channels.tagNumber')
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    const next = [];
+    values.forEach(value => {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        value.forEach(item => { if (isPlainObject(item)) next.push(item[key]); });
+      } else if (value !== null && value !== undefined && typeof value === 'object') {
+        next.push(value[key]);
+      } else {
+        next.push(undefined);
+      }
+    });
+    values = next;
+  }
+  return values;
+}
+
+// A stored value and, for arrays, each of its elements - what a query condition is tested against
+function candidates(doc, path) {
+  const result = [];
+  valuesAt(doc, path).forEach(value => {
+    result.push(value);
+    if (Array.isArray(value)) result.push(...value);
+  });
+  return result;
+}
+
+function comparable(a, b) {
+  const typeA = typeOf(a);
+  return typeA !== 'null' && typeA === typeOf(b);
+}
+
+function matchesOperator(doc, path, operator, operand, condition) {
+  const values = candidates(doc, path);
+  switch (operator) {
+    case '$eq': return values.some(value => equals(value ?? null, operand ?? null));
+    case '$ne': return !values.some(value => equals(value ?? null, operand ?? null));
+    case '$in': return operand.some(item => values.some(value => equals(value ?? null, item ?? null)));
+    case '$nin': return !operand.some(item => values.some(value => equals(value ?? null, item ?? null)));
+    case '$gt': return values.some(value => comparable(value, operand) && compare(value, operand) > 0);
+    case '$gte': return values.some(value => comparable(value, operand) && compare(value, operand) >= 0);
+    case '$lt': return values.some(value => comparable(value, operand) && compare(value, operand) < 0);
+    case '$lte': return values.some(value => comparable(value, operand) && compare(value, operand) <= 0);
+    case '$exists': return valuesAt(doc, path).some(value => value !== undefined) === !!operand;
+    case '$type': return values.some(value => typeOf(value) === operand && value !== undefined);
+    case '$size': return valuesAt(doc, path).some(value => Array.isArray(value) && value.length === operand);
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return values.some(value => typeof value === 'string' && regex.test(value));
+    }
+    case '$options': return true;
+    case '$elemMatch':
+      return valuesAt(doc, path).some(value => Array.isArray(value) && value.some(item => matches(item, operand)));
+    default: throw new Error(`memoryDb: unsupported query operator ${operator}`);
+  }
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+    if (condition instanceof RegExp) return matchesOperator(doc, key, '$regex', condition, {});
+    if (isPlainObject(condition) && Object.keys(condition).some(op => op.startsWith('$'))) {
+      return Object.entries(condition).every(([operator, operand]) => matchesOperator(doc, key, operator, operand, condition));
+    }
+    return matchesOperator(doc, key, '$eq', condition, {});
+  });
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] === null || target[key] === undefined) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = clone(value);
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const parent = getPath(doc, keys.slice(0, -1).join('.')) || (keys.length === 1 ? doc : null);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+}
+
+function applyUpdate(doc, update, inserting) {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set': setPath(doc, path, value); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, value); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$push': {
+          const list = getPath(doc, path) || [];
+          if (isPlainObject(value) && value.$each) {
+            list.push(...clone(value.$each));
+            if (value.$slice !== undefined) list.splice(0, Math.max(0, list.length - Math.abs(value.$slice)));
+          } else {
+            list.push(clone(value));
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case '$addToSet': {
+          const list = getPath(doc, path) || [];
+          if (!list.some(item => equals(item, value))) list.push(clone(value));
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.filter(item => (isPlainObject(value) ? !matches(item, value) : !equals(item, value))));
+          break;
+        }
+        default: throw new Error(`memoryDb: unsupported update operator ${operator}`);
+      }
+    });
+  });
+}
+
+// Fields an upsert copies from its filter (plain equality conditions)
+function upsertBase(query) {
+  const doc = {};
+  Object.entries(query).forEach(([key, condition]) => {
+    if (key.startsWith('$')) return;
+    if (isPlainObject(condition) && Object.keys(condition).some(op => op.startsWith('$'))) {
+      if (condition.$eq !== undefined) setPath(doc, key, condition.$eq);
+      return;
+    }
+    setPath(doc, key, condition);
+  });
+  return doc;
+}
+
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const including = Object.entries(projection).some(([key, value]) => key !== '_id' && value);
+  if (!including) {
+    Object.entries(projection).forEach(([key, value]) => { if (!value) unsetPath(doc, key); });
+    return doc;
+  }
+  const result = {};
+  if (projection._id !== 0) result._id = doc._id;
+  Object.entries(projection).forEach(([key, value]) => {
+    if (value && key !== '_id' && getPath(doc, key) !== undefined) setPath(result, key, getPath(doc, key));
+  });
+  return result;
+}
+
+function sortDocuments(docs, sort) {
+  const fields = Object.entries(sort || {});
+  return docs.sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const difference = compare(getPath(a, path) ?? null, getPath(b, path) ?? null);
+      if (difference !== 0) return difference * direction;
+    }
+    return 0;
+  });
+}
+
+class MemoryCursor {
+  constructor(docs, options = {}) {
+    this.docs = docs;
+    this.options = { ...options };
+  }
+
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(count) { this.options.skip = count; return this; }
+  limit(count) { this.options.limit = count; return this; }
+  project(projection) { this.options.projection = projection; return this; }
+
+  async toArray() {
+    let docs = sortDocuments([...this.docs], this.options.sort);
+    if (this.options.skip) docs = docs.slice(this.options.skip);
+    if (this.options.limit) docs = docs.slice(0, this.options.limit);
+    return docs.map(doc => project(clone(doc), this.options.projection));
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push({ fields: Object.keys(keys), options });
+    }
+    return Object.keys(keys).join('_');
+  }
+
+  // Throws like MongoDB when doc would duplicate a unique index key of another document
+  checkUnique(doc) {
+    this.uniqueIndexes.forEach(({ fields, options }) => {
+      const applies = candidate => (!options.partialFilterExpression || matches(candidate, options.partialFilterExpression)) &&
+        (!options.sparse || fields.some(field => getPath(candidate, field) !== undefined));
+      if (!applies(doc)) return;
+      const key = candidate => fields.map(field => getPath(candidate, field) ?? null);
+      const duplicate = this.docs.find(other => other !== doc && applies(other) &&
+        key(other).every((value, index) => equals(value, key(doc)[index])));
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${this.name} index: ${fields.join('_')}`);
+        error.code = 11000;
+        throw error;
+      }
+    });
+  }
+
+  find(query, options = {}) {
+    return new MemoryCursor(this.docs.filter(doc => matches(doc, query)), options);
+  }
+
+  async findOne(query, options = {}) {
+    const [doc] = await this.find(query, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(query) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) {
+      await this.insertOne(doc);
+    }
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  // Updates a stored document in place, undoing the change if it breaks a unique index
+  updateDocument(doc, update) {
+    const before = clone(doc);
+    applyUpdate(doc, update, false);
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+    return JSON.stringify(before) !== JSON.stringify(doc);
+  }
+
+  async upsert(query, update) {
+    const doc = upsertBase(query);
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(query, update, options = {}) {
+    const doc = this.docs.find(candidate => matches(candidate, query));
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = await this.upsert(query, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+    const modified = this.updateDocument(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0 };
+  }
+
+  async updateMany(query, update) {
+    const docs = this.docs.filter(doc => matches(doc, query));
+    const modified = docs.filter(doc => this.updateDocument(doc, update)).length;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: modified };
+  }
+
+  async replaceOne(query, replacement) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index === -1) return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    const doc = { ...clone(replacement), _id: this.docs[index]._id };
+    const previous = this.docs[index];
+    this.docs[index] = doc;
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      this.docs[index] = previous;
+      throw error;
+    }
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  }
+
+  // Returns the document itself, like driver 6
+  async findOneAndUpdate(query, update, options = {}) {
+    const doc = this.docs.find(candidate => matches(candidate, query));
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = await this.upsert(query, update);
+      return options.returnDocument === 'after' ? clone(inserted) : null;
+    }
+    const before = clone(doc);
+    this.updateDocument(doc, update);
+    return options.returnDocument === 'after' ? clone(doc) : before;
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index === -1) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(query) {
+    const count = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, query));
+    return { acknowledged: true, deletedCount: count - this.docs.length };
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { MemoryDb };
@@ -0,0 +1,89 @@
+// Express app with the security middleware and the API routers of server.js, backed by a MemoryDb,
+// plus helpers to create users and call the API over HTTP
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { MemoryDb } = require('./memoryDb');
+const User = require('../../models/user');
+const RolesManager = require('../../models/rolesManager');
+const SessionRegistry = require('../../models/sessionRegistry');
+const TokenManager = require('../../models/tokenManager');
+const security = require('../../middleware/security');
+
+const PASSWORD = 'Password123!';
+
+// Same middleware order as server.js
+function createApp(db, config = security.getSecurityConfig()) {
+  const app = express();
+  app.locals.db = db;
+  app.use(security.securityHeaders(config));
+  app.use(security.cors(config));
+  app.use(express.json({ limit: config.jsonLimit }));
+  app.use(security.handleBodyErrors);
+  app.use(security.csrfProtection(config));
+  app.use('/api/users', require('../../routes/userRoutes'));
+  app.use('/api/auth', require('../../routes/authRoutes'));
+  app.use('/api/audit', require('../../routes/auditRoutes'));
+  app.use('/api/approvals', require('../../routes/approvalRoutes'));
+  return app;
+}
+
+// Start the app on a free port. Returns { db, api, close }; api(method, path, { token, body, headers })
+// resolves to { status, headers, body }.
+async function startApp({ db = new MemoryDb(), config } = {}) {
+  await RolesManager.initializeDefaultRoles(db);
+  const app = createApp(db, config);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function api(method, path, { token, body, headers = {} } = {}) {
+    const requestHeaders = { ...headers };
+    if (token) requestHeaders.Authorization = `Bearer ${token}`;
+    if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: requestHeaders,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: 'manual'
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (redirects, files)
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  return { db, api, baseUrl, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Insert a user holding the named built-in roles ('admin', 'editor', 'viewer'); returns the stored user
+async function createUser(db, username, roleNames = [], extra = {}) {
+  const roles = [];
+  for (const name of roleNames) {
+    const role = await RolesManager.getRoleByName(db, name);
+    roles.push(role._id.toString());
+  }
+  const user = new User({ username, email: `${username}@example.com`, password: await bcrypt.hash(PASSWORD, 4), roles });
+  await db.collection('users').insertOne({ ...user, ...extra });
+  return db.collection('users').findOne({ _id: user._id });
+}
+
+// Password login; returns the /api/auth/login response body
+async function signIn(api, username, password = PASSWORD) {
+  const response = await api('POST', '/api/auth/login', { body: { username, password } });
+  return response.body;
+}
+
+// Session and token pair for a user without going through /login (and its 2FA step)
+async function startSession(db, user) {
+  const session = await SessionRegistry.createSession(db, user, { headers: {} });
+  return TokenManager.issueTokens(user, session._id, session.refresh_id);
+}
+
+module.exports = { PASSWORD, MemoryDb, createApp, startApp, createUser, signIn, startSession };
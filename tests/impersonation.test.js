@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+const RolesManager = require('../models/rolesManager');
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'dora', ['admin']);
+  const viewer = await createUser(app.db, 'eli', ['viewer']);
+  const adminTokens = await startSession(app.db, admin);
+  return { app, admin, viewer, adminToken: adminTokens.token };
+}
+
+test('administrators view the app as another user with a short-lived, limited session', async (t) => {
+  const { app, admin, viewer, adminToken } = await setup(t);
+
+  const started = await app.api('POST', '/api/auth/impersonation', { token: adminToken, body: { userId: viewer._id.toString() } });
+  assert.equal(started.status, 200);
+  assert.equal(started.body.refreshToken, undefined);
+  assert.equal(started.body.user.username, 'eli');
+  assert.equal(started.body.user.impersonation.impersonator.username, 'dora');
+  const token = started.body.token;
+
+  const me = await app.api('GET', '/api/auth/me', { token });
+  assert.equal(me.body.username, 'eli');
+  assert.equal((await app.api('GET', '/api/users', { token })).status, 403);
+
+  const sessions = await app.api('GET', '/api/auth/sessions', { token });
+  assert.equal(sessions.status, 403);
+  assert.equal(sessions.body.code, 'IMPERSONATION_NOT_ALLOWED');
+
+  const entry = await app.db.collection('auditLog').findOne({ action: 'impersonate' });
+  assert.equal(entry.actor_id.toString(), admin._id.toString());
+  assert.equal(entry.entity_id, viewer._id.toString());
+
+  assert.equal((await app.api('POST', '/api/auth/impersonation/end', { token })).status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token })).status, 401);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: adminToken })).status, 200);
+});
+
+test('impersonation ends when the administrator logs out', async (t) => {
+  const { app, viewer, adminToken } = await setup(t);
+  const started = await app.api('POST', '/api/auth/impersonation', { token: adminToken, body: { userId: viewer._id.toString() } });
+
+  await app.api('POST', '/api/auth/logout', { token: adminToken });
+  assert.equal((await app.api('GET', '/api/auth/me', { token: started.body.token })).status, 401);
+});
+
+test('nobody can view the app as a user with more permissions, as themselves or as a disabled user', async (t) => {
+  const { app, admin, viewer, adminToken } = await setup(t);
+  const support = await RolesManager.createRole(app.db, {
+    name: 'support', description: 'Support', permissions: { view_campaigns: true, impersonate_users: true }
+  });
+  const agent = await createUser(app.db, 'fay', []);
+  await app.db.collection('users').updateOne({ _id: agent._id }, { $set: { roles: [support._id.toString()] } });
+  const { token } = await startSession(app.db, agent);
+
+  const upward = await app.api('POST', '/api/auth/impersonation', { token, body: { userId: admin._id.toString() } });
+  assert.equal(upward.status, 403);
+  assert.equal(upward.body.code, 'IMPERSONATION_EXCEEDS_PERMISSIONS');
+  assert.ok(upward.body.permissions.includes('manage_users'));
+
+  assert.equal((await app.api('POST', '/api/auth/impersonation', { token: adminToken, body: { userId: admin._id.toString() } })).status, 400);
+
+  await app.db.collection('users').updateOne({ _id: viewer._id }, { $set: { active: false } });
+  assert.equal((await app.api('POST', '/api/auth/impersonation', { token: adminToken, body: { userId: viewer._id.toString() } })).status, 400);
+
+  const viewerSession = await startSession(app.db, await createUser(app.db, 'gus', ['viewer']));
+  const forbidden = await app.api('POST', '/api/auth/impersonation', { token: viewerSession.token, body: { userId: agent._id.toString() } });
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.body.permission, 'impersonate_users');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDb } = require('./helpers/memoryDb');
+const { startApp, createUser } = require('./helpers/testApp');
+const LoginThrottle = require('../models/loginThrottle');
+
+function client(ip) {
+  return { ip, headers: {} };
+}
+
+async function fail(db, username, req, times) {
+  for (let i = 0; i < times; i++) {
+    await LoginThrottle.recordFailure(db, username, req);
+  }
+}
+
+test('the first failures are free, then attempts are delayed', async () => {
+  const db = new MemoryDb();
+  const req = client('10.0.0.1');
+
+  await fail(db, 'kim', req, 2);
+  assert.equal(await LoginThrottle.check(db, 'kim', req), null);
+
+  await fail(db, 'kim', req, 1);
+  const throttled = await LoginThrottle.check(db, 'KIM ', req);
+  assert.equal(throttled.code, 'LOGIN_THROTTLED');
+  assert.ok(throttled.retryAfter >= 1);
+});
+
+test('repeated failures lock the account until an administrator unlocks it', async () => {
+  const db = new MemoryDb();
+  const req = client('10.0.0.2');
+
+  await fail(db, 'lee', req, 5);
+  const locked = await LoginThrottle.check(db, 'lee', client('10.0.0.3'));
+  assert.equal(locked.code, 'ACCOUNT_LOCKED');
+  assert.ok(locked.retryAfter > 60);
+  assert.equal((await LoginThrottle.getUserStatuses(db, ['lee'])).lee.failed_attempts, 5);
+
+  assert.equal(await LoginThrottle.unlockUser(db, 'lee'), true);
+  assert.equal(await LoginThrottle.check(db, 'lee', client('10.0.0.3')), null);
+  assert.equal(await LoginThrottle.unlockUser(db, 'lee'), false);
+});
+
+test('failures from one address across many usernames lock the address', async () => {
+  const db = new MemoryDb();
+  const req = client('10.0.0.4');
+
+  for (let i = 0; i < 20; i++) {
+    await LoginThrottle.recordFailure(db, `user${i}`, req);
+  }
+  assert.equal((await LoginThrottle.check(db, 'someone-else', req)).code, 'TOO_MANY_ATTEMPTS');
+  assert.equal(await LoginThrottle.check(db, 'someone-else', client('10.0.0.5')), null);
+});
+
+test('old failures are forgotten and a successful login clears the counter', async () => {
+  const db = new MemoryDb();
+  const req = client('10.0.0.6');
+
+  await fail(db, 'max', req, 4);
+  await db.collection('loginAttempts').updateMany({}, { $set: { last_failure_at: new Date(Date.now() - 60 * 60 * 1000) } });
+  await fail(db, 'max', req, 1);
+  assert.equal((await db.collection('loginAttempts').findOne({ key: 'user:max' })).failures, 1);
+
+  await LoginThrottle.recordSuccess(db, 'max');
+  assert.equal(await db.collection('loginAttempts').findOne({ key: 'user:max' }), null);
+});
+
+test('parallel failures are all counted', async () => {
+  const db = new MemoryDb();
+  const req = client('10.0.0.7');
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => LoginThrottle.recordFailure(db, 'ned', req)));
+  assert.equal((await LoginThrottle.check(db, 'ned', client('10.0.0.8'))).code, 'ACCOUNT_LOCKED');
+});
+
+test('the login route answers 429 with Retry-After once throttled', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'olga', ['viewer']);
+
+  for (let i = 0; i < 3; i++) {
+    const response = await app.api('POST', '/api/auth/login', { body: { username: 'olga', password: 'wrong-password' } });
+    assert.equal(response.status, 401);
+  }
+  const throttled = await app.api('POST', '/api/auth/login', { body: { username: 'olga', password: 'wrong-password' } });
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.body.code, 'LOGIN_THROTTLED');
+  assert.ok(Number(throttled.headers.get('retry-after')) >= 1);
+});
@@ -0,0 +1,131 @@
+process.env.AUTH_PROVIDERS = 'local,oidc';
+process.env.OIDC_ISSUER = 'https://idp.example.com';
+process.env.OIDC_CLIENT_ID = 'campaigns';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MemoryDb } = require('./helpers/memoryDb');
+const { startApp, createUser } = require('./helpers/testApp');
+const RolesManager = require('../models/rolesManager');
+const OidcProvider = require('../models/oidcProvider');
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// A sign-in started by the browser holding browserKey, as createAuthorizationUrl stores it
+async function startSignIn(db, state, browserKey) {
+  await db.collection('oidcLogins').insertOne({
+    kind: 'state', state_hash: hash(state), browser_hash: hash(browserKey), nonce: 'n', code_verifier: 'v',
+    redirect_uri: 'http://localhost/api/auth/oidc/callback', created_at: new Date(), expires_at: new Date(Date.now() + 60000)
+  });
+}
+
+function quietly(fn) {
+  return async (...args) => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      return await fn(...args);
+    } finally {
+      console.error = error;
+    }
+  };
+}
+
+test('a login ticket works once and only in the browser that started the sign-in', async () => {
+  const db = new MemoryDb();
+  const user = { _id: 'user-1' };
+  const ticket = await OidcProvider.issueLoginTicket(db, user, 'browser-a');
+
+  assert.equal(await OidcProvider.redeemLoginTicket(db, ticket, 'browser-b'), null);
+  assert.equal(await OidcProvider.redeemLoginTicket(db, ticket, null), null);
+  assert.equal(await OidcProvider.redeemLoginTicket(db, ticket, 'browser-a'), 'user-1');
+  assert.equal(await OidcProvider.redeemLoginTicket(db, ticket, 'browser-a'), null);
+});
+
+test('a callback is refused unless it comes from the browser that started the sign-in', async () => {
+  const db = new MemoryDb();
+  await startSignIn(db, 'state-1', 'browser-a');
+
+  await assert.rejects(OidcProvider.handleCallback(db, { code: 'c', state: 'state-1' }, null), /another browser/);
+  await assert.rejects(OidcProvider.handleCallback(db, { code: 'c', state: 'state-1' }, 'browser-b'), /another browser/);
+  await assert.rejects(OidcProvider.handleCallback(db, { state: 'state-1' }, 'browser-a'), /missing its code/);
+  // The refused attempts did not use up the state
+  assert.equal(await db.collection('oidcLogins').countDocuments({ kind: 'state' }), 1);
+});
+
+test('privileged accounts are only linked by email after an administrator allows it', async () => {
+  const db = new MemoryDb();
+  await RolesManager.initializeDefaultRoles(db);
+  const admin = await createUser(db, 'hal', ['admin']);
+  const viewer = await createUser(db, 'ida', ['viewer']);
+  const claims = user => ({ sub: `sub-${user.username}`, email: user.email, email_verified: true });
+
+  await assert.rejects(OidcProvider.provisionUser(db, claims(admin), null), /only be linked .* by an administrator/);
+
+  await db.collection('users').updateOne({ _id: admin._id }, { $set: { oidc_link_allowed: true } });
+  const linked = await OidcProvider.provisionUser(db, claims(admin), null);
+  assert.equal(linked._id.toString(), admin._id.toString());
+  const stored = await db.collection('users').findOne({ _id: admin._id });
+  assert.deepEqual(stored.oidc, { issuer: 'https://idp.example.com', subject: 'sub-hal' });
+  assert.equal(stored.oidc_link_allowed, undefined);
+
+  assert.equal((await OidcProvider.provisionUser(db, claims(viewer), null))._id.toString(), viewer._id.toString());
+});
+
+test('unverified emails never link, and new users get the roles of their groups', async () => {
+  const db = new MemoryDb();
+  await RolesManager.initializeDefaultRoles(db);
+  const editor = await RolesManager.getRoleByName(db, 'editor');
+  await db.collection('roles').updateOne({ _id: editor._id }, { $set: { idp_groups: ['marketing-editors'] } });
+  const viewer = await createUser(db, 'jon', ['viewer']);
+
+  await assert.rejects(
+    OidcProvider.provisionUser(db, { sub: 's1', email: viewer.email, email_verified: false }, null),
+    /not in any group/
+  );
+
+  const created = await OidcProvider.provisionUser(db, {
+    sub: 's2', email: viewer.email, email_verified: false, preferred_username: 'jon', groups: ['marketing-editors']
+  }, null);
+  assert.notEqual(created._id.toString(), viewer._id.toString());
+  assert.equal(created.username, 'jon-2');
+  assert.equal(created.auth_provider, 'oidc');
+  assert.deepEqual(created.roles, [editor._id.toString()]);
+});
+
+test('the ticket exchange needs the browser cookie and applies 2FA like a password login', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const user = await createUser(app.db, 'kai', ['viewer']);
+  const exchange = (ticket, cookie) => app.api('POST', '/api/auth/oidc/exchange', {
+    body: { ticket }, headers: cookie ? { Cookie: `oidc_browser=${cookie}` } : {}
+  });
+
+  const ticket = await OidcProvider.issueLoginTicket(app.db, user, 'browser-a');
+  assert.equal((await exchange(ticket)).status, 401);
+  assert.equal((await exchange(ticket, 'browser-b')).status, 401);
+  const signedIn = await exchange(ticket, 'browser-a');
+  assert.equal(signedIn.status, 200);
+  assert.ok(signedIn.body.token);
+  assert.match(signedIn.headers.get('set-cookie'), /oidc_browser=;/);
+
+  await app.db.collection('roles').updateOne({ name: 'viewer' }, { $set: { require_two_factor: true } });
+  const challenged = await exchange(await OidcProvider.issueLoginTicket(app.db, user, 'browser-a'), 'browser-a');
+  assert.equal(challenged.body.twoFactorRequired, true);
+  assert.equal(challenged.body.token, undefined);
+});
+
+test('the callback route sends sign-ins from another browser back with an error', quietly(async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await startSignIn(app.db, 'state-2', 'browser-a');
+
+  const response = await app.api('GET', '/api/auth/oidc/callback?code=c&state=state-2', { headers: { Cookie: 'oidc_browser=browser-b' } });
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get('location'), app.baseUrl);
+  assert.match(location.searchParams.get('loginError'), /another browser/);
+  assert.equal(location.searchParams.get('loginTicket'), null);
+}));
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startApp, createUser, signIn, PASSWORD } = require('./helpers/testApp');
+const User = require('../models/user');
+const PasswordResetManager = require('../models/passwordReset');
+
+test('the password policy enforces a minimum length and refuses recent passwords', async () => {
+  const history = [await bcrypt.hash('OldPassword1', 4), await bcrypt.hash('OlderPassword1', 4)];
+
+  assert.equal((await User.validatePassword('short', [])).length, 1);
+  assert.deepEqual(await User.validatePassword('LongEnough1', history), []);
+  assert.equal((await User.validatePassword('OlderPassword1', history)).length, 1);
+
+  const errors = await User.validate({ username: 'x', email: 'x@example.com', password: 'OldPassword1' }, { passwordHistory: history });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /must not match/);
+});
+
+test('changing the password checks the current one, refuses reuse and signs out other devices', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'hank', ['viewer']);
+  const current = await signIn(app.api, 'hank');
+  const other = await signIn(app.api, 'hank');
+
+  const wrong = await app.api('POST', '/api/auth/change-password', {
+    token: current.token, body: { currentPassword: 'nope', newPassword: 'BrandNew123!' }
+  });
+  assert.equal(wrong.status, 400);
+
+  const reused = await app.api('POST', '/api/auth/change-password', {
+    token: current.token, body: { currentPassword: PASSWORD, newPassword: PASSWORD }
+  });
+  assert.equal(reused.status, 400);
+
+  const changed = await app.api('POST', '/api/auth/change-password', {
+    token: current.token, body: { currentPassword: PASSWORD, newPassword: 'BrandNew123!' }
+  });
+  assert.equal(changed.status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: current.token })).status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: other.token })).status, 401);
+
+  const back = await app.api('POST', '/api/auth/change-password', {
+    token: current.token, body: { currentPassword: 'BrandNew123!', newPassword: PASSWORD }
+  });
+  assert.equal(back.status, 400);
+  assert.ok((await signIn(app.api, 'hank', 'BrandNew123!')).token);
+});
+
+test('reset links work once and end every session', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const user = await createUser(app.db, 'iris', ['viewer']);
+  const before = await signIn(app.api, 'iris');
+  const { token } = await PasswordResetManager.createResetToken(app.db, user._id, null);
+
+  const tooShort = await app.api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'short' } });
+  assert.equal(tooShort.status, 400);
+
+  const reset = await app.api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'ResetPass123!' } });
+  assert.equal(reset.status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: before.token })).status, 401);
+
+  const again = await app.api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'Another123!' } });
+  assert.equal(again.status, 400);
+  assert.ok((await signIn(app.api, 'iris', 'ResetPass123!')).token);
+});
+
+test('a newer reset link invalidates the previous one', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const user = await createUser(app.db, 'jack', ['viewer']);
+  const first = await PasswordResetManager.createResetToken(app.db, user._id, null);
+  await PasswordResetManager.createResetToken(app.db, user._id, null);
+
+  const stale = await app.api('POST', '/api/auth/reset-password', { body: { token: first.token, newPassword: 'ResetPass123!' } });
+  assert.equal(stale.status, 400);
+});
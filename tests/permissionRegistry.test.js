@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDb } = require('./helpers/memoryDb');
+const Permissions = require('../models/permissions');
+const RolesManager = require('../models/rolesManager');
+
+test('built-in roles are defined by the registry', () => {
+  const admin = Permissions.forBuiltInRole('admin');
+  const editor = Permissions.forBuiltInRole('editor');
+  const viewer = Permissions.forBuiltInRole('viewer');
+
+  assert.deepEqual(Object.keys(admin), Permissions.getKeys());
+  assert.equal(admin.manage_roles, true);
+  assert.equal(admin.edit_own_campaigns, false);
+  assert.equal(editor.manage_channels, true);
+  assert.equal(editor.manage_users, false);
+  assert.equal(viewer.view_campaigns, true);
+  assert.equal(viewer.edit_campaigns, false);
+  assert.equal(Permissions.isKnown('generate_tags'), true);
+  assert.equal(Permissions.isKnown('launch_rockets'), false);
+});
+
+test('startup adds new permissions to stored roles from their grantedWith permissions', async () => {
+  const db = new MemoryDb();
+  await db.collection('roles').insertMany([
+    { name: 'planner', permissions: { view_campaigns: true, create_campaigns: true } },
+    { name: 'hr', permissions: { view_campaigns: true, manage_users: true } }
+  ]);
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await RolesManager.migratePermissions(db);
+  } finally {
+    console.log = log;
+  }
+
+  const planner = await RolesManager.getRoleByName(db, 'planner');
+  const hr = await RolesManager.getRoleByName(db, 'hr');
+  assert.deepEqual(Object.keys(planner.permissions).sort(), [...Permissions.getKeys()].sort());
+  assert.equal(planner.permissions.generate_tags, true);
+  assert.equal(planner.permissions.manage_employees, false);
+  assert.equal(hr.permissions.manage_employees, true);
+  assert.equal(hr.permissions.view_audit, true);
+  assert.equal(hr.permissions.generate_tags, false);
+  assert.equal(await db.collection('auditLog').countDocuments({ entity_type: 'role' }), 2);
+});
+
+test('startup never changes a permission a stored role already has', async () => {
+  const db = new MemoryDb();
+  const stored = { ...Permissions.forBuiltInRole('editor'), manage_channels: false };
+  await db.collection('roles').insertOne({ name: 'editor', permissions: stored });
+  const missingChannels = { ...Permissions.forBuiltInRole('editor') };
+  delete missingChannels.manage_channels;
+  await db.collection('roles').insertOne({ name: 'legacy editor', permissions: missingChannels });
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await RolesManager.migratePermissions(db);
+    await RolesManager.migratePermissions(db);
+  } finally {
+    console.log = log;
+  }
+
+  assert.deepEqual((await RolesManager.getRoleByName(db, 'editor')).permissions, stored);
+  // Editors gain nothing on startup; an administrator grants manage_channels in the role editor
+  assert.equal((await RolesManager.getRoleByName(db, 'legacy editor')).permissions.manage_channels, false);
+  assert.equal(await db.collection('auditLog').countDocuments({ entity_name: 'editor' }), 0);
+});
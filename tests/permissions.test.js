@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+const TokenManager = require('../models/tokenManager');
+
+test('API routes refuse requests without a valid token', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const anonymous = await app.api('GET', '/api/users');
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, 'AUTH_REQUIRED');
+
+  const forged = await app.api('GET', '/api/users', { token: 'not.a-token' });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.code, 'AUTH_INVALID_TOKEN');
+
+  // A correctly signed token for a session that was never registered
+  const user = await createUser(app.db, 'ghost', ['admin']);
+  const { token } = TokenManager.issueTokens(user, user._id);
+  const unknownSession = await app.api('GET', '/api/users', { token });
+  assert.equal(unknownSession.status, 401);
+  assert.equal(unknownSession.body.code, 'AUTH_SESSION_REVOKED');
+});
+
+test('API routes answer 403 with the missing permission', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const viewer = await createUser(app.db, 'viewer1', ['viewer']);
+  const { token } = await startSession(app.db, viewer);
+
+  const users = await app.api('GET', '/api/users', { token });
+  assert.equal(users.status, 403);
+  assert.equal(users.body.code, 'FORBIDDEN');
+  assert.equal(users.body.permission, 'manage_users');
+
+  const roles = await app.api('GET', '/api/users/roles/all', { token });
+  assert.equal(roles.status, 403);
+  assert.equal(roles.body.permission, 'manage_users|manage_roles');
+});
+
+test('granted permissions let the request through', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'admin1', ['admin']);
+  const { token } = await startSession(app.db, admin);
+
+  const users = await app.api('GET', '/api/users', { token });
+  assert.equal(users.status, 200);
+});
+
+test('users may read their own permissions but not those of others', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const viewer = await createUser(app.db, 'viewer2', ['viewer']);
+  const other = await createUser(app.db, 'viewer3', ['viewer']);
+  const { token } = await startSession(app.db, viewer);
+
+  const own = await app.api('GET', `/api/users/permissions/${viewer._id}`, { token });
+  assert.equal(own.status, 200);
+  const foreign = await app.api('GET', `/api/users/permissions/${other._id}`, { token });
+  assert.equal(foreign.status, 403);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, signIn } = require('./helpers/testApp');
+const User = require('../models/user');
+
+test('only changed, trimmed profile fields are picked up', () => {
+  const user = { username: 'quin', email: 'quin@example.com', display_name: 'Quin' };
+
+  assert.deepEqual(User.pickProfileChanges(user, { username: ' quin ', email: undefined, display_name: ' Q. ' }), { display_name: 'Q.' });
+  assert.deepEqual(User.pickProfileChanges(user, { display_name: null }), { display_name: '' });
+  assert.deepEqual(User.pickProfileChanges({ username: 'x' }, { display_name: '' }), {});
+});
+
+test('users update their own profile within the field rules', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'rex', ['viewer']);
+  await createUser(app.db, 'sue', ['viewer']);
+  const { token } = await signIn(app.api, 'rex');
+
+  const invalid = await app.api('PUT', '/api/auth/profile', { token, body: { email: 'not-an-email', displayName: 'x'.repeat(101) } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errors.length, 2);
+
+  const taken = await app.api('PUT', '/api/auth/profile', { token, body: { username: 'sue' } });
+  assert.equal(taken.status, 409);
+  const emailTaken = await app.api('PUT', '/api/auth/profile', { token, body: { email: 'sue@example.com' } });
+  assert.equal(emailTaken.status, 409);
+
+  const updated = await app.api('PUT', '/api/auth/profile', { token, body: { displayName: ' Rex R. ', email: 'rex@example.org' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.user.displayName, 'Rex R.');
+  assert.equal(updated.body.user.email, 'rex@example.org');
+
+  const profile = await app.api('GET', '/api/auth/profile', { token });
+  assert.equal(profile.body.authProvider, 'local');
+  assert.equal(profile.body.displayName, 'Rex R.');
+
+  const entry = await app.db.collection('auditLog').findOne({ 'details.source': 'profile' });
+  assert.deepEqual(entry.changes.map(change => change.field).sort(), ['display_name', 'email']);
+
+  // Nothing to change: no write and no audit entry
+  await app.api('PUT', '/api/auth/profile', { token, body: { displayName: 'Rex R.' } });
+  assert.equal(await app.db.collection('auditLog').countDocuments({ 'details.source': 'profile' }), 1);
+});
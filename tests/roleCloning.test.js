@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'cora', ['admin']);
+  const { token } = await startSession(app.db, admin);
+  const roles = await app.db.collection('roles').find({}).toArray();
+  const byName = Object.fromEntries(roles.map(role => [role.name, role]));
+  return { app, token, byName };
+}
+
+test('cloning copies permissions, parent, denies and the 2FA requirement', async (t) => {
+  const { app, token, byName } = await setup(t);
+  await app.db.collection('roles').updateOne({ _id: byName.editor._id }, {
+    $set: { parent_id: byName.viewer._id.toString(), denied_permissions: ['export_data'], require_two_factor: true }
+  });
+
+  const first = await app.api('POST', `/api/users/roles/${byName.editor._id}/clone`, { token, body: {} });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.role.name, 'editor copy');
+  assert.deepEqual(first.body.role.permissions, byName.editor.permissions);
+  assert.equal(first.body.role.parent_id.toString(), byName.viewer._id.toString());
+  assert.deepEqual(first.body.role.denied_permissions, ['export_data']);
+  assert.equal(first.body.role.require_two_factor, true);
+
+  const second = await app.api('POST', `/api/users/roles/${byName.editor._id}/clone`, { token, body: {} });
+  assert.equal(second.body.role.name, 'editor copy 2');
+
+  const named = await app.api('POST', `/api/users/roles/${byName.editor._id}/clone`, { token, body: { name: ' Regional editor ' } });
+  assert.equal(named.body.role.name, 'Regional editor');
+  const taken = await app.api('POST', `/api/users/roles/${byName.editor._id}/clone`, { token, body: { name: 'viewer' } });
+  assert.equal(taken.status, 400);
+  assert.equal((await app.api('POST', '/api/users/roles/0123456789abcdef01234567/clone', { token, body: {} })).status, 404);
+});
+
+test('comparison marks the permissions that differ between roles', async (t) => {
+  const { app, token, byName } = await setup(t);
+  const ids = [byName.editor._id, byName.viewer._id].join(',');
+
+  const response = await app.api('GET', `/api/users/roles/compare?ids=${ids}`, { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.roles.map(role => role.name), ['editor', 'viewer']);
+  const byKey = Object.fromEntries(response.body.permissions.map(permission => [permission.key, permission]));
+  assert.equal(byKey.view_campaigns.differs, false);
+  assert.equal(byKey.edit_campaigns.differs, true);
+  assert.equal(byKey.edit_campaigns.values[byName.editor._id.toString()].source, 'direct');
+  assert.equal(byKey.edit_campaigns.values[byName.viewer._id.toString()].granted, false);
+
+  assert.equal((await app.api('GET', `/api/users/roles/compare?ids=${byName.editor._id}`, { token })).status, 400);
+  assert.equal((await app.api('GET', `/api/users/roles/compare?ids=${byName.editor._id},0123456789abcdef01234567`, { token })).status, 404);
+});
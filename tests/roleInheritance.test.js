@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDb } = require('./helpers/memoryDb');
+const RolesManager = require('../models/rolesManager');
+
+// base grants view_campaigns and export_data; team inherits from base, adds edit_campaigns and denies export_data
+async function setup() {
+  const db = new MemoryDb();
+  const base = await RolesManager.createRole(db, {
+    name: 'base', description: 'Base', permissions: { view_campaigns: true, export_data: true }
+  });
+  const team = await RolesManager.createRole(db, {
+    name: 'team', description: 'Team', permissions: { edit_campaigns: true },
+    parent_id: base._id.toString(), denied_permissions: ['export_data']
+  });
+  const exporter = await RolesManager.createRole(db, {
+    name: 'exporter', description: 'Exporter', permissions: { export_data: true }
+  });
+  return { db, base, team, exporter };
+}
+
+test('roles inherit the permissions of their ancestors', async () => {
+  const { db, base, team } = await setup();
+  const effective = await RolesManager.getEffectivePermissions(db, team._id);
+
+  assert.deepEqual(effective.chain.map(role => role.name), ['team', 'base']);
+  assert.equal(effective.permissions.edit_campaigns, true);
+  assert.equal(effective.permissions.view_campaigns, true);
+  assert.equal(effective.sources.edit_campaigns.source, 'direct');
+  assert.equal(effective.sources.view_campaigns.source, 'inherited');
+  assert.equal(effective.sources.view_campaigns.role_name, 'base');
+  assert.equal((await RolesManager.getEffectivePermissions(db, base._id)).permissions.edit_campaigns, false);
+});
+
+test('a deny beats grants from ancestors and from the user\'s other roles', async () => {
+  const { db, team, exporter } = await setup();
+  const effective = await RolesManager.getEffectivePermissions(db, team._id);
+  assert.equal(effective.permissions.export_data, false);
+  assert.equal(effective.sources.export_data.source, 'denied');
+
+  const combined = await RolesManager.getPermissionsFromRoleIds(db, [team._id.toString(), exporter._id.toString()]);
+  assert.equal(combined.export_data, false);
+  assert.equal(combined.edit_campaigns, true);
+  assert.equal((await RolesManager.getPermissionsFromRoleIds(db, [exporter._id.toString()])).export_data, true);
+});
+
+test('inheritance cycles and unknown denies are refused', async () => {
+  const { db, base, team } = await setup();
+
+  assert.equal((await RolesManager.validateInheritance(db, base._id.toString(), { parent_id: team._id.toString() })).length, 1);
+  assert.equal((await RolesManager.validateInheritance(db, base._id.toString(), { parent_id: base._id.toString() })).length, 1);
+  assert.equal((await RolesManager.validateInheritance(db, null, { parent_id: '0123456789abcdef01234567' })).length, 1);
+  assert.equal((await RolesManager.validateInheritance(db, null, { denied_permissions: ['fly'] })).length, 1);
+  assert.deepEqual(await RolesManager.validateInheritance(db, null, { parent_id: team._id.toString(), denied_permissions: ['view_reports'] }), []);
+});
+
+test('a cycle in stored data does not loop forever', async () => {
+  const { db, base, team } = await setup();
+  await db.collection('roles').updateOne({ _id: base._id }, { $set: { parent_id: team._id.toString() } });
+
+  const rolesById = await RolesManager.getRolesById(db);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(RolesManager.getRoleChain(team._id, rolesById).map(role => role.name), ['team', 'base']);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+const security = require('../middleware/security');
+
+function config(overrides) {
+  return { ...security.getSecurityConfig(), ...overrides };
+}
+
+test('cookies are decoded, and malformed values are kept as sent', () => {
+  const cookies = security.parseCookies({ headers: { cookie: 'a=%E0; b=hello%20world; c=x=y; d' } });
+  assert.deepEqual(cookies, { a: '%E0', b: 'hello world', c: 'x=y' });
+  assert.deepEqual(security.parseCookies({ headers: {} }), {});
+});
+
+test('a malformed cookie does not break requests', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await createUser(app.db, 'lou', ['viewer']);
+
+  const login = await app.api('POST', '/api/auth/login', {
+    body: { username: 'lou', password: 'Password123!' }, headers: { Cookie: 'a=%E0' }
+  });
+  assert.equal(login.status, 200);
+  const providers = await app.api('GET', '/api/auth/providers', { headers: { Cookie: 'oidc_browser=%E0%A4%A' } });
+  assert.equal(providers.status, 200);
+});
+
+test('every response carries the security headers', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const response = await app.api('GET', '/api/auth/providers');
+  assert.match(response.headers.get('content-security-policy'), /frame-ancestors 'none'/);
+  assert.equal(response.headers.get('x-frame-options'), 'DENY');
+  assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(response.headers.get('strict-transport-security'), null);
+});
+
+test('only whitelisted origins get CORS access', async (t) => {
+  const app = await startApp({ config: config({ corsOrigins: ['https://partner.example.com'] }) });
+  t.after(app.close);
+  const preflight = origin => app.api('OPTIONS', '/api/users', {
+    headers: { Origin: origin, 'Access-Control-Request-Method': 'GET' }
+  });
+
+  const allowed = await preflight('https://partner.example.com');
+  assert.equal(allowed.status, 204);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://partner.example.com');
+
+  const refused = await preflight('https://evil.example.com');
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'CORS_ORIGIN_REFUSED');
+});
+
+test('state-changing requests from other sites are refused', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const crossSite = await app.api('POST', '/api/auth/login', {
+    body: { username: 'x', password: 'y' }, headers: { Origin: 'https://evil.example.com' }
+  });
+  assert.equal(crossSite.status, 403);
+  assert.equal(crossSite.body.code, 'CSRF_ORIGIN_REFUSED');
+
+  const sameSite = await app.api('POST', '/api/auth/login', {
+    body: { username: 'x', password: 'y' }, headers: { Origin: app.baseUrl }
+  });
+  assert.equal(sameSite.status, 401);
+});
+
+test('cookie-authenticated requests need the double-submit CSRF token', async (t) => {
+  const app = await startApp({ config: config({ authCookie: 'session' }) });
+  t.after(app.close);
+  const user = await createUser(app.db, 'mia', ['viewer']);
+  const { token } = await startSession(app.db, user);
+
+  const issued = await app.api('GET', '/api/auth/providers');
+  assert.match(issued.headers.get('set-cookie'), /csrf_token=[\w-]+; Path=\/; SameSite=Strict/);
+
+  const withoutToken = await app.api('POST', '/api/auth/logout', { headers: { Cookie: 'session=abc; csrf_token=t1' } });
+  assert.equal(withoutToken.status, 403);
+  assert.equal(withoutToken.body.code, 'CSRF_TOKEN_INVALID');
+
+  const wrongToken = await app.api('POST', '/api/auth/logout', {
+    headers: { Cookie: 'session=abc; csrf_token=t1', 'X-CSRF-Token': 't2' }
+  });
+  assert.equal(wrongToken.status, 403);
+
+  // Passes the CSRF check and reaches authentication
+  const matching = await app.api('POST', '/api/auth/logout', {
+    headers: { Cookie: 'session=abc; csrf_token=t1', 'X-CSRF-Token': 't1' }
+  });
+  assert.equal(matching.status, 401);
+
+  // Bearer tokens are never sent by the browser on its own, so they need no CSRF token
+  const bearer = await app.api('POST', '/api/auth/logout', { token, headers: { Cookie: 'session=abc; csrf_token=t1' } });
+  assert.equal(bearer.status, 200);
+});
+
+test('oversized and malformed JSON bodies get JSON errors', async (t) => {
+  const app = await startApp({ config: config({ jsonLimit: '1kb' }) });
+  t.after(app.close);
+
+  const large = await app.api('POST', '/api/auth/login', { body: { username: 'x'.repeat(2048), password: 'y' } });
+  assert.equal(large.status, 413);
+  assert.equal(large.body.code, 'BODY_TOO_LARGE');
+
+  const response = await fetch(`${app.baseUrl}/api/auth/login`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"username":'
+  });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, 'BODY_INVALID');
+});
@@ -0,0 +1,64 @@
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const TokenManager = require('../models/tokenManager');
+
+const userId = new ObjectId();
+const sessionId = new ObjectId();
+
+test('issued tokens verify with their own type only', () => {
+  const { token, refreshToken, expiresAt } = TokenManager.issueTokens({ _id: userId }, sessionId);
+
+  const access = TokenManager.verify(token, 'access');
+  assert.equal(access.sub, userId.toString());
+  assert.equal(access.sid, sessionId.toString());
+  assert.equal(access.exp - access.iat, TokenManager.getAccessTokenTTL());
+  assert.ok(Date.parse(expiresAt) > Date.now());
+
+  assert.equal(TokenManager.verify(refreshToken, 'refresh').type, 'refresh');
+  assert.equal(TokenManager.verify(token, 'refresh'), null);
+  assert.equal(TokenManager.verify(refreshToken, 'access'), null);
+});
+
+test('tampered, foreign and malformed tokens are refused', () => {
+  const token = TokenManager.sign({ sub: userId.toString(), type: 'access' }, 60);
+  const [body, signature] = token.split('.');
+  const forgedBody = Buffer.from(JSON.stringify({ sub: new ObjectId().toString(), type: 'access', exp: 9999999999 }))
+    .toString('base64url');
+
+  assert.equal(TokenManager.verify(`${forgedBody}.${signature}`, 'access'), null);
+  assert.equal(TokenManager.verify(`${body}.${signature.slice(0, -2)}xx`, 'access'), null);
+  assert.equal(TokenManager.verify(`${body}.${signature}.extra`, 'access'), null);
+  assert.equal(TokenManager.verify('', 'access'), null);
+  assert.equal(TokenManager.verify(null, 'access'), null);
+
+  process.env.AUTH_TOKEN_SECRET = 'another-secret';
+  try {
+    assert.equal(TokenManager.verify(token, 'access'), null);
+  } finally {
+    process.env.AUTH_TOKEN_SECRET = 'test-secret';
+  }
+});
+
+test('expired tokens are refused', () => {
+  const token = TokenManager.sign({ sub: userId.toString(), type: 'access' }, 0);
+  assert.equal(TokenManager.verify(token, 'access'), null);
+});
+
+test('impersonation tokens carry the administrator and no refresh token', () => {
+  const impersonatorId = new ObjectId();
+  const result = TokenManager.issueImpersonationToken({ _id: userId }, sessionId, impersonatorId);
+
+  assert.equal(result.refreshToken, undefined);
+  const payload = TokenManager.verify(result.token, 'access');
+  assert.equal(payload.imp, impersonatorId.toString());
+  assert.equal(payload.exp - payload.iat, TokenManager.getImpersonationTTL());
+});
+
+test('bearer tokens are read from the Authorization header only', () => {
+  assert.equal(TokenManager.extractBearerToken({ headers: { authorization: 'Bearer abc.def' } }), 'abc.def');
+  assert.equal(TokenManager.extractBearerToken({ headers: { authorization: 'Basic abc' } }), null);
+  assert.equal(TokenManager.extractBearerToken({ headers: {} }), null);
+});
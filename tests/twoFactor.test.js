@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, signIn, startSession, PASSWORD } = require('./helpers/testApp');
+const TwoFactor = require('../models/twoFactor');
+
+test('TOTP codes are accepted once and only around the current time', () => {
+  const secret = TwoFactor.generateSecret();
+  const step = TwoFactor.getCurrentStep();
+  const code = TwoFactor.generateCode(secret, step);
+
+  assert.equal(TwoFactor.verifyCode(secret, code), step);
+  assert.equal(TwoFactor.verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`), step);
+  assert.equal(TwoFactor.verifyCode(secret, code, step), null);
+  assert.equal(TwoFactor.verifyCode(secret, TwoFactor.generateCode(secret, step - 10)), null);
+  assert.equal(TwoFactor.verifyCode(secret, 'abcdef'), null);
+});
+
+test('a role that requires 2FA enrols its members at login, and backup codes work once', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await app.db.collection('roles').updateOne({ name: 'editor' }, { $set: { require_two_factor: true } });
+  await createUser(app.db, 'paula', ['editor']);
+
+  const challenge = await signIn(app.api, 'paula');
+  assert.equal(challenge.twoFactorRequired, true);
+  assert.equal(challenge.setupRequired, true);
+  assert.equal(challenge.token, undefined);
+
+  const setup = await app.api('POST', '/api/auth/login/2fa/setup', { body: { challengeToken: challenge.challengeToken } });
+  assert.equal(setup.status, 200);
+  const code = TwoFactor.generateCode(setup.body.secret, TwoFactor.getCurrentStep());
+  const enrolled = await app.api('POST', '/api/auth/login/2fa', { body: { challengeToken: challenge.challengeToken, code } });
+  assert.equal(enrolled.status, 200);
+  assert.ok(enrolled.body.token);
+  assert.equal(enrolled.body.backupCodes.length, 10);
+
+  const [backupCode] = enrolled.body.backupCodes;
+  const second = await signIn(app.api, 'paula');
+  assert.equal(second.setupRequired, false);
+  const withBackup = await app.api('POST', '/api/auth/login/2fa', { body: { challengeToken: second.challengeToken, code: backupCode } });
+  assert.equal(withBackup.status, 200);
+  assert.equal(withBackup.body.backupCodesRemaining, 9);
+
+  const third = await signIn(app.api, 'paula');
+  const reused = await app.api('POST', '/api/auth/login/2fa', { body: { challengeToken: third.challengeToken, code: backupCode } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'INVALID_2FA_CODE');
+});
+
+test('2FA management routes share the login attempt limits', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const user = await createUser(app.db, 'quinn', ['viewer']);
+  const { token } = await startSession(app.db, user);
+
+  await app.api('POST', '/api/auth/2fa/setup', { token });
+  for (let i = 0; i < 3; i++) {
+    const wrong = await app.api('POST', '/api/auth/2fa/enable', { token, body: { code: '000000' } });
+    assert.equal(wrong.status, 400);
+  }
+  for (const path of ['/api/auth/2fa/enable', '/api/auth/2fa/backup-codes']) {
+    const throttled = await app.api('POST', path, { token, body: { code: '000000' } });
+    assert.equal(throttled.status, 429);
+    assert.equal(throttled.body.code, 'LOGIN_THROTTLED');
+  }
+  const disable = await app.api('POST', '/api/auth/2fa/disable', { token, body: { password: PASSWORD } });
+  assert.equal(disable.status, 429);
+
+  // The password login is held back too
+  const login = await app.api('POST', '/api/auth/login', { body: { username: 'quinn', password: PASSWORD } });
+  assert.equal(login.status, 429);
+});
+
+test('turning 2FA off requires the password and is refused when the role requires 2FA', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const user = await createUser(app.db, 'rosa', ['viewer']);
+  const { token } = await startSession(app.db, user);
+
+  const setup = await app.api('POST', '/api/auth/2fa/setup', { token });
+  const code = TwoFactor.generateCode(setup.body.secret, TwoFactor.getCurrentStep());
+  const enabled = await app.api('POST', '/api/auth/2fa/enable', { token, body: { code } });
+  assert.equal(enabled.status, 200);
+
+  const wrongPassword = await app.api('POST', '/api/auth/2fa/disable', { token, body: { password: 'nope' } });
+  assert.equal(wrongPassword.status, 400);
+
+  await app.db.collection('roles').updateOne({ name: 'viewer' }, { $set: { require_two_factor: true } });
+  const required = await app.api('POST', '/api/auth/2fa/disable', { token, body: { password: PASSWORD } });
+  assert.equal(required.status, 400);
+
+  await app.db.collection('roles').updateOne({ name: 'viewer' }, { $set: { require_two_factor: false } });
+  const disabled = await app.api('POST', '/api/auth/2fa/disable', { token, body: { password: PASSWORD } });
+  assert.equal(disabled.status, 200);
+  assert.equal((await app.api('GET', '/api/auth/2fa', { token })).body.enabled, false);
+});
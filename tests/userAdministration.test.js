@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, signIn, startSession } = require('./helpers/testApp');
+
+test('disabled users cannot sign in and lose their sessions until re-enabled', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'abby', ['admin']);
+  const user = await createUser(app.db, 'ben', ['viewer']);
+  const { token } = await startSession(app.db, admin);
+  const before = await signIn(app.api, 'ben');
+
+  assert.equal((await app.api('POST', `/api/users/${admin._id}/disable`, { token })).status, 400);
+
+  assert.equal((await app.api('POST', `/api/users/${user._id}/disable`, { token })).status, 200);
+  assert.equal((await app.api('GET', '/api/auth/me', { token: before.token })).status, 401);
+  const login = await app.api('POST', '/api/auth/login', { body: { username: 'ben', password: 'Password123!' } });
+  assert.equal(login.status, 403);
+  assert.equal(login.body.code, 'ACCOUNT_DISABLED');
+  assert.equal((await app.api('POST', `/api/users/${user._id}/disable`, { token })).status, 400);
+
+  assert.equal((await app.api('POST', `/api/users/${user._id}/enable`, { token })).status, 200);
+  assert.ok((await signIn(app.api, 'ben')).token);
+});
+
+test('the last administrator cannot be demoted, disabled or deleted', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'cleo', ['admin']);
+  const deputy = await createUser(app.db, 'dan', ['admin']);
+  const viewerRole = await app.db.collection('roles').findOne({ name: 'viewer' });
+  const adminRole = await app.db.collection('roles').findOne({ name: 'admin' });
+  const { token } = await startSession(app.db, admin);
+
+  // With two administrators one of them may go
+  assert.equal((await app.api('POST', `/api/users/${deputy._id}/disable`, { token })).status, 200);
+
+  // A disabled administrator does not count
+  const demote = await app.api('PUT', `/api/users/${admin._id}/roles`, { token, body: { roles: [viewerRole._id.toString()] } });
+  assert.equal(demote.status, 409);
+  assert.equal(demote.body.code, 'LAST_ADMINISTRATOR');
+  assert.equal((await app.api('DELETE', `/api/users/${admin._id}`, { token })).status, 409);
+
+  const stripRole = await app.api('PUT', `/api/users/roles/${adminRole._id}`, {
+    token, body: { permissions: { ...adminRole.permissions, manage_users: false } }
+  });
+  assert.equal(stripRole.status, 409);
+  assert.equal(stripRole.body.code, 'LAST_ADMINISTRATOR');
+
+  const stored = await app.db.collection('users').findOne({ _id: admin._id });
+  assert.deepEqual(stored.roles, [adminRole._id.toString()]);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDb } = require('./helpers/memoryDb');
+const { startApp, createUser, startSession } = require('./helpers/testApp');
+const RolesManager = require('../models/rolesManager');
+const UserImport = require('../models/userImport');
+
+function csvFile(text) {
+  return { originalname: 'users.csv', buffer: Buffer.from(text) };
+}
+
+test('import files are read by header name and keep usernames as text', async () => {
+  const rows = await UserImport.parseFile(csvFile('E-mail,Username,Role(s)\nann@example.com,0012,"editor, viewer"\n,,\nbo@example.com,bo,\n'));
+  assert.deepEqual(rows, [
+    { row: 2, username: '0012', email: 'ann@example.com', roles: ['editor', 'viewer'] },
+    { row: 4, username: 'bo', email: 'bo@example.com', roles: [] }
+  ]);
+
+  await assert.rejects(UserImport.parseFile(csvFile('name,mail\nx,y\n')), /Missing column\(s\): username, email/);
+  assert.equal(UserImport.isSupportedFile('USERS.XLSX'), true);
+  assert.equal(UserImport.isSupportedFile('users.xls'), false);
+});
+
+test('rows are checked against existing users, each other and stored roles', async () => {
+  const db = new MemoryDb();
+  await RolesManager.initializeDefaultRoles(db);
+  await db.collection('users').insertOne({ username: 'taken', email: 'taken@example.com' });
+
+  const checked = await UserImport.validateRows(db, [
+    { row: 2, username: 'new', email: 'new@example.com', roles: ['Editor'] },
+    { row: 3, username: 'taken', email: 'x@example.com', roles: [] },
+    { row: 4, username: 'new', email: 'y@example.com', roles: ['pilot'] },
+    { row: 5, username: '', email: '', roles: [] }
+  ]);
+
+  assert.deepEqual(checked[0].errors, []);
+  assert.equal(checked[0].roleIds.length, 1);
+  assert.ok(checked[0].password.length >= 12);
+  assert.deepEqual(checked[1].errors, ['Username "taken" already exists']);
+  assert.deepEqual(checked[2].errors, ['Username "new" is also on row 2', 'Unknown role "pilot"']);
+  assert.equal(checked[3].errors.length, 2);
+  assert.equal(UserImport.toReportRow(checked[0]).password, undefined);
+  assert.equal(UserImport.toReportRow(checked[1]).status, 'invalid');
+});
+
+test('an exported workbook can be imported again', async () => {
+  const db = new MemoryDb();
+  await RolesManager.initializeDefaultRoles(db);
+  const editor = await RolesManager.getRoleByName(db, 'editor');
+  await db.collection('users').insertOne({ username: 'cy', email: 'cy@example.com', roles: [editor._id.toString()], created_at: new Date() });
+
+  const workbook = await UserImport.buildExportWorkbook(db);
+  const buffer = await workbook.xlsx.writeBuffer();
+  const rows = await UserImport.parseFile({ originalname: 'users.xlsx', buffer: Buffer.from(buffer) });
+  assert.deepEqual(rows, [{ row: 2, username: 'cy', email: 'cy@example.com', roles: ['editor'] }]);
+});
+
+test('the import route imports nothing unless every row is valid', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const admin = await createUser(app.db, 'dee', ['admin']);
+  const { token } = await startSession(app.db, admin);
+
+  async function upload(text, query) {
+    const form = new FormData();
+    form.append('file', new Blob([text]), 'users.csv');
+    const response = await fetch(`${app.baseUrl}/api/users/import?${query}`, {
+      method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const invalid = await upload('username,email,roles\nemma,emma@example.com,viewer\ndee,dee@example.com,viewer\n', '');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.invalid, 1);
+  assert.equal(await app.db.collection('users').countDocuments({ username: 'emma' }), 0);
+
+  const dryRun = await upload('username,email,roles\nemma,emma@example.com,viewer\n', 'dryRun=true');
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.valid, 1);
+  assert.equal(dryRun.body.created, 0);
+
+  const imported = await upload('username,email,roles\nemma,emma@example.com,viewer\n', '');
+  assert.equal(imported.status, 201);
+  assert.equal(imported.body.created, 1);
+  const login = await app.api('POST', '/api/auth/login', { body: { username: 'emma', password: imported.body.rows[0].temporaryPassword } });
+  assert.equal(login.status, 200);
+});